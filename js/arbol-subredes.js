@@ -0,0 +1,263 @@
+/**
+ * Módulo Árbol de Subredes
+ * Árbol binario de una red padre en el que cada bloque se divide en dos mitades o se une con su
+ * hermano, al estilo de las calculadoras visuales de subredes. Las hojas son las subredes resultantes
+ * y pueden llevar una etiqueta
+ */
+class ArbolSubredes {
+    /**
+     * Constructor del árbol
+     * @param {string} ip - Dirección IP de la red padre (se usa su dirección de red)
+     * @param {string} mascara - Máscara de la red padre
+     */
+    constructor(ip, mascara) {
+        this.raiz = this._crearNodo(CalculadoraSubredes.calcularSubredCompleta(ip, mascara), null);
+    }
+
+    /**
+     * Número máximo de hojas del árbol, para que la tabla siga siendo manejable
+     * @returns {number} - Máximo de hojas
+     */
+    static get MAXIMO_HOJAS() {
+        return 1024;
+    }
+
+    /**
+     * Reconstruye un árbol a partir de sus hojas (por ejemplo, las de un JSON exportado)
+     * Las hojas deben cubrir exactamente un bloque CIDR, sin huecos ni solapamientos
+     * @param {Array<object>} hojas - Hojas {resultado: ResultadoIp, nombre?}
+     * @returns {ArbolSubredes} - Árbol con esas hojas y sus etiquetas
+     * @throws {Error} - Si las hojas no forman un árbol de subredes
+     */
+    static desdeHojas(hojas) {
+        if (hojas.length === 0) {
+            throw new Error(Traductor.t('No hay subredes para construir el árbol.'));
+        }
+        if (hojas.length > this.MAXIMO_HOJAS) {
+            throw new Error(Traductor.t('El árbol admite como máximo {maximo} subredes; hay {total}.', {
+                maximo: Traductor.formatearNumero(this.MAXIMO_HOJAS),
+                total: Traductor.formatearNumero(hojas.length)
+            }));
+        }
+        if (hojas.some(hoja => hoja.resultado.familia !== 4)) {
+            throw new Error(Traductor.t('El árbol de subredes solo admite redes IPv4.'));
+        }
+
+        // La raíz es el bloque más pequeño que contiene desde la primera hasta la última dirección
+        const inicio = Math.min(...hojas.map(hoja => CalculadoraSubredes.ipANumero(hoja.resultado.networkIP)));
+        const fin = Math.max(...hojas.map(hoja => CalculadoraSubredes.ipANumero(hoja.resultado.broadcastIP)));
+        let prefijo = 32;
+        while (Math.floor(inicio / Math.pow(2, 32 - prefijo)) !== Math.floor(fin / Math.pow(2, 32 - prefijo))) {
+            prefijo--;
+        }
+
+        const arbol = new ArbolSubredes(
+            CalculadoraSubredes.numeroAIp(inicio), CalculadoraSubredes.calcularMascaraDesdePrefijo(prefijo));
+        const direcciones = mascara => Math.pow(2, CalculadoraSubredes.obtenerInfoAdicional(mascara).bitsHost);
+        const direccionesHojas = hojas.reduce((total, hoja) => total + direcciones(hoja.resultado.subnetMask), 0);
+        if (direccionesHojas !== direcciones(arbol.raiz.resultado.subnetMask)) {
+            throw new Error(Traductor.t('Las subredes no cubren exactamente el bloque {bloque}: hay huecos o subredes solapadas.', {
+                bloque: arbol.raiz.id
+            }));
+        }
+
+        const colocadas = new Set();
+        hojas.forEach(hoja => {
+            const id = hoja.resultado.getRedCIDR();
+            let nodo = arbol.raiz;
+            while (nodo.id !== id) {
+                if (colocadas.has(nodo)) {
+                    throw new Error(Traductor.t('La subred {subred} se solapa con {otra}.', { subred: id, otra: nodo.id }));
+                }
+                if (!nodo.hijos) {
+                    arbol._partir(nodo);
+                }
+                nodo = nodo.hijos.find(hijo => CalculadoraSubredes.ipEstaEnSubred(
+                    hoja.resultado.networkIP, hijo.resultado.networkIP, hijo.resultado.subnetMask));
+            }
+            if (colocadas.has(nodo) || nodo.hijos) {
+                throw new Error(Traductor.t('La subred {subred} se solapa con otra subred del árbol.', { subred: id }));
+            }
+            nodo.etiqueta = String(hoja.nombre || '').trim();
+            colocadas.add(nodo);
+        });
+
+        return arbol;
+    }
+
+    /**
+     * Crea un nodo del árbol. El identificador es la red en notación CIDR, única dentro del árbol
+     * @param {ResultadoIp} resultado - Subred del nodo
+     * @param {object|null} padre - Nodo padre (null para la raíz)
+     * @returns {object} - Nodo {id, resultado, prefijo, padre, hijos, etiqueta}
+     * @private
+     */
+    _crearNodo(resultado, padre) {
+        return {
+            id: resultado.getRedCIDR(),
+            resultado: resultado,
+            prefijo: CalculadoraSubredes.obtenerInfoAdicional(resultado.subnetMask).bitsRed,
+            padre: padre,
+            hijos: null,
+            etiqueta: ''
+        };
+    }
+
+    /**
+     * Divide un nodo en sus dos mitades
+     * @param {object} nodo - Nodo hoja a dividir
+     * @private
+     */
+    _partir(nodo) {
+        const { networkIP, subnetMask } = nodo.resultado;
+        nodo.hijos = CalculadoraSubredes.dividirEnSubredes(networkIP, subnetMask, 2)
+            .map(mitad => this._crearNodo(mitad, nodo));
+    }
+
+    /**
+     * Busca un nodo por su identificador
+     * @param {string} id - Red en notación CIDR
+     * @returns {object|null} - Nodo encontrado
+     */
+    obtenerNodo(id) {
+        const pendientes = [this.raiz];
+        while (pendientes.length > 0) {
+            const nodo = pendientes.pop();
+            if (nodo.id === id) {
+                return nodo;
+            }
+            pendientes.push(...(nodo.hijos || []));
+        }
+        return null;
+    }
+
+    /**
+     * Busca una hoja por su identificador
+     * @param {string} id - Red en notación CIDR
+     * @returns {object} - Nodo hoja
+     * @throws {Error} - Si no hay ninguna hoja con ese identificador
+     * @private
+     */
+    _obtenerHoja(id) {
+        const nodo = this.obtenerNodo(id);
+        if (!nodo || nodo.hijos) {
+            throw new Error(Traductor.t('La subred {subred} no está en el árbol.', { subred: id }));
+        }
+        return nodo;
+    }
+
+    /**
+     * Indica si una hoja se puede unir con su hermana (la hermana tampoco está dividida)
+     * @param {object} nodo - Nodo hoja
+     * @returns {boolean} - True si se puede unir
+     */
+    puedeUnirse(nodo) {
+        return Boolean(nodo.padre) && nodo.padre.hijos.every(hijo => !hijo.hijos);
+    }
+
+    /**
+     * Divide una hoja en dos mitades. La etiqueta se conserva en el bloque padre y reaparece al unirlas
+     * @param {string} id - Red de la hoja en notación CIDR
+     * @returns {Array<object>} - Las dos hojas nuevas
+     * @throws {Error} - Si la hoja es un /32 o el árbol ya tiene el máximo de hojas
+     */
+    dividir(id) {
+        const nodo = this._obtenerHoja(id);
+        if (nodo.prefijo === 32) {
+            throw new Error(Traductor.t('{subred} es una única dirección: no se puede dividir más.', { subred: id }));
+        }
+        if (this.contarHojas() >= ArbolSubredes.MAXIMO_HOJAS) {
+            throw new Error(Traductor.t('El árbol admite como máximo {maximo} subredes. Une alguna antes de dividir.', {
+                maximo: Traductor.formatearNumero(ArbolSubredes.MAXIMO_HOJAS)
+            }));
+        }
+
+        this._partir(nodo);
+        return nodo.hijos;
+    }
+
+    /**
+     * Une una hoja con su hermana y devuelve el bloque que las contenía
+     * @param {string} id - Red de la hoja en notación CIDR
+     * @returns {object} - Nodo padre, convertido de nuevo en hoja
+     * @throws {Error} - Si la hoja es la raíz o su hermana está dividida
+     */
+    unir(id) {
+        const nodo = this._obtenerHoja(id);
+        if (!nodo.padre) {
+            throw new Error(Traductor.t('{subred} es la red padre: no tiene una subred hermana con la que unirse.', { subred: id }));
+        }
+        if (!this.puedeUnirse(nodo)) {
+            const hermana = nodo.padre.hijos.find(hijo => hijo !== nodo);
+            throw new Error(Traductor.t('Une primero las subredes de {hermana} para poder unir {subred} con ella.', {
+                hermana: hermana.id,
+                subred: id
+            }));
+        }
+
+        nodo.padre.hijos = null;
+        return nodo.padre;
+    }
+
+    /**
+     * Cambia la etiqueta de una hoja
+     * @param {string} id - Red de la hoja en notación CIDR
+     * @param {string} etiqueta - Nueva etiqueta
+     */
+    etiquetar(id, etiqueta) {
+        this._obtenerHoja(id).etiqueta = String(etiqueta || '').trim();
+    }
+
+    /**
+     * Cuenta las hojas del árbol
+     * @returns {number} - Número de hojas
+     */
+    contarHojas() {
+        return this.obtenerHojas().length;
+    }
+
+    /**
+     * Obtiene las hojas en orden de dirección con lo necesario para dibujar el árbol como tabla:
+     * cada hoja lleva los bloques (antecesores y ella misma) que empiezan en su fila
+     * @returns {Array<object>} - Hojas {id, resultado, prefijo, etiqueta, unible, bloques: [{id, prefijo, hojas}]}
+     */
+    obtenerHojas() {
+        const hojas = [];
+        const recorrer = (nodo, bloquesAbiertos) => {
+            const bloques = [...bloquesAbiertos, nodo];
+            if (!nodo.hijos) {
+                hojas.push({ nodo: nodo, bloques: bloques });
+                return;
+            }
+            recorrer(nodo.hijos[0], bloques);
+            recorrer(nodo.hijos[1], []);
+        };
+        recorrer(this.raiz, []);
+
+        const hojasPorNodo = new Map();
+        const contar = nodo => {
+            const total = nodo.hijos ? contar(nodo.hijos[0]) + contar(nodo.hijos[1]) : 1;
+            hojasPorNodo.set(nodo, total);
+            return total;
+        };
+        contar(this.raiz);
+
+        return hojas.map(({ nodo, bloques }) => ({
+            id: nodo.id,
+            resultado: nodo.resultado,
+            prefijo: nodo.prefijo,
+            etiqueta: nodo.etiqueta,
+            unible: this.puedeUnirse(nodo),
+            bloques: bloques.map(bloque => ({
+                id: bloque.id,
+                prefijo: bloque.prefijo,
+                hojas: hojasPorNodo.get(bloque)
+            }))
+        }));
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArbolSubredes;
+}
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Módulo Calculadora IPv6
+ * Contiene la lógica de cálculo de prefijos IPv6 (aritmética de 128 bits con BigInt)
+ */
+class CalculadoraIPv6 {
+    /**
+     * Expande una dirección IPv6 a sus 8 grupos de 4 dígitos hexadecimales
+     * @param {string} ip - Dirección IPv6 (comprimida o expandida, admite IPv4 embebida)
+     * @returns {string} - Dirección en notación expandida (ej: 2001:0db8:0000:...:0001)
+     */
+    static expandirIPv6(ip) {
+        let direccion = ip.toLowerCase();
+
+        // Convertir una IPv4 embebida al final (ej: ::ffff:192.168.1.1) a dos grupos hexadecimales
+        const ipv4Embebida = direccion.match(/^(.*:)(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+        if (ipv4Embebida) {
+            const [, prefijo, a, b, c, d] = ipv4Embebida;
+            direccion = prefijo +
+                        ((Number(a) << 8) | Number(b)).toString(16) + ':' +
+                        ((Number(c) << 8) | Number(d)).toString(16);
+        }
+
+        const [izquierda, derecha] = direccion.split('::');
+        const gruposIzquierda = izquierda ? izquierda.split(':') : [];
+        let grupos = gruposIzquierda;
+
+        // Rellenar con ceros los grupos omitidos por "::"
+        if (derecha !== undefined) {
+            const gruposDerecha = derecha ? derecha.split(':') : [];
+            const gruposOmitidos = 8 - gruposIzquierda.length - gruposDerecha.length;
+            grupos = [...gruposIzquierda, ...new Array(gruposOmitidos).fill('0'), ...gruposDerecha];
+        }
+
+        return grupos.map(grupo => grupo.padStart(4, '0')).join(':');
+    }
+
+    /**
+     * Comprime una dirección IPv6 según la forma canónica de la RFC 5952
+     * @param {string} ip - Dirección IPv6 en cualquier notación válida
+     * @returns {string} - Dirección en notación comprimida (ej: 2001:db8::1)
+     */
+    static comprimirIPv6(ip) {
+        const grupos = this.expandirIPv6(ip).split(':').map(grupo => parseInt(grupo, 16).toString(16));
+
+        // Las direcciones IPv4-mapped (::ffff:0:0/96) e IPv4-translated (::ffff:0:0:0/96)
+        // muestran los últimos 32 bits en notación decimal con puntos (RFC 5952, sección 5)
+        const prefijoIPv4 = this._prefijoIPv4Embebida(grupos);
+        if (prefijoIPv4 !== null) {
+            const [alto, bajo] = grupos.slice(6).map(grupo => parseInt(grupo, 16));
+            return prefijoIPv4 + [alto >> 8, alto & 0xff, bajo >> 8, bajo & 0xff].join('.');
+        }
+
+        // Buscar la secuencia más larga de grupos en cero (la primera en caso de empate)
+        let mejorInicio = -1;
+        let mejorLongitud = 0;
+        for (let i = 0; i < grupos.length; i++) {
+            if (grupos[i] !== '0') {
+                continue;
+            }
+
+            let fin = i;
+            while (fin < grupos.length && grupos[fin] === '0') {
+                fin++;
+            }
+            if (fin - i > mejorLongitud) {
+                mejorInicio = i;
+                mejorLongitud = fin - i;
+            }
+            i = fin;
+        }
+
+        // "::" solo reemplaza secuencias de dos o más grupos
+        if (mejorLongitud < 2) {
+            return grupos.join(':');
+        }
+
+        return grupos.slice(0, mejorInicio).join(':') + '::' +
+               grupos.slice(mejorInicio + mejorLongitud).join(':');
+    }
+
+    /**
+     * Obtiene el prefijo comprimido de una dirección con IPv4 embebida
+     * @param {string[]} grupos - Los 8 grupos hexadecimales sin ceros a la izquierda
+     * @returns {string|null} - "::ffff:" o "::ffff:0:", o null si no lleva IPv4 embebida
+     * @private
+     */
+    static _prefijoIPv4Embebida(grupos) {
+        const enCero = (desde, hasta) => grupos.slice(desde, hasta).every(grupo => grupo === '0');
+
+        if (enCero(0, 5) && grupos[5] === 'ffff') {
+            return '::ffff:';
+        }
+        if (enCero(0, 4) && grupos[4] === 'ffff' && grupos[5] === '0') {
+            return '::ffff:0:';
+        }
+        return null;
+    }
+
+    /**
+     * Convierte una dirección IPv6 a su representación numérica
+     * @param {string} ip - Dirección IPv6
+     * @returns {bigint} - Representación numérica de 128 bits
+     */
+    static ipv6ANumero(ip) {
+        return BigInt('0x' + this.expandirIPv6(ip).replace(/:/g, ''));
+    }
+
+    /**
+     * Convierte un número de 128 bits a dirección IPv6
+     * @param {bigint} numero - Número a convertir
+     * @returns {string} - Dirección IPv6 en notación comprimida
+     */
+    static numeroAIpv6(numero) {
+        const hexadecimal = numero.toString(16).padStart(32, '0');
+        return this.comprimirIPv6(hexadecimal.match(/.{4}/g).join(':'));
+    }
+
+    /**
+     * Calcula la máscara numérica correspondiente a una longitud de prefijo
+     * @param {number} prefijo - Longitud de prefijo (0-128)
+     * @returns {bigint} - Máscara de 128 bits
+     */
+    static calcularMascaraDesdePrefijo(prefijo) {
+        const todosLosBits = (1n << 128n) - 1n;
+        const bitsHost = (1n << BigInt(128 - prefijo)) - 1n;
+        return todosLosBits ^ bitsHost;
+    }
+
+    /**
+     * Realiza el cálculo completo de un prefijo IPv6
+     * @param {string} ip - Dirección IPv6
+     * @param {number} prefijo - Longitud de prefijo (0-128)
+     * @returns {ResultadoIpv6} - Objeto con todos los resultados del cálculo
+     */
+    static calcularPrefijoCompleto(ip, prefijo) {
+        const mascara = this.calcularMascaraDesdePrefijo(prefijo);
+        const redNum = this.ipv6ANumero(ip) & mascara;
+        const ultimaNum = redNum | (mascara ^ ((1n << 128n) - 1n));
+
+        return new ResultadoIpv6(
+            this.numeroAIpv6(redNum),
+            prefijo,
+            this.numeroAIpv6(redNum),
+            this.numeroAIpv6(ultimaNum),
+            1n << BigInt(128 - prefijo)
+        );
+    }
+
+    /**
+     * Calcula cuántas subredes resultan al dividir un prefijo en prefijos más largos
+     * @param {number} prefijo - Longitud del prefijo original
+     * @param {number} nuevoPrefijo - Longitud de las subredes (ej: 64)
+     * @returns {number} - Número de subredes
+     */
+    static calcularNumeroSubredes(prefijo, nuevoPrefijo) {
+        if (nuevoPrefijo < prefijo) {
+            throw new Error(Traductor.t('El prefijo de las subredes (/{nuevoPrefijo}) debe ser igual o mayor que /{prefijo}.', {
+                nuevoPrefijo: nuevoPrefijo,
+                prefijo: prefijo
+            }));
+        }
+
+        // Limitar a una cantidad de subredes representable con exactitud (2^53)
+        if (nuevoPrefijo - prefijo > 53) {
+            throw new Error(Traductor.t('Dividir un /{prefijo} en /{nuevoPrefijo} genera demasiadas subredes para listarlas.', {
+                prefijo: prefijo,
+                nuevoPrefijo: nuevoPrefijo
+            }));
+        }
+
+        return Math.pow(2, nuevoPrefijo - prefijo);
+    }
+
+    /**
+     * Divide un prefijo IPv6 en subredes de un prefijo más largo (ej: un /48 en /64)
+     * @param {string} ip - Dirección del prefijo principal
+     * @param {number} prefijo - Longitud del prefijo principal
+     * @param {number} nuevoPrefijo - Longitud de las subredes
+     * @param {number} [desde=0] - Índice de la primera subred a generar (para paginar)
+     * @param {number} [cantidad] - Cantidad de subredes a generar desde `desde` (por defecto, todas)
+     * @returns {Array<ResultadoIpv6>} - Array con los resultados de las subredes solicitadas
+     */
+    static dividirEnSubredes(ip, prefijo, nuevoPrefijo, desde = 0, cantidad) {
+        const total = this.calcularNumeroSubredes(prefijo, nuevoPrefijo);
+        const hasta = Math.min(desde + (cantidad === undefined ? total : cantidad), total);
+
+        const redPrincipal = this.ipv6ANumero(ip) & this.calcularMascaraDesdePrefijo(prefijo);
+        const tamañoSubred = 1n << BigInt(128 - nuevoPrefijo);
+
+        const subredes = [];
+        for (let i = desde; i < hasta; i++) {
+            const redSubred = redPrincipal + BigInt(i) * tamañoSubred;
+            subredes.push(this.calcularPrefijoCompleto(this.numeroAIpv6(redSubred), nuevoPrefijo));
+        }
+
+        return subredes;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalculadoraIPv6;
+}
\ No newline at end of file
@@ -10,7 +10,8 @@ class CalculadoraSubredes {
      */
     static ipANumero(ip) {
         const octetos = ip.split('.').map(Number);
-        return (octetos[0] << 24) + (octetos[1] << 16) + (octetos[2] << 8) + octetos[3];
+        // >>> 0 mantiene el resultado sin signo para poder comparar y alinear direcciones
+        return ((octetos[0] << 24) | (octetos[1] << 16) | (octetos[2] << 8) | octetos[3]) >>> 0;
     }
 
     /**
@@ -30,9 +31,14 @@ class CalculadoraSubredes {
     /**
      * Calcula la máscara de subred basada en el número de hosts requeridos
      * @param {number} hosts - Número de hosts requeridos
+     * @param {boolean} [usarPuntoAPunto=false] - Usar /31 (RFC 3021) cuando bastan 2 hosts, en lugar de /30
      * @returns {string} - Máscara de subred en formato string
      */
-    static calcularMascaraDesdeHosts(hosts) {
+    static calcularMascaraDesdeHosts(hosts, usarPuntoAPunto = false) {
+        if (usarPuntoAPunto && hosts <= 2) {
+            return this.calcularMascaraDesdePrefijo(31);
+        }
+
         // Calcular bits necesarios para hosts (incluyendo red y broadcast)
         const bitsHost = Math.ceil(Math.log2(hosts + 2));
         const bitsRed = 32 - bitsHost;
@@ -50,8 +56,28 @@ class CalculadoraSubredes {
         return octetos.join('.');
     }
 
+    /**
+     * Calcula la máscara de subred correspondiente a una longitud de prefijo
+     * @param {number} prefijo - Número de bits de red (0-32)
+     * @returns {string} - Máscara de subred en formato string
+     */
+    static calcularMascaraDesdePrefijo(prefijo) {
+        const mascaraNum = prefijo === 0 ? 0 : (~0 << (32 - prefijo)) >>> 0;
+        return this.numeroAIp(mascaraNum);
+    }
+
+    /**
+     * Calcula la máscara wildcard (inversa) usada en ACL y en OSPF
+     * @param {string} mascara - Máscara de subred
+     * @returns {string} - Máscara wildcard (ej: 0.0.0.255 para 255.255.255.0)
+     */
+    static calcularWildcard(mascara) {
+        return this.numeroAIp(~this.ipANumero(mascara) >>> 0);
+    }
+
     /**
      * Calcula el número de hosts disponibles desde una máscara de subred
+     * En /31 (enlaces punto a punto, RFC 3021) las dos direcciones son hosts y /32 es un único host
      * @param {string} mascara - Máscara de subred
      * @returns {number} - Número de hosts disponibles
      */
@@ -62,9 +88,21 @@ class CalculadoraSubredes {
         ).join('');
 
         const bitsHost = mascaraBinaria.split('').filter(bit => bit === '0').length;
+        if (bitsHost <= 1) {
+            return Math.pow(2, bitsHost);
+        }
         return Math.pow(2, bitsHost) - 2; // -2 para red y broadcast
     }
 
+    /**
+     * Indica si la máscara no reserva direcciones de red y broadcast (/31 y /32)
+     * @param {string} mascara - Máscara de subred
+     * @returns {boolean} - True si todas las direcciones de la subred son hosts
+     */
+    static esSubredSinBroadcast(mascara) {
+        return this.obtenerInfoAdicional(mascara).bitsHost <= 1;
+    }
+
     /**
      * Calcula la IP de red aplicando la máscara a la IP dada
      * @param {string} ip - Dirección IP
@@ -94,30 +132,99 @@ class CalculadoraSubredes {
     /**
      * Calcula el primer host válido de la subred
      * @param {string} ipRed - IP de red
+     * @param {string} [mascara] - Máscara de subred (en /31 y /32 la propia IP de red es un host)
      * @returns {string} - Primera IP de host válida
      */
-    static calcularPrimerHost(ipRed) {
+    static calcularPrimerHost(ipRed, mascara) {
         const redNum = this.ipANumero(ipRed);
+        if (mascara && this.esSubredSinBroadcast(mascara)) {
+            return this.numeroAIp(redNum);
+        }
         return this.numeroAIp(redNum + 1);
     }
 
     /**
      * Calcula el último host válido de la subred
      * @param {string} ipBroadcast - IP de broadcast
+     * @param {string} [mascara] - Máscara de subred (en /31 y /32 la última dirección es un host)
      * @returns {string} - Última IP de host válida
      */
-    static calcularUltimoHost(ipBroadcast) {
+    static calcularUltimoHost(ipBroadcast, mascara) {
         const broadcastNum = this.ipANumero(ipBroadcast);
+        if (mascara && this.esSubredSinBroadcast(mascara)) {
+            return this.numeroAIp(broadcastNum);
+        }
         return this.numeroAIp(broadcastNum - 1);
     }
 
     /**
-     * Calcula el gateway predeterminado como el último host de la subred
-     * @param {string} ipBroadcast - IP de broadcast de la subred
-     * @returns {string} - IP del gateway (igual al último host)
+     * Política de gateway usada si no se indica otra: el último host de la subred
+     * @returns {object} - {posicion, desplazamiento}
+     */
+    static get POLITICA_GATEWAY_PREDETERMINADA() {
+        return { posicion: 'ultimo', desplazamiento: 0 };
+    }
+
+    /**
+     * Calcula el gateway de la subred según la política indicada
+     * @param {string} ipRed - IP de red de la subred
+     * @param {string} mascara - Máscara de subred
+     * @param {object} [politica] - {posicion: 'ultimo'|'primero'|'red'|'broadcast', desplazamiento}; con 'red'
+     *                              el gateway es red + desplazamiento y con 'broadcast', broadcast - desplazamiento
+     * @returns {string} - IP del gateway
+     * @throws {Error} - Si la política coloca el gateway fuera del rango de hosts
+     */
+    static calcularGateway(ipRed, mascara, politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
+        const ipBroadcast = this.calcularIpBroadcast(ipRed, mascara);
+        const primerHost = this.calcularPrimerHost(ipRed, mascara);
+        const ultimoHost = this.calcularUltimoHost(ipBroadcast, mascara);
+
+        let gatewayNum;
+        switch (politica.posicion) {
+            case 'primero':
+                gatewayNum = this.ipANumero(primerHost);
+                break;
+            case 'red':
+                gatewayNum = this.ipANumero(ipRed) + politica.desplazamiento;
+                break;
+            case 'broadcast':
+                gatewayNum = this.ipANumero(ipBroadcast) - politica.desplazamiento;
+                break;
+            default:
+                gatewayNum = this.ipANumero(ultimoHost);
+        }
+
+        // Un desplazamiento fijo puede caer en la red, el broadcast o fuera de la subred (ej: red + 200 en una /26)
+        if (gatewayNum < this.ipANumero(primerHost) || gatewayNum > this.ipANumero(ultimoHost)) {
+            throw new Error(Traductor.t(
+                'El gateway ({politica}) no es un host utilizable de {red}: los hosts van de {primero} a {ultimo}.', {
+                    politica: this.describirPoliticaGateway(politica),
+                    red: `${ipRed}/${this.obtenerInfoAdicional(mascara).bitsRed}`,
+                    primero: primerHost,
+                    ultimo: ultimoHost
+                }
+            ));
+        }
+
+        return this.numeroAIp(gatewayNum);
+    }
+
+    /**
+     * Describe una política de gateway para mostrarla al usuario
+     * @param {object} politica - {posicion, desplazamiento}
+     * @returns {string} - Descripción (ej: "broadcast - 1")
      */
-    static calcularGateway(ipBroadcast) {
-        return this.calcularUltimoHost(ipBroadcast);
+    static describirPoliticaGateway(politica) {
+        switch (politica.posicion) {
+            case 'primero':
+                return Traductor.t('primer host');
+            case 'red':
+                return Traductor.t('red + {desplazamiento}', { desplazamiento: politica.desplazamiento });
+            case 'broadcast':
+                return `broadcast - ${politica.desplazamiento}`;
+            default:
+                return Traductor.t('último host');
+        }
     }
 
     /**
@@ -144,19 +251,53 @@ class CalculadoraSubredes {
         };
     }
 
+    /**
+     * Obtiene el desglose binario y hexadecimal de la IP, la máscara, la red y el broadcast
+     * @param {string} ip - Dirección IP
+     * @param {string} mascara - Máscara de subred
+     * @returns {object} - {bitsRed, filas: [{clave, etiqueta, direccion, binario, hexadecimal}]}
+     */
+    static obtenerDesgloseBinario(ip, mascara) {
+        const { bitsRed } = this.obtenerInfoAdicional(mascara);
+        const ipRed = this.calcularIpRed(ip, mascara);
+        const direcciones = [
+            { clave: 'ip', etiqueta: 'IP', direccion: ip },
+            { clave: 'mascara', etiqueta: Traductor.t('Máscara'), direccion: mascara },
+            { clave: 'red', etiqueta: Traductor.t('Red (IP AND máscara)'), direccion: ipRed },
+            {
+                clave: 'broadcast',
+                etiqueta: Traductor.t('Broadcast (red OR wildcard)'),
+                direccion: this.calcularIpBroadcast(ipRed, mascara)
+            }
+        ];
+
+        return {
+            bitsRed: bitsRed,
+            filas: direcciones.map(fila => {
+                const octetos = fila.direccion.split('.').map(Number);
+                return {
+                    ...fila,
+                    binario: octetos.map(octeto => octeto.toString(2).padStart(8, '0')).join(''),
+                    hexadecimal: '0x' + octetos.map(octeto => octeto.toString(16).padStart(2, '0')).join('').toUpperCase()
+                };
+            })
+        };
+    }
+
     /**
      * Realiza el cálculo completo de la subred y retorna un objeto ResultadoIp
      * @param {string} ip - Dirección IP
      * @param {string} mascara - Máscara de subred
+     * @param {object} [politica] - Política de gateway (por defecto, el último host)
      * @returns {ResultadoIp} - Objeto con todos los resultados del cálculo
      */
-    static calcularSubredCompleta(ip, mascara) {
+    static calcularSubredCompleta(ip, mascara, politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
         // Calcular todos los valores de la subred
         const ipRed = this.calcularIpRed(ip, mascara);
         const ipBroadcast = this.calcularIpBroadcast(ipRed, mascara);
-        const primerHost = this.calcularPrimerHost(ipRed);
-        const ultimoHost = this.calcularUltimoHost(ipBroadcast);
-        const gateway = this.calcularGateway(ipBroadcast);
+        const primerHost = this.calcularPrimerHost(ipRed, mascara);
+        const ultimoHost = this.calcularUltimoHost(ipBroadcast, mascara);
+        const gateway = this.calcularGateway(ipRed, mascara, politica);
         const totalHosts = this.calcularHostsDesdeMascara(mascara);
 
         // Crear y retornar una instancia de ResultadoIp
@@ -175,31 +316,36 @@ class CalculadoraSubredes {
      * Calcula la subred basándose en el número de hosts requeridos
      * @param {string} ip - Dirección IP
      * @param {number} hosts - Número de hosts requeridos
+     * @param {boolean} [usarPuntoAPunto=false] - Usar /31 para enlaces de 2 hosts
+     * @param {object} [politica] - Política de gateway (por defecto, el último host)
      * @returns {ResultadoIp} - Objeto con todos los resultados del cálculo
      */
-    static calcularSubredPorHosts(ip, hosts) {
-        const mascara = this.calcularMascaraDesdeHosts(hosts);
-        return this.calcularSubredCompleta(ip, mascara);
+    static calcularSubredPorHosts(ip, hosts, usarPuntoAPunto = false, politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
+        const mascara = this.calcularMascaraDesdeHosts(hosts, usarPuntoAPunto);
+        return this.calcularSubredCompleta(ip, mascara, politica);
     }
 
     /**
      * Calcula subred desde hosts requeridos
      * @param {string} ip - Dirección IP base
      * @param {number} hosts - Número de hosts requeridos
+     * @param {boolean} [usarPuntoAPunto=false] - Usar /31 para enlaces de 2 hosts
+     * @param {object} [politica] - Política de gateway (por defecto, el último host)
      * @returns {Object} - Información completa de la subred
      */
-    static calcularDesdeHosts(ip, hosts) {
-        return this.calcularSubredPorHosts(ip, hosts);
+    static calcularDesdeHosts(ip, hosts, usarPuntoAPunto = false, politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
+        return this.calcularSubredPorHosts(ip, hosts, usarPuntoAPunto, politica);
     }
 
     /**
      * Calcula subred desde máscara
      * @param {string} ip - Dirección IP base
      * @param {string} mascara - Máscara de subred
+     * @param {object} [politica] - Política de gateway (por defecto, el último host)
      * @returns {Object} - Información completa de la subred
      */
-    static calcularDesdeMascara(ip, mascara) {
-        return this.calcularSubredCompleta(ip, mascara);
+    static calcularDesdeMascara(ip, mascara, politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
+        return this.calcularSubredCompleta(ip, mascara, politica);
     }
 
     /**
@@ -207,9 +353,13 @@ class CalculadoraSubredes {
      * @param {string} ip - Dirección IP de la red principal
      * @param {string} mascara - Máscara de la red principal
      * @param {number} numeroSubredes - Número de subredes a crear
-     * @returns {Array<ResultadoIp>} - Array con los resultados de todas las subredes
+     * @param {number} [desde=0] - Índice de la primera subred a generar (para paginar)
+     * @param {number} [cantidad] - Cantidad de subredes a generar desde `desde` (por defecto, todas)
+     * @param {object} [politica] - Política de gateway de las subredes (por defecto, el último host)
+     * @returns {Array<ResultadoIp>} - Array con los resultados de las subredes solicitadas
      */
-    static dividirEnSubredes(ip, mascara, numeroSubredes) {
+    static dividirEnSubredes(ip, mascara, numeroSubredes, desde = 0, cantidad = numeroSubredes - desde,
+                             politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
         const subredes = [];
 
         // Calcular bits adicionales necesarios para las subredes
@@ -217,8 +367,8 @@ class CalculadoraSubredes {
         const infoActual = this.obtenerInfoAdicional(mascara);
         const nuevaBitsRed = infoActual.bitsRed + bitsAdicionales;
 
-        if (nuevaBitsRed > 30) {
-            throw new Error('No es posible crear tantas subredes con hosts válidos');
+        if (nuevaBitsRed > 32) {
+            throw new Error(Traductor.t('No es posible crear tantas subredes: harían falta prefijos más largos que /32.'));
         }
 
         // Crear nueva máscara
@@ -234,10 +384,11 @@ class CalculadoraSubredes {
         const tamañoSubred = Math.pow(2, 32 - nuevaBitsRed);
         const redPrincipal = this.ipANumero(this.calcularIpRed(ip, mascara));
 
-        // Generar cada subred
-        for (let i = 0; i < numeroSubredes; i++) {
+        // Generar cada subred del tramo solicitado
+        const hasta = Math.min(desde + cantidad, numeroSubredes);
+        for (let i = desde; i < hasta; i++) {
             const ipSubred = this.numeroAIp(redPrincipal + (i * tamañoSubred));
-            const resultado = this.calcularSubredCompleta(ipSubred, mascaraSubred);
+            const resultado = this.calcularSubredCompleta(ipSubred, mascaraSubred, politica);
             subredes.push(resultado);
         }
 
@@ -256,7 +407,57 @@ class CalculadoraSubredes {
         const redNum = this.ipANumero(ipRed);
         const mascaraNum = this.ipANumero(mascara);
 
-        return (ipNum & mascaraNum) === redNum;
+        return ((ipNum & mascaraNum) >>> 0) === redNum;
+    }
+
+    /**
+     * Busca la red más específica (coincidencia de prefijo más largo) que contiene una IP
+     * @param {string} ip - IP a buscar
+     * @param {Array<object>} redes - Redes candidatas ({ip, mascara})
+     * @returns {object} - {red: ResultadoIp|null, coincidencias: ResultadoIp[]} ordenadas de más a menos específica
+     */
+    static buscarRedMasEspecifica(ip, redes) {
+        const coincidencias = redes
+            .map(red => this.calcularSubredCompleta(red.ip, red.mascara))
+            .filter(red => this.ipEstaEnSubred(ip, red.networkIP, red.subnetMask))
+            .sort((a, b) => this.ipANumero(b.subnetMask) - this.ipANumero(a.subnetMask));
+
+        return {
+            red: coincidencias.length > 0 ? coincidencias[0] : null,
+            coincidencias: coincidencias
+        };
+    }
+
+    /**
+     * Detecta redes duplicadas o anidadas (una contenida en otra) dentro de una lista
+     * Los bloques CIDR no pueden solaparse parcialmente: si comparten direcciones, uno contiene al otro
+     * @param {Array<object>} redes - Redes a comparar ({ip, mascara})
+     * @returns {Array<object>} - Pares {redA, redB, relacion}; relacion es 'duplicada' o 'anidada' (redB dentro de redA)
+     */
+    static detectarSolapamientos(redes) {
+        const subredes = redes.map(red => this.calcularSubredCompleta(red.ip, red.mascara));
+        const solapamientos = [];
+
+        for (let i = 0; i < subredes.length; i++) {
+            for (let j = i + 1; j < subredes.length; j++) {
+                // Ordenar el par para que redA sea la más amplia
+                const [redA, redB] = this.ipANumero(subredes[i].subnetMask) <= this.ipANumero(subredes[j].subnetMask)
+                    ? [subredes[i], subredes[j]]
+                    : [subredes[j], subredes[i]];
+
+                if (!this.ipEstaEnSubred(redB.networkIP, redA.networkIP, redA.subnetMask)) {
+                    continue;
+                }
+
+                solapamientos.push({
+                    redA: redA,
+                    redB: redB,
+                    relacion: redA.subnetMask === redB.subnetMask ? 'duplicada' : 'anidada'
+                });
+            }
+        }
+
+        return solapamientos;
     }
 
     /**
@@ -273,6 +474,15 @@ class CalculadoraSubredes {
         return this.numeroAIp(redNum + tamañoSubred);
     }
 
+    /**
+     * Obtiene el nombre de la búsqueda inversa (PTR) de una dirección
+     * @param {string} ip - Dirección IP (ej: 192.168.1.10)
+     * @returns {string} - Nombre en in-addr.arpa (ej: 10.1.168.192.in-addr.arpa)
+     */
+    static calcularNombrePTR(ip) {
+        return `${ip.split('.').reverse().join('.')}.in-addr.arpa`;
+    }
+
     /**
      * Optimiza una lista de subredes para encontrar la máscara más eficiente
      * @param {Array<number>} listaHosts - Array con el número de hosts requeridos por subred
@@ -299,6 +509,313 @@ class CalculadoraSubredes {
 
         return subredesOptimizadas;
     }
+
+    /**
+     * Descompone un rango numérico de direcciones en bloques CIDR alineados
+     * @param {number} inicio - Primera dirección del rango (numérica)
+     * @param {number} fin - Última dirección del rango (numérica)
+     * @returns {Array<object>} - Bloques con su dirección inicial y prefijo
+     * @private
+     */
+    static _descomponerEnBloques(inicio, fin) {
+        const bloques = [];
+        let actual = inicio;
+
+        while (actual <= fin) {
+            // Ampliar el bloque mientras siga alineado y dentro del rango
+            let prefijo = 32;
+            while (prefijo > 0) {
+                const tamañoMayor = Math.pow(2, 33 - prefijo);
+                if (actual % tamañoMayor !== 0 || actual + tamañoMayor - 1 > fin) {
+                    break;
+                }
+                prefijo--;
+            }
+
+            bloques.push({ inicio: actual, prefijo: prefijo });
+            actual += Math.pow(2, 32 - prefijo);
+        }
+
+        return bloques;
+    }
+
+    /**
+     * Convierte una lista de redes en intervalos numéricos ordenados, uniendo los solapados o contiguos
+     * @param {Array<object>} redes - Redes ({ip, mascara})
+     * @returns {Array<object>} - Intervalos {inicio, fin} ordenados y sin solapamientos
+     * @private
+     */
+    static _unirIntervalosDeRedes(redes) {
+        const intervalos = redes
+            .map(red => {
+                const ipRed = this.calcularIpRed(red.ip, red.mascara);
+                return {
+                    inicio: this.ipANumero(ipRed),
+                    fin: this.ipANumero(this.calcularIpBroadcast(ipRed, red.mascara))
+                };
+            })
+            .sort((a, b) => a.inicio - b.inicio || b.fin - a.fin);
+
+        const unidos = [];
+        intervalos.forEach(intervalo => {
+            const ultimo = unidos[unidos.length - 1];
+            if (ultimo && intervalo.inicio <= ultimo.fin + 1) {
+                ultimo.fin = Math.max(ultimo.fin, intervalo.fin);
+            } else {
+                unidos.push({ ...intervalo });
+            }
+        });
+
+        return unidos;
+    }
+
+    /**
+     * Convierte un rango arbitrario de direcciones en la lista mínima de bloques CIDR que lo cubre exactamente
+     * @param {string} ipInicio - Primera dirección del rango
+     * @param {string} ipFin - Última dirección del rango
+     * @returns {Array<ResultadoIp>} - Bloques alineados, en orden
+     */
+    static rangoACIDR(ipInicio, ipFin) {
+        const inicio = this.ipANumero(ipInicio);
+        const fin = this.ipANumero(ipFin);
+
+        if (inicio > fin) {
+            throw new Error(Traductor.t('La dirección inicial ({inicio}) es mayor que la final ({fin}).', {
+                inicio: ipInicio,
+                fin: ipFin
+            }));
+        }
+
+        return this._descomponerEnBloques(inicio, fin).map(bloque =>
+            this.calcularSubredCompleta(
+                this.numeroAIp(bloque.inicio),
+                this.calcularMascaraDesdePrefijo(bloque.prefijo)
+            )
+        );
+    }
+
+    /**
+     * Convierte una lista de redes en rangos de inicio y fin (los contiguos o solapados se unen)
+     * @param {Array<object>} redes - Redes ({ip, mascara})
+     * @returns {Array<object>} - Rangos {inicio, fin, direcciones} en orden
+     */
+    static cidrARangos(redes) {
+        return this._unirIntervalosDeRedes(redes).map(intervalo => ({
+            inicio: this.numeroAIp(intervalo.inicio),
+            fin: this.numeroAIp(intervalo.fin),
+            direcciones: intervalo.fin - intervalo.inicio + 1
+        }));
+    }
+
+    /**
+     * Calcula el espacio de una red que no ocupa ninguna de las redes indicadas
+     * @param {object} redPadre - Red contenedora ({ip, mascara})
+     * @param {Array<object>} redes - Redes ocupadas ({ip, mascara}); las partes fuera de la red padre se ignoran
+     * @returns {Array<ResultadoIp>} - Bloques CIDR libres, en orden
+     */
+    static calcularEspacioLibre(redPadre, redes) {
+        const ipPadre = this.calcularIpRed(redPadre.ip, redPadre.mascara);
+        const inicioPadre = this.ipANumero(ipPadre);
+        const finPadre = this.ipANumero(this.calcularIpBroadcast(ipPadre, redPadre.mascara));
+
+        const bloques = [];
+        let siguiente = inicioPadre;
+        this._unirIntervalosDeRedes(redes).forEach(intervalo => {
+            if (intervalo.fin < siguiente || intervalo.inicio > finPadre) {
+                return;
+            }
+            if (intervalo.inicio > siguiente) {
+                bloques.push(...this._descomponerEnBloques(siguiente, intervalo.inicio - 1));
+            }
+            siguiente = Math.max(siguiente, intervalo.fin + 1);
+        });
+        if (siguiente <= finPadre) {
+            bloques.push(...this._descomponerEnBloques(siguiente, finPadre));
+        }
+
+        return bloques.map(bloque =>
+            this.calcularSubredCompleta(this.numeroAIp(bloque.inicio), this.calcularMascaraDesdePrefijo(bloque.prefijo))
+        );
+    }
+
+    /**
+     * Calcula los rangos dinámicos de un ámbito DHCP: los hosts de la subred menos el gateway,
+     * las exclusiones y las IPs reservadas
+     * @param {ResultadoIp} resultado - Subred del ámbito
+     * @param {Array<object>} exclusiones - Rangos excluidos ({inicio, fin})
+     * @param {Array<object>} reservas - Reservas ({mac, ip, nombre})
+     * @returns {object} - Ámbito con los pools ({inicio, fin, direcciones}) y el total de direcciones dinámicas
+     */
+    static calcularAmbitoDHCP(resultado, exclusiones = [], reservas = []) {
+        const ocupados = [
+            { inicio: resultado.gatewayIP, fin: resultado.gatewayIP },
+            ...exclusiones,
+            ...reservas.map(reserva => ({ inicio: reserva.ip, fin: reserva.ip }))
+        ]
+            .map(rango => ({ inicio: this.ipANumero(rango.inicio), fin: this.ipANumero(rango.fin) }))
+            .sort((a, b) => a.inicio - b.inicio);
+
+        // Recorrer el rango de hosts saltando los tramos ocupados
+        const pools = [];
+        let siguiente = this.ipANumero(resultado.firstHostIP);
+        const ultimoHost = this.ipANumero(resultado.lastHostIP);
+        ocupados.forEach(rango => {
+            if (rango.inicio > siguiente) {
+                pools.push({ inicio: siguiente, fin: Math.min(rango.inicio - 1, ultimoHost) });
+            }
+            siguiente = Math.max(siguiente, rango.fin + 1);
+        });
+        if (siguiente <= ultimoHost) {
+            pools.push({ inicio: siguiente, fin: ultimoHost });
+        }
+
+        if (pools.length === 0) {
+            throw new Error(Traductor.t('No quedan direcciones libres para el pool dinámico tras las exclusiones y reservas.'));
+        }
+
+        return {
+            resultado: resultado,
+            pools: pools.map(pool => ({
+                inicio: this.numeroAIp(pool.inicio),
+                fin: this.numeroAIp(pool.fin),
+                direcciones: pool.fin - pool.inicio + 1
+            })),
+            direccionesDinamicas: pools.reduce((total, pool) => total + pool.fin - pool.inicio + 1, 0),
+            exclusiones: exclusiones,
+            reservas: reservas
+        };
+    }
+
+    /**
+     * Resume (agrega) una lista de redes en una ruta resumen única y en el conjunto mínimo exacto
+     * @param {Array<object>} redes - Redes a resumir ({ip, mascara})
+     * @returns {object} - Resumen único, prefijos agregados sin sobrecobertura y direcciones extra del resumen
+     */
+    static resumirRedes(redes) {
+        if (!Array.isArray(redes) || redes.length === 0) {
+            throw new Error(Traductor.t('Debes indicar al menos una red para resumir.'));
+        }
+
+        const unidos = this._unirIntervalosDeRedes(redes);
+
+        // Ruta resumen única: el prefijo común más largo entre la primera y la última dirección
+        const minimo = unidos[0].inicio;
+        const maximo = unidos[unidos.length - 1].fin;
+        let prefijoResumen = 32;
+        while (prefijoResumen > 0 &&
+               Math.floor(minimo / Math.pow(2, 32 - prefijoResumen)) !==
+               Math.floor(maximo / Math.pow(2, 32 - prefijoResumen))) {
+            prefijoResumen--;
+        }
+        const resumenUnico = this.calcularSubredCompleta(
+            this.numeroAIp(minimo),
+            this.calcularMascaraDesdePrefijo(prefijoResumen)
+        );
+
+        // Conjunto mínimo exacto: cada intervalo unido descompuesto en bloques alineados
+        const agregadas = [];
+        unidos.forEach(intervalo => {
+            this._descomponerEnBloques(intervalo.inicio, intervalo.fin).forEach(bloque => {
+                agregadas.push(this.calcularSubredCompleta(
+                    this.numeroAIp(bloque.inicio),
+                    this.calcularMascaraDesdePrefijo(bloque.prefijo)
+                ));
+            });
+        });
+
+        const direccionesEntrada = unidos.reduce((total, intervalo) => total + intervalo.fin - intervalo.inicio + 1, 0);
+        const direccionesResumen = Math.pow(2, 32 - prefijoResumen);
+
+        return {
+            resumenUnico: resumenUnico,
+            agregadas: agregadas,
+            direccionesEntrada: direccionesEntrada,
+            direccionesResumen: direccionesResumen,
+            direccionesExtra: direccionesResumen - direccionesEntrada
+        };
+    }
+
+    /**
+     * Planifica un esquema VLSM asignando direcciones dentro de una red padre
+     * @param {string} ip - Dirección IP de la red padre
+     * @param {string} mascara - Máscara de la red padre
+     * @param {Array<object>} segmentos - Segmentos a asignar ({nombre, hosts})
+     * @param {boolean} [usarPuntoAPunto=false] - Asignar /31 a los segmentos de 2 hosts (enlaces punto a punto)
+     * @param {object} [politica] - Política de gateway de los segmentos (por defecto, el último host)
+     * @returns {object} - Red padre, subredes asignadas y espacio libre restante
+     */
+    static planificarVLSM(ip, mascara, segmentos, usarPuntoAPunto = false, politica = this.POLITICA_GATEWAY_PREDETERMINADA) {
+        if (!Array.isArray(segmentos) || segmentos.length === 0) {
+            throw new Error(Traductor.t('Debes indicar al menos un segmento para el plan VLSM.'));
+        }
+
+        const redPadre = this.calcularSubredCompleta(ip, mascara);
+        const inicioPadre = this.ipANumero(redPadre.networkIP);
+        const finPadre = this.ipANumero(redPadre.broadcastIP);
+        const tamañoPadre = finPadre - inicioPadre + 1;
+
+        // Ordenar de mayor a menor: así cada bloque queda alineado al asignarlo de forma contigua
+        const ordenados = segmentos
+            .map((segmento, indice) => {
+                const mascaraSegmento = this.calcularMascaraDesdeHosts(segmento.hosts, usarPuntoAPunto);
+                return {
+                    nombre: segmento.nombre || Traductor.t('Segmento {numero}', { numero: indice + 1 }),
+                    hostsRequeridos: segmento.hosts,
+                    mascara: mascaraSegmento,
+                    tamaño: (~this.ipANumero(mascaraSegmento) >>> 0) + 1,
+                    indice: indice
+                };
+            })
+            .sort((a, b) => b.tamaño - a.tamaño || a.indice - b.indice);
+
+        const totalRequerido = ordenados.reduce((total, segmento) => total + segmento.tamaño, 0);
+        if (totalRequerido > tamañoPadre) {
+            throw new Error(Traductor.t(
+                'La red {red} es demasiado pequeña: tiene {direcciones} direcciones y el plan requiere {requeridas}.', {
+                    red: redPadre.getRedCIDR(),
+                    direcciones: Traductor.formatearNumero(tamañoPadre),
+                    requeridas: Traductor.formatearNumero(totalRequerido)
+                }
+            ));
+        }
+
+        // Asignar cada segmento de forma contigua desde el inicio de la red padre
+        let siguiente = inicioPadre;
+        const subredes = ordenados.map(segmento => {
+            let resultado;
+            try {
+                resultado = this.calcularSubredCompleta(this.numeroAIp(siguiente), segmento.mascara, politica);
+            } catch (error) {
+                throw new Error(Traductor.t('Segmento "{nombre}": {mensaje}', {
+                    nombre: segmento.nombre,
+                    mensaje: error.message
+                }));
+            }
+            siguiente += segmento.tamaño;
+
+            return {
+                nombre: segmento.nombre,
+                hostsRequeridos: segmento.hostsRequeridos,
+                resultado: resultado,
+                eficiencia: (segmento.hostsRequeridos / resultado.totalHosts * 100).toFixed(2) + '%'
+            };
+        });
+
+        const espacioLibre = this._descomponerEnBloques(siguiente, finPadre).map(bloque =>
+            this.calcularSubredCompleta(
+                this.numeroAIp(bloque.inicio),
+                this.calcularMascaraDesdePrefijo(bloque.prefijo)
+            )
+        );
+
+        return {
+            redPadre: redPadre,
+            subredes: subredes,
+            espacioLibre: espacioLibre,
+            direccionesAsignadas: totalRequerido,
+            direccionesLibres: tamañoPadre - totalRequerido
+        };
+    }
 }
 
 // Exportar la clase para uso en otros módulos
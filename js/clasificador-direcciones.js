@@ -0,0 +1,107 @@
+/**
+ * Módulo Clasificador de Direcciones
+ * Identifica los bloques IPv4 de propósito especial del registro de IANA (RFC 6890 y actualizaciones)
+ * y los ámbitos de multicast (RFC 5771, RFC 2365)
+ */
+class ClasificadorDirecciones {
+    /**
+     * Registro de bloques especiales. Los indicadores siguen las columnas del registro de IANA:
+     * origen/destino válidos, reenviable por routers, alcanzable globalmente y reservado por protocolo
+     * @returns {Array<object>} - Bloques {red, prefijo, nombre, rfc, tipo, origen, destino, reenviable, global, reservado}
+     */
+    static get REGISTRO() {
+        return [
+            { red: '0.0.0.0', prefijo: 8, nombre: 'Esta red ("this network")', rfc: 'RFC 791', tipo: 'reservada', origen: true, destino: false, reenviable: false, global: false, reservado: true },
+            { red: '0.0.0.0', prefijo: 32, nombre: 'Este host en esta red', rfc: 'RFC 1122', tipo: 'reservada', origen: true, destino: false, reenviable: false, global: false, reservado: true },
+            { red: '10.0.0.0', prefijo: 8, nombre: 'Uso privado', rfc: 'RFC 1918', tipo: 'privada', origen: true, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '100.64.0.0', prefijo: 10, nombre: 'Espacio compartido (CGNAT)', rfc: 'RFC 6598', tipo: 'compartida', origen: true, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '127.0.0.0', prefijo: 8, nombre: 'Loopback', rfc: 'RFC 1122', tipo: 'loopback', origen: false, destino: false, reenviable: false, global: false, reservado: true },
+            { red: '169.254.0.0', prefijo: 16, nombre: 'Enlace local (APIPA)', rfc: 'RFC 3927', tipo: 'enlace-local', origen: true, destino: true, reenviable: false, global: false, reservado: true },
+            { red: '172.16.0.0', prefijo: 12, nombre: 'Uso privado', rfc: 'RFC 1918', tipo: 'privada', origen: true, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '192.0.0.0', prefijo: 24, nombre: 'Asignaciones de protocolo del IETF', rfc: 'RFC 6890', tipo: 'especial', origen: false, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '192.0.0.0', prefijo: 29, nombre: 'Continuidad de servicio IPv4 (DS-Lite)', rfc: 'RFC 7335', tipo: 'especial', origen: true, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '192.0.0.8', prefijo: 32, nombre: 'Dirección IPv4 ficticia', rfc: 'RFC 7600', tipo: 'especial', origen: true, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '192.0.0.9', prefijo: 32, nombre: 'Anycast de Port Control Protocol', rfc: 'RFC 7723', tipo: 'especial', origen: true, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '192.0.0.10', prefijo: 32, nombre: 'Anycast de TURN', rfc: 'RFC 8155', tipo: 'especial', origen: true, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '192.0.0.170', prefijo: 32, nombre: 'Descubrimiento de NAT64/DNS64', rfc: 'RFC 8880', tipo: 'especial', origen: false, destino: true, reenviable: false, global: false, reservado: true },
+            { red: '192.0.0.171', prefijo: 32, nombre: 'Descubrimiento de NAT64/DNS64', rfc: 'RFC 8880', tipo: 'especial', origen: false, destino: true, reenviable: false, global: false, reservado: true },
+            { red: '192.0.2.0', prefijo: 24, nombre: 'Documentación (TEST-NET-1)', rfc: 'RFC 5737', tipo: 'documentacion', origen: false, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '192.31.196.0', prefijo: 24, nombre: 'AS112-v4', rfc: 'RFC 7535', tipo: 'especial', origen: true, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '192.52.193.0', prefijo: 24, nombre: 'Multicast automático por túneles (AMT)', rfc: 'RFC 7450', tipo: 'especial', origen: true, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '192.88.99.0', prefijo: 24, nombre: 'Anycast de relays 6to4 (obsoleto)', rfc: 'RFC 7526', tipo: 'reservada', origen: false, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '192.168.0.0', prefijo: 16, nombre: 'Uso privado', rfc: 'RFC 1918', tipo: 'privada', origen: true, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '192.175.48.0', prefijo: 24, nombre: 'Delegación directa del servicio AS112', rfc: 'RFC 7534', tipo: 'especial', origen: true, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '198.18.0.0', prefijo: 15, nombre: 'Pruebas de rendimiento (benchmarking)', rfc: 'RFC 2544', tipo: 'pruebas', origen: true, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '198.51.100.0', prefijo: 24, nombre: 'Documentación (TEST-NET-2)', rfc: 'RFC 5737', tipo: 'documentacion', origen: false, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '203.0.113.0', prefijo: 24, nombre: 'Documentación (TEST-NET-3)', rfc: 'RFC 5737', tipo: 'documentacion', origen: false, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '224.0.0.0', prefijo: 4, nombre: 'Multicast', rfc: 'RFC 5771', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '224.0.0.0', prefijo: 24, nombre: 'Multicast de control de red local', rfc: 'RFC 5771', tipo: 'multicast', origen: false, destino: true, reenviable: false, global: false, reservado: false },
+            { red: '224.0.1.0', prefijo: 24, nombre: 'Multicast de control entre redes', rfc: 'RFC 5771', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '232.0.0.0', prefijo: 8, nombre: 'Multicast de origen específico (SSM)', rfc: 'RFC 4607', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '233.0.0.0', prefijo: 16, nombre: 'Multicast GLOP', rfc: 'RFC 3180', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: true, reservado: false },
+            { red: '233.252.0.0', prefijo: 24, nombre: 'Documentación de multicast (MCAST-TEST-NET)', rfc: 'RFC 6676', tipo: 'documentacion', origen: false, destino: false, reenviable: false, global: false, reservado: false },
+            { red: '239.0.0.0', prefijo: 8, nombre: 'Multicast de ámbito administrativo', rfc: 'RFC 2365', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '239.192.0.0', prefijo: 14, nombre: 'Multicast de ámbito de organización', rfc: 'RFC 2365', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '239.255.0.0', prefijo: 16, nombre: 'Multicast de ámbito local', rfc: 'RFC 2365', tipo: 'multicast', origen: false, destino: true, reenviable: true, global: false, reservado: false },
+            { red: '240.0.0.0', prefijo: 4, nombre: 'Reservada para uso futuro', rfc: 'RFC 1112', tipo: 'reservada', origen: false, destino: false, reenviable: false, global: false, reservado: true },
+            { red: '255.255.255.255', prefijo: 32, nombre: 'Broadcast limitado', rfc: 'RFC 919', tipo: 'reservada', origen: false, destino: true, reenviable: false, global: false, reservado: true }
+        ];
+    }
+
+    /**
+     * Clasificación usada para las direcciones que no pertenecen a ningún bloque especial
+     * @returns {object} - Bloque genérico de unicast global
+     */
+    static get UNICAST_GLOBAL() {
+        return { red: null, prefijo: null, nombre: 'Pública (unicast global)', rfc: null, tipo: 'publica', origen: true, destino: true, reenviable: true, global: true, reservado: false };
+    }
+
+    /**
+     * Clasifica una dirección IPv4 según el bloque especial más específico que la contiene
+     * @param {string} ip - Dirección IPv4 válida
+     * @returns {object} - Bloque encontrado (o UNICAST_GLOBAL), con el CIDR en 'bloque' y los bloques más amplios en 'contenidaEn'
+     */
+    static clasificar(ip) {
+        const ipNum = CalculadoraSubredes.ipANumero(ip);
+        const coincidencias = this.REGISTRO
+            .filter(entrada => {
+                const mascaraNum = CalculadoraSubredes.ipANumero(CalculadoraSubredes.calcularMascaraDesdePrefijo(entrada.prefijo));
+                return ((ipNum & mascaraNum) >>> 0) === CalculadoraSubredes.ipANumero(entrada.red);
+            })
+            .sort((a, b) => b.prefijo - a.prefijo);
+
+        if (coincidencias.length === 0) {
+            return { ...this.UNICAST_GLOBAL, bloque: null, contenidaEn: [] };
+        }
+
+        const [masEspecifico, ...resto] = coincidencias;
+        return {
+            ...masEspecifico,
+            bloque: `${masEspecifico.red}/${masEspecifico.prefijo}`,
+            contenidaEn: resto.map(entrada => `${entrada.red}/${entrada.prefijo}`)
+        };
+    }
+
+    /**
+     * Indica si una dirección pertenece a un bloque de uso privado (RFC 1918)
+     * @param {string} ip - Dirección IPv4 válida
+     * @returns {boolean} - True si es privada
+     */
+    static esPrivada(ip) {
+        return this.clasificar(ip).tipo === 'privada';
+    }
+
+    /**
+     * Indica si una dirección es unicast enrutable en Internet
+     * @param {string} ip - Dirección IPv4 válida
+     * @returns {boolean} - True si no pertenece a ningún bloque especial
+     */
+    static esPublica(ip) {
+        return this.clasificar(ip).tipo === 'publica';
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClasificadorDirecciones;
+}
\ No newline at end of file
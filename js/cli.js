@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * Interfaz de línea de comandos de la Calculadora de Subredes
+ * Usa los mismos módulos que la página (CalculadoraSubredes, Validador, ResultadoIp)
+ *
+ * Uso:
+ *   node js/cli.js hosts <ip> <hosts> [--punto-a-punto]  [--formato tabla|json|texto]
+ *   node js/cli.js mask <ip/prefijo> | <ip> <mascara>   [--formato tabla|json|texto]
+ *   node js/cli.js split <ip/prefijo> <subredes> | <ip> <mascara> <subredes>
+ *   node js/cli.js <subcomando> -                       (lee un cálculo por línea desde stdin)
+ *   --gateway primero|ultimo|red+N|broadcast-N         (posición del gateway, por defecto el último host)
+ *
+ * Códigos de salida: 0 correcto, 1 entrada no válida, 2 uso incorrecto
+ */
+
+// Los módulos se comunican mediante globales, igual que al cargarlos con <script> en index.html
+global.Traductor = require('./traductor.js');
+global.ResultadoIp = require('./resultado-ip.js');
+global.Validador = require('./validador.js');
+global.CalculadoraSubredes = require('./calculadora.js');
+global.ClasificadorDirecciones = require('./clasificador-direcciones.js');
+
+const CODIGO_ENTRADA_INVALIDA = 1;
+const CODIGO_USO_INCORRECTO = 2;
+
+// Todas las subredes se construyen en memoria antes de escribirlas: se limita su número por cálculo
+const MAXIMO_SUBREDES = 65536;
+
+const AYUDA = `Uso: node js/cli.js <subcomando> <argumentos> [--formato tabla|json|texto]
+
+Subcomandos:
+  hosts <ip> <hosts> [--punto-a-punto]        Subred mínima para ese número de hosts
+                                              (--punto-a-punto: /31 para 2 hosts, RFC 3021)
+  mask <ip/prefijo> | <ip> <mascara>          Subred a partir de la máscara o prefijo
+  split <ip/prefijo> <subredes>               Divide la red en N subredes iguales
+  split <ip> <mascara> <subredes>
+                                              (hasta ${MAXIMO_SUBREDES} subredes por cálculo)
+
+Opciones:
+  --formato, -f tabla|json|texto              Formato de salida (por defecto, tabla)
+  --gateway primero|ultimo|red+N|broadcast-N  Posición del gateway (por defecto, el último host)
+
+Con "-" como único argumento se lee un cálculo por línea desde la entrada estándar
+(los argumentos del subcomando separados por espacios; las líneas con # se ignoran).
+
+Códigos de salida: 0 correcto, 1 entrada no válida, 2 uso incorrecto.`;
+
+/**
+ * Error de uso de la línea de comandos (subcomando u opciones desconocidas)
+ */
+class ErrorUso extends Error {}
+
+/**
+ * Separa las opciones (--formato, --punto-a-punto, --gateway) de los argumentos posicionales
+ * @param {Array<string>} argumentos - Argumentos de process.argv sin node ni el script
+ * @returns {object} - {subcomando, posicionales, formato, puntoAPunto, politicaGateway, ayuda}
+ */
+function analizarArgumentos(argumentos) {
+    const posicionales = [];
+    let formato = 'tabla';
+    let puntoAPunto = false;
+    let textoGateway = '';
+    let ayuda = false;
+
+    for (let i = 0; i < argumentos.length; i++) {
+        const argumento = argumentos[i];
+        if (argumento === '--help' || argumento === '-h') {
+            ayuda = true;
+        } else if (argumento === '--formato' || argumento === '-f') {
+            formato = argumentos[++i];
+            if (formato === undefined) {
+                throw new ErrorUso(`La opción ${argumento} necesita un valor: tabla, json o texto.`);
+            }
+        } else if (argumento.startsWith('--formato=')) {
+            formato = argumento.slice('--formato='.length);
+        } else if (argumento === '--punto-a-punto') {
+            puntoAPunto = true;
+        } else if (argumento === '--gateway') {
+            textoGateway = argumentos[++i] || '';
+        } else if (argumento.startsWith('--gateway=')) {
+            textoGateway = argumento.slice('--gateway='.length);
+        } else if (argumento.startsWith('--')) {
+            throw new ErrorUso(`Opción desconocida: ${argumento}`);
+        } else {
+            posicionales.push(argumento);
+        }
+    }
+
+    if (!['tabla', 'json', 'texto'].includes(formato)) {
+        throw new ErrorUso(`Formato no válido: "${formato}". Usa tabla, json o texto.`);
+    }
+
+    const validacionGateway = Validador.validarPoliticaGateway(textoGateway);
+    if (!validacionGateway.esValido) {
+        throw new ErrorUso(validacionGateway.mensaje);
+    }
+
+    const [subcomando, ...resto] = posicionales;
+    return {
+        subcomando: subcomando,
+        posicionales: resto,
+        formato: formato,
+        puntoAPunto: puntoAPunto,
+        politicaGateway: validacionGateway.politica,
+        ayuda: ayuda
+    };
+}
+
+/**
+ * Valida los argumentos de un subcomando y realiza el cálculo
+ * @param {string} subcomando - 'hosts', 'mask' o 'split'
+ * @param {Array<string>} argumentos - Argumentos posicionales del subcomando
+ * @param {object} opciones - {puntoAPunto (subcomando hosts), politicaGateway}
+ * @returns {Array<ResultadoIp>} - Subredes calculadas
+ * @throws {Error} - Con el mensaje de Validador o de CalculadoraSubredes si la entrada no es válida
+ */
+function calcular(subcomando, argumentos, opciones) {
+    const { puntoAPunto, politicaGateway } = opciones;
+    let validacion;
+
+    switch (subcomando) {
+        case 'hosts': {
+            if (argumentos.length !== 2) {
+                throw new ErrorUso('hosts espera: <ip> <hosts>');
+            }
+            const [ip, hosts] = argumentos;
+            validacion = Validador.validarEntradaCompleta(ip, 'hosts', '', hosts);
+            if (!validacion.esValido) {
+                throw new Error(validacion.mensaje);
+            }
+            return [CalculadoraSubredes.calcularDesdeHosts(validacion.ip, validacion.numeroHosts, puntoAPunto, politicaGateway)];
+        }
+
+        case 'mask': {
+            if (argumentos.length < 1 || argumentos.length > 2) {
+                throw new ErrorUso('mask espera: <ip/prefijo> o <ip> <mascara>');
+            }
+            const [ip, mascara = ''] = argumentos;
+            validacion = Validador.validarEntradaCompleta(ip, 'mask', mascara);
+            if (!validacion.esValido) {
+                throw new Error(validacion.mensaje);
+            }
+            return [CalculadoraSubredes.calcularDesdeMascara(validacion.ip, validacion.mascara, politicaGateway)];
+        }
+
+        case 'split': {
+            if (argumentos.length < 2 || argumentos.length > 3) {
+                throw new ErrorUso('split espera: <ip/prefijo> <subredes> o <ip> <mascara> <subredes>');
+            }
+            const subredes = argumentos[argumentos.length - 1];
+            const [ip, mascara = ''] = argumentos.slice(0, -1);
+            validacion = Validador.validarEntradaCompleta(ip, 'split', mascara, '', subredes);
+            if (!validacion.esValido) {
+                throw new Error(validacion.mensaje);
+            }
+            if (validacion.numeroSubredes > MAXIMO_SUBREDES) {
+                throw new Error(`La línea de comandos divide en hasta ${MAXIMO_SUBREDES} subredes por cálculo ` +
+                                `y se han pedido ${validacion.numeroSubredes}.`);
+            }
+            return CalculadoraSubredes.dividirEnSubredes(validacion.ip, validacion.mascara,
+                validacion.numeroSubredes, 0, validacion.numeroSubredes, politicaGateway);
+        }
+
+        default:
+            throw new ErrorUso(`Subcomando desconocido: "${subcomando}".`);
+    }
+}
+
+/**
+ * Da formato a las subredes calculadas
+ * @param {Array<ResultadoIp>} resultados - Subredes a mostrar
+ * @param {string} formato - 'tabla' o 'texto' ('json' se genera aparte para poder agrupar lotes)
+ * @returns {string} - Texto para la salida estándar
+ */
+function formatearResultados(resultados, formato) {
+    if (formato === 'texto') {
+        return resultados.map(resultado => resultado.toString()).join('\n\n');
+    }
+
+    const encabezado = ['Red', 'Máscara', 'Broadcast', 'Primer host', 'Último host', 'Gateway', 'Hosts'];
+    const filas = resultados.map(resultado => [
+        resultado.getRedCIDR(),
+        resultado.subnetMask,
+        // Un valor sin espacios para que las columnas se puedan separar con awk o cut
+        resultado.tieneBroadcast() ? resultado.broadcastIP : 'n/a',
+        resultado.firstHostIP,
+        resultado.lastHostIP,
+        resultado.gatewayIP,
+        String(resultado.totalHosts)
+    ]);
+    // Sin Math.max(...filas): un lote puede tener más filas de las que admite una llamada
+    const anchos = encabezado.map((titulo, columna) =>
+        filas.reduce((ancho, fila) => Math.max(ancho, fila[columna].length), titulo.length));
+    const formatearFila = fila => fila.map((valor, columna) => valor.padEnd(anchos[columna])).join('  ').trimEnd();
+
+    return [
+        formatearFila(encabezado),
+        formatearFila(anchos.map(ancho => '-'.repeat(ancho))),
+        ...filas.map(formatearFila)
+    ].join('\n');
+}
+
+/**
+ * Convierte el resultado de un cálculo a su valor JSON (objeto para hosts/mask, lista para split)
+ * @param {string} subcomando - Subcomando ejecutado
+ * @param {Array<ResultadoIp>} resultados - Subredes calculadas
+ * @returns {object|Array<object>} - Valor serializable
+ */
+function aJSON(subcomando, resultados) {
+    return subcomando === 'split'
+        ? resultados.map(resultado => resultado.toJSON())
+        : resultados[0].toJSON();
+}
+
+/**
+ * Lee toda la entrada estándar
+ * @returns {Promise<string>} - Contenido leído
+ */
+function leerEntradaEstandar() {
+    return new Promise((resolve, reject) => {
+        let contenido = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', fragmento => {
+            contenido += fragmento;
+        });
+        process.stdin.on('end', () => resolve(contenido));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Ejecuta la línea de comandos
+ * @param {Array<string>} argumentos - Argumentos de process.argv sin node ni el script
+ * @returns {Promise<number>} - Código de salida
+ */
+async function main(argumentos) {
+    let opciones;
+    try {
+        opciones = analizarArgumentos(argumentos);
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${AYUDA}`);
+        return CODIGO_USO_INCORRECTO;
+    }
+
+    if (opciones.ayuda || !opciones.subcomando) {
+        (opciones.ayuda ? console.log : console.error)(AYUDA);
+        return opciones.ayuda ? 0 : CODIGO_USO_INCORRECTO;
+    }
+
+    const { subcomando, posicionales, formato } = opciones;
+    const esLote = posicionales.length === 1 && posicionales[0] === '-';
+    const calculos = esLote
+        ? (await leerEntradaEstandar())
+            .split('\n')
+            .map((linea, indice) => ({ numero: indice + 1, argumentos: linea.trim().split(/\s+/).filter(Boolean) }))
+            .filter(calculo => calculo.argumentos.length > 0 && !calculo.argumentos[0].startsWith('#'))
+        : [{ numero: null, argumentos: posicionales }];
+
+    let codigo = 0;
+    const salidasJSON = [];
+    const todosLosResultados = [];
+    for (const calculo of calculos) {
+        const prefijo = calculo.numero ? `Línea ${calculo.numero}: ` : '';
+        try {
+            const resultados = calcular(subcomando, calculo.argumentos, opciones);
+            salidasJSON.push(aJSON(subcomando, resultados));
+            resultados.forEach(resultado => todosLosResultados.push(resultado));
+        } catch (error) {
+            if (error instanceof ErrorUso) {
+                console.error(`${prefijo}Error: ${error.message}${esLote ? '' : `\n\n${AYUDA}`}`);
+                codigo = Math.max(codigo, CODIGO_USO_INCORRECTO);
+            } else {
+                console.error(`${prefijo}Error: ${error.message}`);
+                codigo = Math.max(codigo, CODIGO_ENTRADA_INVALIDA);
+            }
+        }
+    }
+
+    if (formato === 'json') {
+        // Un lote se emite como una lista con un elemento por línea correcta
+        if (esLote || salidasJSON.length > 0) {
+            console.log(JSON.stringify(esLote ? salidasJSON : salidasJSON[0], null, 2));
+        }
+    } else if (todosLosResultados.length > 0) {
+        // Un lote en tabla se muestra como una sola tabla
+        console.log(formatearResultados(todosLosResultados, formato));
+    }
+
+    return codigo;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(codigo => {
+        process.exitCode = codigo;
+    });
+}
+
+module.exports = { main };
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * Módulo Exportador de Resultados
+ * Convierte los resultados mostrados (una subred o una tabla) a CSV, JSON, Markdown y texto,
+ * y vuelve a leer el JSON exportado
+ */
+class ExportadorResultados {
+    /**
+     * Identificador y versión del formato JSON. Incrementar la versión si cambia la estructura
+     * @returns {object} - {formato, version}
+     */
+    static get FORMATO_JSON() {
+        return { formato: 'calculadora-subredes', version: 1 };
+    }
+
+    /**
+     * Extensión y tipo MIME de cada formato
+     * @returns {object} - {extension, tipoMime} por formato
+     */
+    static get FORMATOS() {
+        return {
+            csv: { extension: 'csv', tipoMime: 'text/csv' },
+            json: { extension: 'json', tipoMime: 'application/json' },
+            markdown: { extension: 'md', tipoMime: 'text/markdown' },
+            texto: { extension: 'txt', tipoMime: 'text/plain' }
+        };
+    }
+
+    /**
+     * Genera la exportación en el formato indicado
+     * @param {string} formato - 'csv', 'json', 'markdown' o 'texto'
+     * @param {Array<object>} filas - Filas mostradas ({resultado, nombre?, hostsRequeridos?} u otras)
+     * @param {Array<object>} columnas - Columnas {titulo, valor(fila)} usadas en CSV, Markdown y texto
+     * @param {object} opciones - {titulo}
+     * @returns {string} - Contenido exportado
+     */
+    static generar(formato, filas, columnas, opciones = {}) {
+        switch (formato) {
+            case 'csv':
+                return this.generarCSV(filas, columnas);
+            case 'json':
+                return this.generarJSON(filas, columnas, opciones);
+            case 'markdown':
+                return this.generarMarkdown(filas, columnas, opciones);
+            case 'texto':
+                return this.generarTexto(filas, columnas, opciones);
+            default:
+                throw new Error(Traductor.t('Formato de exportación no soportado: {formato}', { formato: formato }));
+        }
+    }
+
+    /**
+     * Genera un CSV (RFC 4180) con una fila por resultado
+     * @param {Array<object>} filas - Filas a exportar
+     * @param {Array<object>} columnas - Columnas {titulo, valor(fila)}
+     * @returns {string} - Contenido CSV
+     */
+    static generarCSV(filas, columnas) {
+        return [
+            this._filaCSV(columnas.map(columna => columna.titulo)),
+            ...filas.map(fila => this._filaCSV(columnas.map(columna => columna.valor(fila))))
+        ].join('\r\n');
+    }
+
+    /**
+     * Genera el mismo CSV que generarCSV por bloques de filas, para descargar listas muy grandes
+     * sin construir un único texto con todas ellas
+     * @param {object} fuente - Fuente paginada {total, obtenerFilas(desde, cantidad)}
+     * @param {Array<object>} columnas - Columnas {titulo, valor(fila)}
+     * @param {number} filasPorBloque - Filas de cada bloque
+     * @returns {Generator<string>} - Fragmentos del CSV: el encabezado y después cada bloque
+     */
+    static *generarCSVPorBloques(fuente, columnas, filasPorBloque = 16384) {
+        yield this._filaCSV(columnas.map(columna => columna.titulo));
+        for (let desde = 0; desde < fuente.total; desde += filasPorBloque) {
+            yield fuente.obtenerFilas(desde, filasPorBloque)
+                .map(fila => '\r\n' + this._filaCSV(columnas.map(columna => columna.valor(fila))))
+                .join('');
+        }
+    }
+
+    /**
+     * Convierte una fila a una línea CSV, entrecomillando los valores con comas, comillas o saltos de línea
+     * @param {Array<*>} valores - Valores de la fila
+     * @returns {string} - Línea CSV sin salto final
+     * @private
+     */
+    static _filaCSV(valores) {
+        return valores.map(valor => {
+            const texto = String(valor);
+            return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+        }).join(',');
+    }
+
+    /**
+     * Genera el JSON versionado. Las filas con resultado se guardan con su toJSON() (reimportable);
+     * el resto, como pares columna-valor
+     * @param {Array<object>} filas - Filas a exportar
+     * @param {Array<object>} columnas - Columnas {titulo, valor(fila)}
+     * @param {object} opciones - {titulo}
+     * @returns {string} - Documento JSON
+     */
+    static generarJSON(filas, columnas, opciones = {}) {
+        const documento = {
+            ...this.FORMATO_JSON,
+            generado: new Date().toISOString(),
+            titulo: opciones.titulo || '',
+            resultados: filas.map(fila => {
+                if (!fila.resultado) {
+                    return {
+                        valores: Object.fromEntries(columnas.map(columna => [columna.titulo, columna.valor(fila)]))
+                    };
+                }
+
+                const entrada = { ...fila.resultado.toJSON(), familia: fila.resultado.familia };
+                if (fila.nombre !== undefined) {
+                    entrada.nombre = fila.nombre;
+                }
+                if (fila.hostsRequeridos !== undefined) {
+                    entrada.hostsRequeridos = fila.hostsRequeridos;
+                }
+                return entrada;
+            })
+        };
+
+        return JSON.stringify(documento, null, 2);
+    }
+
+    /**
+     * Genera una tabla Markdown
+     * @param {Array<object>} filas - Filas a exportar
+     * @param {Array<object>} columnas - Columnas {titulo, valor(fila)}
+     * @param {object} opciones - {titulo}
+     * @returns {string} - Tabla Markdown (con encabezado si hay título)
+     */
+    static generarMarkdown(filas, columnas, opciones = {}) {
+        const celda = valor => String(valor).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const lineas = [];
+
+        if (opciones.titulo) {
+            lineas.push(`## ${opciones.titulo}`, '');
+        }
+        lineas.push(
+            `| ${columnas.map(columna => celda(columna.titulo)).join(' | ')} |`,
+            `| ${columnas.map(() => '---').join(' | ')} |`,
+            ...filas.map(fila => `| ${columnas.map(columna => celda(columna.valor(fila))).join(' | ')} |`)
+        );
+
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera un informe de texto plano con un bloque por resultado
+     * @param {Array<object>} filas - Filas a exportar
+     * @param {Array<object>} columnas - Columnas {titulo, valor(fila)} (para filas sin resultado)
+     * @param {object} opciones - {titulo}
+     * @returns {string} - Informe de texto
+     */
+    static generarTexto(filas, columnas, opciones = {}) {
+        const bloques = filas.map(fila => {
+            if (!fila.resultado) {
+                return columnas.map(columna => `${columna.titulo}: ${columna.valor(fila)}`).join('\n');
+            }
+            const segmento = fila.nombre !== undefined ? `${Traductor.t('Segmento')}: ${fila.nombre}\n` : '';
+            return segmento + fila.resultado.toString();
+        });
+
+        return `${Traductor.t('Calculadora de Subredes IP')} - ${opciones.titulo || Traductor.t('Resultados')}\n` +
+               `${Traductor.t('Fecha')}: ${Traductor.formatearFecha(new Date())}\n` +
+               `================================\n\n` +
+               bloques.join('\n\n--------------------------------\n\n');
+    }
+
+    /**
+     * Lee un JSON exportado y reconstruye los resultados
+     * @param {string} texto - Documento JSON generado por generarJSON
+     * @returns {object} - {titulo, filas: [{resultado, nombre?, hostsRequeridos?}]}
+     */
+    static importarJSON(texto) {
+        let documento;
+        try {
+            documento = JSON.parse(texto);
+        } catch (error) {
+            throw new Error(Traductor.t('El archivo no contiene un JSON válido.'));
+        }
+
+        const { formato, version } = this.FORMATO_JSON;
+        if (!documento || documento.formato !== formato || !Array.isArray(documento.resultados)) {
+            throw new Error(Traductor.t('El JSON no es una exportación de la calculadora de subredes.'));
+        }
+        if (documento.version > version) {
+            throw new Error(Traductor.t('El JSON usa la versión {version} del formato; esta versión solo lee hasta la {soportada}.', {
+                version: documento.version,
+                soportada: version
+            }));
+        }
+
+        const filas = documento.resultados
+            .filter(entrada => entrada && entrada.networkIP)
+            .map(entrada => {
+                const resultado = entrada.familia === 6
+                    ? ResultadoIpv6.fromObject(entrada)
+                    : ResultadoIp.fromObject(entrada);
+                if (!resultado.esValido()) {
+                    throw new Error(Traductor.t('Resultado no válido en el JSON: {red}.', {
+                        red: entrada.redCIDR || entrada.networkIP
+                    }));
+                }
+
+                const fila = { resultado: resultado };
+                if (entrada.nombre !== undefined) {
+                    fila.nombre = entrada.nombre;
+                }
+                if (entrada.hostsRequeridos !== undefined) {
+                    fila.hostsRequeridos = entrada.hostsRequeridos;
+                }
+                return fila;
+            });
+
+        return { titulo: documento.titulo || '', filas: filas };
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExportadorResultados;
+}
\ No newline at end of file
@@ -0,0 +1,287 @@
+/**
+ * Módulo Generador de Configuración
+ * Genera la configuración de interfaz/VLAN lista para pegar en routers y equipos
+ * (Cisco IOS, Juniper Junos, MikroTik RouterOS, Linux y Windows) a partir de una subred calculada
+ */
+class GeneradorConfiguracion {
+    /**
+     * Interfaz usada por cada plataforma cuando no se indica ninguna
+     * @returns {object} - Nombre de interfaz por plataforma
+     */
+    static get INTERFACES_PREDETERMINADAS() {
+        return {
+            'cisco-ios': 'GigabitEthernet0/0',
+            'junos': 'ge-0/0/0',
+            'routeros': 'ether1',
+            'linux-ip': 'eth0',
+            'netplan': 'eth0',
+            'windows-netsh': 'Ethernet'
+        };
+    }
+
+    /**
+     * Genera la configuración para la plataforma indicada
+     * Los routers reciben la IP del gateway; Linux y Windows, la primera IP de host libre
+     * con el gateway como ruta por defecto (salvo en /32, donde el gateway sería el propio equipo)
+     * @param {string} plataforma - 'cisco-ios', 'junos', 'routeros', 'linux-ip', 'netplan' o 'windows-netsh'
+     * @param {ResultadoIp} resultado - Subred calculada
+     * @param {object} opciones - {interfaz, vlan, descripcion}
+     * @returns {string} - Configuración generada
+     */
+    static generar(plataforma, resultado, opciones = {}) {
+        const interfazPredeterminada = this.INTERFACES_PREDETERMINADAS[plataforma];
+        if (!interfazPredeterminada) {
+            throw new Error(Traductor.t('Plataforma no soportada: {plataforma}', { plataforma: plataforma }));
+        }
+
+        const ipHost = this._obtenerIPHost(resultado);
+        const configuracion = {
+            resultado: resultado,
+            prefijo: CalculadoraSubredes.obtenerInfoAdicional(resultado.subnetMask).notacionCIDR,
+            interfaz: String(opciones.interfaz || '').trim() || interfazPredeterminada,
+            vlan: this._validarVLAN(opciones.vlan),
+            // Las comillas romperían la sintaxis de las descripciones en todas las plataformas
+            descripcion: String(opciones.descripcion || '').replace(/["']/g, '').trim(),
+            ipHost: ipHost,
+            // En /31 la otra dirección es el extremo del enlace, no un broadcast (RFC 3021)
+            sinBroadcast: CalculadoraSubredes.esSubredSinBroadcast(resultado.subnetMask),
+            // En /32 el gateway es la propia IP del equipo: no hay ruta por defecto que configurar
+            rutaPorDefecto: resultado.gatewayIP !== ipHost
+        };
+
+        switch (plataforma) {
+            case 'cisco-ios':
+                return this.generarCiscoIOS(configuracion);
+            case 'junos':
+                return this.generarJunos(configuracion);
+            case 'routeros':
+                return this.generarRouterOS(configuracion);
+            case 'linux-ip':
+                return this.generarLinuxIP(configuracion);
+            case 'netplan':
+                return this.generarNetplan(configuracion);
+            default:
+                return this.generarWindowsNetsh(configuracion);
+        }
+    }
+
+    /**
+     * Valida el ID de VLAN opcional
+     * @param {string|number} vlan - ID de VLAN (vacío si no se usa)
+     * @returns {number|null} - ID de VLAN o null
+     * @private
+     */
+    static _validarVLAN(vlan) {
+        const texto = String(vlan === undefined || vlan === null ? '' : vlan).trim();
+        if (texto === '') {
+            return null;
+        }
+
+        const id = Number(texto);
+        if (!/^\d+$/.test(texto) || id < 1 || id > 4094) {
+            throw new Error(Traductor.t('El ID de VLAN debe ser un número entre 1 y 4094.'));
+        }
+        return id;
+    }
+
+    /**
+     * Obtiene la IP para un equipo final: el primer host que no sea el gateway
+     * @param {ResultadoIp} resultado - Subred calculada
+     * @returns {string} - IP del equipo
+     * @private
+     */
+    static _obtenerIPHost(resultado) {
+        return resultado.firstHostIP !== resultado.gatewayIP ? resultado.firstHostIP : resultado.lastHostIP;
+    }
+
+    /**
+     * Comentario de cabecera con la red y el rango de hosts
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @param {string} marca - Marcador de comentario de la plataforma
+     * @returns {string} - Línea de comentario
+     * @private
+     */
+    static _cabecera(configuracion, marca) {
+        const { resultado } = configuracion;
+        return `${marca} ${Traductor.t('Red {red} - hosts {primero} a {ultimo}, gateway {gateway}', {
+            red: resultado.getRedCIDR(),
+            primero: resultado.firstHostIP,
+            ultimo: resultado.lastHostIP,
+            gateway: resultado.gatewayIP
+        })}`;
+    }
+
+    /**
+     * Genera la configuración de Cisco IOS (SVI si hay VLAN, interfaz física si no)
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @returns {string} - Comandos de configuración
+     */
+    static generarCiscoIOS(configuracion) {
+        const { resultado, vlan, descripcion } = configuracion;
+        const lineas = [this._cabecera(configuracion, '!')];
+
+        if (vlan) {
+            lineas.push(`vlan ${vlan}`);
+            if (descripcion) {
+                lineas.push(` name ${descripcion.replace(/\s+/g, '_')}`);
+            }
+            lineas.push('!', `interface Vlan${vlan}`);
+        } else {
+            lineas.push(`interface ${configuracion.interfaz}`);
+        }
+
+        if (descripcion) {
+            lineas.push(` description ${descripcion}`);
+        }
+        lineas.push(
+            ` ip address ${resultado.gatewayIP} ${resultado.subnetMask}`,
+            ' no shutdown',
+            '!'
+        );
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera la configuración de Juniper Junos en formato set (IRB si hay VLAN)
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @returns {string} - Comandos set
+     */
+    static generarJunos(configuracion) {
+        const { resultado, prefijo, vlan, descripcion } = configuracion;
+        const lineas = [this._cabecera(configuracion, '#')];
+        let unidad = `${configuracion.interfaz} unit 0`;
+
+        if (vlan) {
+            const nombreVLAN = descripcion ? descripcion.replace(/\s+/g, '-') : `vlan${vlan}`;
+            unidad = `irb unit ${vlan}`;
+            lineas.push(
+                `set vlans ${nombreVLAN} vlan-id ${vlan}`,
+                `set vlans ${nombreVLAN} l3-interface irb.${vlan}`
+            );
+        }
+
+        if (descripcion) {
+            lineas.push(`set interfaces ${unidad} description "${descripcion}"`);
+        }
+        lineas.push(`set interfaces ${unidad} family inet address ${resultado.gatewayIP}/${prefijo}`);
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera la configuración de MikroTik RouterOS
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @returns {string} - Comandos de consola
+     */
+    static generarRouterOS(configuracion) {
+        const { resultado, prefijo, vlan, descripcion } = configuracion;
+        const lineas = [this._cabecera(configuracion, '#')];
+        let interfaz = configuracion.interfaz;
+
+        if (vlan) {
+            interfaz = `vlan${vlan}`;
+            lineas.push(`/interface vlan add interface=${configuracion.interfaz} name=${interfaz} vlan-id=${vlan}`);
+        }
+
+        const comentario = descripcion ? ` comment="${descripcion}"` : '';
+        lineas.push(
+            `/ip address add address=${resultado.gatewayIP}/${prefijo} network=${resultado.networkIP} ` +
+            `interface=${interfaz}${comentario}`
+        );
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera los comandos de iproute2 para un equipo Linux
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @returns {string} - Comandos de shell
+     */
+    static generarLinuxIP(configuracion) {
+        const { resultado, prefijo, vlan, ipHost, sinBroadcast, rutaPorDefecto } = configuracion;
+        const lineas = [this._cabecera(configuracion, '#')];
+        let interfaz = configuracion.interfaz;
+
+        if (vlan) {
+            interfaz = `${configuracion.interfaz}.${vlan}`;
+            lineas.push(`ip link add link ${configuracion.interfaz} name ${interfaz} type vlan id ${vlan}`);
+        }
+
+        const broadcast = sinBroadcast ? '' : ` brd ${resultado.broadcastIP}`;
+        lineas.push(
+            `ip link set ${interfaz} up`,
+            `ip addr add ${ipHost}/${prefijo}${broadcast} dev ${interfaz}`
+        );
+        if (rutaPorDefecto) {
+            lineas.push(`ip route add default via ${resultado.gatewayIP} dev ${interfaz}`);
+        }
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera un fichero netplan (YAML) para un equipo Linux
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @returns {string} - Contenido YAML
+     */
+    static generarNetplan(configuracion) {
+        const { resultado, prefijo, vlan, ipHost, interfaz, rutaPorDefecto } = configuracion;
+        const direccionamiento = [
+            '      addresses:',
+            `        - ${ipHost}/${prefijo}`
+        ];
+        if (rutaPorDefecto) {
+            direccionamiento.push(
+                '      routes:',
+                '        - to: default',
+                `          via: ${resultado.gatewayIP}`
+            );
+        }
+        const lineas = [
+            this._cabecera(configuracion, '#'),
+            'network:',
+            '  version: 2',
+            '  ethernets:'
+        ];
+
+        if (vlan) {
+            lineas.push(
+                `    ${interfaz}: {}`,
+                '  vlans:',
+                `    ${interfaz}.${vlan}:`,
+                `      id: ${vlan}`,
+                `      link: ${interfaz}`,
+                ...direccionamiento
+            );
+        } else {
+            lineas.push(`    ${interfaz}:`, ...direccionamiento);
+        }
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera el comando netsh para un equipo Windows
+     * Windows no crea VLAN desde netsh: el etiquetado depende del controlador de la tarjeta
+     * @param {object} configuracion - Datos normalizados de generar()
+     * @returns {string} - Comandos de netsh
+     */
+    static generarWindowsNetsh(configuracion) {
+        const { resultado, vlan, ipHost, interfaz, rutaPorDefecto } = configuracion;
+        const lineas = [this._cabecera(configuracion, 'REM')];
+
+        if (vlan) {
+            lineas.push(`REM ${Traductor.t('Configura la VLAN {vlan} en las propiedades avanzadas del adaptador "{interfaz}"', {
+                vlan: vlan,
+                interfaz: interfaz
+            })}`);
+        }
+        const gateway = rutaPorDefecto ? ` ${resultado.gatewayIP}` : '';
+        lineas.push(
+            `netsh interface ipv4 set address name="${interfaz}" static ${ipHost} ` +
+            `${resultado.subnetMask}${gateway}`
+        );
+        return lineas.join('\n');
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneradorConfiguracion;
+}
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Módulo Generador DHCP
+ * Exporta un ámbito DHCP (pools, reservas y opciones) como configuración de ISC dhcpd, Kea y dnsmasq
+ */
+class GeneradorDHCP {
+    /**
+     * Genera la configuración del ámbito en el formato indicado
+     * @param {string} formato - 'isc-dhcpd', 'kea' o 'dnsmasq'
+     * @param {object} ambito - Ámbito calculado con CalculadoraSubredes.calcularAmbitoDHCP
+     * @param {object} opciones - {dns: Array<string>, dominio, tiempoConcesion (segundos)}
+     * @returns {string} - Configuración generada
+     */
+    static generar(formato, ambito, opciones = {}) {
+        const datos = {
+            dns: opciones.dns || [],
+            dominio: opciones.dominio || '',
+            tiempoConcesion: opciones.tiempoConcesion || 86400
+        };
+
+        switch (formato) {
+            case 'isc-dhcpd':
+                return this.generarISC(ambito, datos);
+            case 'kea':
+                return this.generarKea(ambito, datos);
+            case 'dnsmasq':
+                return this.generarDnsmasq(ambito, datos);
+            default:
+                throw new Error(Traductor.t('Formato DHCP no soportado: {formato}', { formato: formato }));
+        }
+    }
+
+    /**
+     * Nombre de host de una reserva (el indicado o uno derivado de la IP)
+     * @param {object} reserva - Reserva {mac, ip, nombre}
+     * @returns {string} - Nombre de host
+     * @private
+     */
+    static _nombreReserva(reserva) {
+        return reserva.nombre || `host-${reserva.ip.replace(/\./g, '-')}`;
+    }
+
+    /**
+     * Genera una declaración subnet de ISC dhcpd
+     * @param {object} ambito - Ámbito DHCP
+     * @param {object} datos - Opciones normalizadas
+     * @returns {string} - Contenido de dhcpd.conf
+     */
+    static generarISC(ambito, datos) {
+        const { resultado } = ambito;
+        const lineas = [
+            `subnet ${resultado.networkIP} netmask ${resultado.subnetMask} {`,
+            ...ambito.pools.map(pool => `    range ${pool.inicio} ${pool.fin};`),
+            `    option routers ${resultado.gatewayIP};`,
+            `    option subnet-mask ${resultado.subnetMask};`
+        ];
+
+        // Las subredes /31 y /32 no tienen dirección de broadcast
+        if (!CalculadoraSubredes.esSubredSinBroadcast(resultado.subnetMask)) {
+            lineas.push(`    option broadcast-address ${resultado.broadcastIP};`);
+        }
+        if (datos.dns.length > 0) {
+            lineas.push(`    option domain-name-servers ${datos.dns.join(', ')};`);
+        }
+        if (datos.dominio) {
+            lineas.push(`    option domain-name "${datos.dominio}";`);
+        }
+        lineas.push(
+            `    default-lease-time ${datos.tiempoConcesion};`,
+            `    max-lease-time ${datos.tiempoConcesion * 2};`,
+            '}'
+        );
+
+        ambito.reservas.forEach(reserva => {
+            lineas.push(
+                '',
+                `host ${this._nombreReserva(reserva)} {`,
+                `    hardware ethernet ${reserva.mac};`,
+                `    fixed-address ${reserva.ip};`,
+                '}'
+            );
+        });
+
+        return lineas.join('\n');
+    }
+
+    /**
+     * Genera la configuración JSON de Kea DHCPv4
+     * @param {object} ambito - Ámbito DHCP
+     * @param {object} datos - Opciones normalizadas
+     * @returns {string} - Documento JSON de kea-dhcp4
+     */
+    static generarKea(ambito, datos) {
+        const { resultado } = ambito;
+        const opciones = [{ name: 'routers', data: resultado.gatewayIP }];
+        if (!CalculadoraSubredes.esSubredSinBroadcast(resultado.subnetMask)) {
+            opciones.push({ name: 'broadcast-address', data: resultado.broadcastIP });
+        }
+        if (datos.dns.length > 0) {
+            opciones.push({ name: 'domain-name-servers', data: datos.dns.join(', ') });
+        }
+        if (datos.dominio) {
+            opciones.push({ name: 'domain-name', data: datos.dominio });
+        }
+
+        const subred = {
+            id: 1,
+            subnet: resultado.getRedCIDR(),
+            pools: ambito.pools.map(pool => ({ pool: `${pool.inicio} - ${pool.fin}` })),
+            'option-data': opciones,
+            'valid-lifetime': datos.tiempoConcesion
+        };
+        if (ambito.reservas.length > 0) {
+            subred.reservations = ambito.reservas.map(reserva => ({
+                'hw-address': reserva.mac,
+                'ip-address': reserva.ip,
+                hostname: this._nombreReserva(reserva)
+            }));
+        }
+
+        return JSON.stringify({ Dhcp4: { subnet4: [subred] } }, null, 2);
+    }
+
+    /**
+     * Genera la configuración de dnsmasq
+     * @param {object} ambito - Ámbito DHCP
+     * @param {object} datos - Opciones normalizadas
+     * @returns {string} - Líneas de dnsmasq.conf
+     */
+    static generarDnsmasq(ambito, datos) {
+        const { resultado } = ambito;
+        const lineas = [
+            ...ambito.pools.map(pool =>
+                `dhcp-range=${pool.inicio},${pool.fin},${resultado.subnetMask},${datos.tiempoConcesion}s`),
+            `dhcp-option=option:router,${resultado.gatewayIP}`
+        ];
+
+        if (!CalculadoraSubredes.esSubredSinBroadcast(resultado.subnetMask)) {
+            lineas.push(`dhcp-option=option:broadcast,${resultado.broadcastIP}`);
+        }
+        if (datos.dns.length > 0) {
+            lineas.push(`dhcp-option=option:dns-server,${datos.dns.join(',')}`);
+        }
+        if (datos.dominio) {
+            lineas.push(`domain=${datos.dominio}`);
+        }
+        ambito.reservas.forEach(reserva => {
+            lineas.push(`dhcp-host=${reserva.mac},${this._nombreReserva(reserva)},${reserva.ip}`);
+        });
+
+        return lineas.join('\n');
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneradorDHCP;
+}
\ No newline at end of file
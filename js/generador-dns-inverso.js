@@ -0,0 +1,191 @@
+/**
+ * Módulo Generador DNS Inverso
+ * Genera las zonas in-addr.arpa (formato BIND) con los registros PTR de los hosts de una subred IPv4.
+ * Los prefijos más largos que /24 usan la delegación sin clases de RFC 2317: una zona propia
+ * ("64/26.2.0.192.in-addr.arpa") y, para la zona /24 que la contiene, el NS y los CNAME de la delegación
+ */
+class GeneradorDNSInverso {
+    /**
+     * Número máximo de direcciones de la subred (un /16, 256 zonas /24)
+     * @returns {number} - Máximo de direcciones
+     */
+    static get MAXIMO_DIRECCIONES() {
+        return 65536;
+    }
+
+    /**
+     * Marcadores admitidos en el patrón de nombres
+     * @returns {Array<string>} - Marcadores
+     */
+    static get MARCADORES() {
+        return ['{ip-dashed}', '{a}', '{b}', '{c}', '{d}'];
+    }
+
+    /**
+     * Construye el nombre de un host a partir del patrón
+     * @param {string} patron - Patrón con marcadores (ej: host-{ip-dashed}.example.net)
+     * @param {string} ip - Dirección del host
+     * @returns {string} - Nombre del host (ej: host-192-0-2-10.example.net)
+     */
+    static aplicarPatron(patron, ip) {
+        const [a, b, c, d] = ip.split('.');
+        const valores = { 'ip-dashed': ip.replace(/\./g, '-'), a: a, b: b, c: c, d: d };
+        return patron.replace(/\{(ip-dashed|a|b|c|d)\}/g, (marcador, clave) => valores[clave]);
+    }
+
+    /**
+     * Comprueba que el patrón use solo MARCADORES, incluya al menos uno y genere nombres de dominio válidos
+     * @param {string} patron - Patrón de nombres, sin punto final
+     * @throws {Error} - Si el patrón no es válido
+     */
+    static comprobarPatron(patron) {
+        const marcadores = patron.match(/\{[^}]*\}/g) || [];
+        const desconocido = marcadores.find(marcador => !this.MARCADORES.includes(marcador));
+        if (desconocido) {
+            throw new Error(Traductor.t('Marcador desconocido en el patrón: {marcador}. Usa {marcadores}.', {
+                marcador: desconocido,
+                marcadores: this.MARCADORES.join(', ')
+            }));
+        }
+        if (marcadores.length === 0) {
+            throw new Error(Traductor.t('El patrón debe incluir un marcador (ej: {marcador}) para que cada dirección tenga su nombre.', {
+                marcador: '{ip-dashed}'
+            }));
+        }
+        // Con la dirección más larga posible se comprueba también la longitud de las etiquetas
+        const ejemplo = this.aplicarPatron(patron, '255.255.255.255');
+        if (!Validador.esNombreDominioValido(ejemplo)) {
+            throw new Error(Traductor.t('El patrón no genera nombres válidos (ej: "{ejemplo}"). ' +
+                                        'Usa letras sin acentos, números, "-" y puntos entre etiquetas.', { ejemplo: ejemplo }));
+        }
+    }
+
+    /**
+     * Genera las zonas de la subred: una por cada /24 que abarca o, en prefijos más largos que /24,
+     * la zona RFC 2317 y el fragmento de delegación para la zona /24 que la contiene
+     * @param {ResultadoIp} resultado - Subred
+     * @param {object} opciones - Opciones validadas con Validador.validarZonaInversa {patron, servidores, contacto, ttl, serie?}
+     * @returns {Array<object>} - Zonas {nombre, archivo, registros, delegacion, contenido}
+     * @throws {Error} - Si el patrón no es válido o la subred tiene más de MAXIMO_DIRECCIONES direcciones
+     */
+    static generarZonas(resultado, opciones) {
+        this.comprobarPatron(opciones.patron);
+
+        const inicio = CalculadoraSubredes.ipANumero(resultado.networkIP);
+        const fin = CalculadoraSubredes.ipANumero(resultado.broadcastIP);
+        if (fin - inicio + 1 > this.MAXIMO_DIRECCIONES) {
+            throw new Error(Traductor.t('La zona inversa se genera para subredes de hasta /16 ({maximo} direcciones); ' +
+                                        '{red} tiene {total}.', {
+                maximo: Traductor.formatearNumero(this.MAXIMO_DIRECCIONES),
+                red: resultado.getRedCIDR(),
+                total: Traductor.formatearNumero(fin - inicio + 1)
+            }));
+        }
+
+        const datos = { ...opciones, serie: opciones.serie || this._serieDeHoy() };
+        const primerHost = CalculadoraSubredes.ipANumero(resultado.firstHostIP);
+        const ultimoHost = CalculadoraSubredes.ipANumero(resultado.lastHostIP);
+        const prefijo = CalculadoraSubredes.obtenerInfoAdicional(resultado.subnetMask).bitsRed;
+
+        const zonas = [];
+        for (let bloque = inicio - inicio % 256; bloque <= fin; bloque += 256) {
+            const [a, b, c] = CalculadoraSubredes.numeroAIp(bloque).split('.');
+            const nombre24 = `${c}.${b}.${a}.in-addr.arpa`;
+            const hosts = [];
+            for (let numero = Math.max(bloque, primerHost); numero <= Math.min(bloque + 255, ultimoHost); numero++) {
+                hosts.push(CalculadoraSubredes.numeroAIp(numero));
+            }
+
+            if (prefijo <= 24) {
+                const descripcion = prefijo === 24 ? resultado.getRedCIDR() : Traductor.t('{bloque} (de {red})', {
+                    bloque: `${a}.${b}.${c}.0/24`,
+                    red: resultado.getRedCIDR()
+                });
+                zonas.push(this._generarZona(nombre24, `db.${a}.${b}.${c}`, descripcion, hosts, datos));
+                continue;
+            }
+
+            // RFC 2317: la subred tiene su propia zona y la zona /24 delega en ella
+            const etiqueta = `${inicio % 256}/${prefijo}`;
+            const nombre = `${etiqueta}.${nombre24}`;
+            zonas.push(this._generarZona(nombre, `db.${resultado.networkIP}-${prefijo}`,
+                Traductor.t('{red} (delegación sin clases, RFC 2317)', { red: resultado.getRedCIDR() }), hosts, datos));
+            zonas.push(this._generarDelegacion(nombre24, etiqueta, nombre, hosts, datos));
+        }
+
+        return zonas;
+    }
+
+    /**
+     * Genera una zona con su SOA, sus NS y un PTR por host
+     * @param {string} nombre - Nombre de la zona (sin punto final)
+     * @param {string} archivo - Nombre sugerido del archivo de zona
+     * @param {string} descripcion - Red que cubre la zona
+     * @param {Array<string>} hosts - Direcciones de la zona con registro PTR
+     * @param {object} datos - Opciones normalizadas
+     * @returns {object} - Zona {nombre, archivo, registros, delegacion: false, contenido}
+     * @private
+     */
+    static _generarZona(nombre, archivo, descripcion, hosts, datos) {
+        const [servidorPrincipal] = datos.servidores;
+        const lineas = [
+            `; ${Traductor.t('Zona inversa {nombre} para {descripcion}', { nombre: nombre, descripcion: descripcion })}`,
+            `; ${Traductor.t('Archivo sugerido: {archivo}', { archivo: archivo })}`,
+            `$ORIGIN ${nombre}.`,
+            `$TTL ${datos.ttl}`,
+            `@       IN  SOA ${servidorPrincipal}. ${datos.contacto}. (`,
+            `                ${String(datos.serie).padEnd(10)} ; ${Traductor.t('serie')}`,
+            `                ${'3600'.padEnd(10)} ; ${Traductor.t('refresco')}`,
+            `                ${'900'.padEnd(10)} ; ${Traductor.t('reintento')}`,
+            `                ${'1209600'.padEnd(10)} ; ${Traductor.t('expiración')}`,
+            `                ${`${datos.ttl} )`.padEnd(10)} ; ${Traductor.t('TTL negativo')}`,
+            ...datos.servidores.map(servidor => `        IN  NS  ${servidor}.`),
+            '',
+            ...hosts.map(ip =>
+                `${ip.split('.')[3].padEnd(8)}IN  PTR ${this.aplicarPatron(datos.patron, ip)}.`)
+        ];
+
+        return { nombre: nombre, archivo: archivo, registros: hosts.length, delegacion: false, contenido: lineas.join('\n') };
+    }
+
+    /**
+     * Genera los registros que la zona /24 necesita para delegar una subred sin clases (RFC 2317):
+     * el NS de la zona delegada y un CNAME por host que apunta a su PTR en ella
+     * @param {string} zonaPadre - Zona /24 que contiene la subred
+     * @param {string} etiqueta - Etiqueta de la zona delegada dentro de la /24 (ej: 64/26)
+     * @param {string} zonaDelegada - Nombre completo de la zona delegada
+     * @param {Array<string>} hosts - Direcciones con registro PTR
+     * @param {object} datos - Opciones normalizadas
+     * @returns {object} - Fragmento {nombre, archivo, registros, delegacion: true, contenido}
+     * @private
+     */
+    static _generarDelegacion(zonaPadre, etiqueta, zonaDelegada, hosts, datos) {
+        const lineas = [
+            `; ${Traductor.t('Delegación de {zona} (RFC 2317)', { zona: zonaDelegada })}`,
+            `; ${Traductor.t('Añadir a la zona {zona}', { zona: zonaPadre })}`,
+            ...datos.servidores.map(servidor => `${etiqueta.padEnd(8)}IN  NS     ${servidor}.`),
+            ...hosts.map(ip => {
+                const octeto = ip.split('.')[3];
+                return `${octeto.padEnd(8)}IN  CNAME  ${octeto}.${zonaDelegada}.`;
+            })
+        ];
+
+        return { nombre: zonaPadre, archivo: null, registros: hosts.length, delegacion: true, contenido: lineas.join('\n') };
+    }
+
+    /**
+     * Número de serie del SOA con la fecha de hoy (AAAAMMDD01)
+     * @returns {number} - Número de serie
+     * @private
+     */
+    static _serieDeHoy() {
+        const hoy = new Date();
+        return Number(`${hoy.getFullYear()}${String(hoy.getMonth() + 1).padStart(2, '0')}` +
+                      `${String(hoy.getDate()).padStart(2, '0')}01`);
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneradorDNSInverso;
+}
\ No newline at end of file
@@ -0,0 +1,139 @@
+/**
+ * Módulo Generador de Reglas
+ * Genera ACL de Cisco, sentencias network de OSPF y reglas iptables/nftables
+ * a partir de una o varias subredes calculadas
+ */
+class GeneradorReglas {
+    /**
+     * Genera las reglas en el formato indicado
+     * @param {string} formato - 'acl-estandar', 'acl-extendida', 'ospf', 'iptables' o 'nftables'
+     * @param {ResultadoIp|Array<ResultadoIp>} resultados - Subred o lista de subredes
+     * @param {object} opciones - {accion: 'permit'|'deny', idACL, areaOSPF, procesoOSPF}
+     * @returns {string} - Reglas generadas, una por línea
+     */
+    static generar(formato, resultados, opciones = {}) {
+        const subredes = Array.isArray(resultados) ? resultados : [resultados];
+
+        switch (formato) {
+            case 'acl-estandar':
+                return this.generarACLEstandar(subredes, opciones);
+            case 'acl-extendida':
+                return this.generarACLExtendida(subredes, opciones);
+            case 'ospf':
+                return this.generarOSPF(subredes, opciones);
+            case 'iptables':
+                return this.generarIptables(subredes, opciones);
+            case 'nftables':
+                return this.generarNftables(subredes, opciones);
+            default:
+                throw new Error(Traductor.t('Formato de reglas no soportado: {formato}', { formato: formato }));
+        }
+    }
+
+    /**
+     * Obtiene la parte "origen" de una entrada ACL (red + wildcard, o "host" para una /32)
+     * @param {ResultadoIp} resultado - Subred
+     * @returns {string} - Origen en sintaxis Cisco
+     * @private
+     */
+    static _origenCisco(resultado) {
+        if (resultado.subnetMask === '255.255.255.255') {
+            return `host ${resultado.networkIP}`;
+        }
+        return `${resultado.networkIP} ${resultado.getWildcard()}`;
+    }
+
+    /**
+     * Genera una ACL estándar: numerada (1-99, 1300-1999) o con nombre
+     * @param {Array<ResultadoIp>} subredes - Subredes a incluir
+     * @param {object} opciones - {accion, idACL}
+     * @returns {string} - Entradas de la ACL
+     */
+    static generarACLEstandar(subredes, opciones = {}) {
+        const accion = opciones.accion || 'permit';
+        const idACL = String(opciones.idACL || '10').trim();
+        const entradas = subredes.map(resultado => `${accion} ${this._origenCisco(resultado)}`);
+
+        if (/^\d+$/.test(idACL)) {
+            return entradas.map(entrada => `access-list ${idACL} ${entrada}`).join('\n');
+        }
+
+        return [`ip access-list standard ${idACL}`, ...entradas.map(entrada => ` ${entrada}`)].join('\n');
+    }
+
+    /**
+     * Genera una ACL extendida (tráfico IP desde cada subred hacia cualquier destino)
+     * @param {Array<ResultadoIp>} subredes - Subredes a incluir
+     * @param {object} opciones - {accion, idACL}
+     * @returns {string} - Entradas de la ACL
+     */
+    static generarACLExtendida(subredes, opciones = {}) {
+        const accion = opciones.accion || 'permit';
+        const idACL = String(opciones.idACL || '110').trim();
+        const entradas = subredes.map(resultado => `${accion} ip ${this._origenCisco(resultado)} any`);
+
+        if (/^\d+$/.test(idACL)) {
+            return entradas.map(entrada => `access-list ${idACL} ${entrada}`).join('\n');
+        }
+
+        return [`ip access-list extended ${idACL}`, ...entradas.map(entrada => ` ${entrada}`)].join('\n');
+    }
+
+    /**
+     * Genera las sentencias network de OSPF para anunciar las subredes
+     * @param {Array<ResultadoIp>} subredes - Subredes a anunciar
+     * @param {object} opciones - {areaOSPF, procesoOSPF}
+     * @returns {string} - Configuración del proceso OSPF
+     */
+    static generarOSPF(subredes, opciones = {}) {
+        const area = String(opciones.areaOSPF || '0').trim();
+        const proceso = String(opciones.procesoOSPF || '1').trim();
+
+        return [
+            `router ospf ${proceso}`,
+            ...subredes.map(resultado =>
+                ` network ${resultado.networkIP} ${resultado.getWildcard()} area ${area}`
+            )
+        ].join('\n');
+    }
+
+    /**
+     * Genera reglas iptables para el tráfico reenviado desde cada subred
+     * @param {Array<ResultadoIp>} subredes - Subredes a incluir
+     * @param {object} opciones - {accion}
+     * @returns {string} - Comandos iptables
+     */
+    static generarIptables(subredes, opciones = {}) {
+        const objetivo = opciones.accion === 'deny' ? 'DROP' : 'ACCEPT';
+
+        return subredes
+            .map(resultado => `iptables -A FORWARD -s ${resultado.getRedCIDR()} -j ${objetivo}`)
+            .join('\n');
+    }
+
+    /**
+     * Genera un conjunto de reglas nftables para el tráfico reenviado desde las subredes
+     * @param {Array<ResultadoIp>} subredes - Subredes a incluir
+     * @param {object} opciones - {accion}
+     * @returns {string} - Conjunto de reglas nftables
+     */
+    static generarNftables(subredes, opciones = {}) {
+        const veredicto = opciones.accion === 'deny' ? 'drop' : 'accept';
+        const redes = subredes.map(resultado => resultado.getRedCIDR());
+        const origen = redes.length === 1 ? redes[0] : `{ ${redes.join(', ')} }`;
+
+        return [
+            'table inet filter {',
+            '    chain forward {',
+            '        type filter hook forward priority 0; policy accept;',
+            `        ip saddr ${origen} ${veredicto}`,
+            '    }',
+            '}'
+        ].join('\n');
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneradorReglas;
+}
\ No newline at end of file
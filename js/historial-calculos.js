@@ -0,0 +1,233 @@
+/**
+ * Módulo Historial de Cálculos
+ * Guarda en localStorage los cálculos realizados (parámetros del formulario y resultado)
+ * y permite marcar favoritos con etiqueta
+ */
+class HistorialCalculos {
+    /**
+     * Constructor del historial
+     * @param {Storage|null} almacenamiento - Almacenamiento persistente (null para trabajar solo en memoria)
+     * @param {string} clave - Clave bajo la que se guarda el historial
+     * @param {number} maximoEntradas - Número máximo de entradas no favoritas que se conservan
+     */
+    constructor(almacenamiento, clave = 'calculadora-subredes:historial', maximoEntradas = 50) {
+        this.almacenamiento = almacenamiento;
+        this.clave = clave;
+        this.maximoEntradas = maximoEntradas;
+        this.aviso = null;
+        this.entradas = this.cargar();
+    }
+
+    /**
+     * Versión del formato guardado. Incrementar si cambia la estructura de las entradas
+     * @returns {number} - Versión actual
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Lee el historial guardado. Un contenido dañado se aparta en "<clave>:dañado" y se empieza de cero;
+     * las entradas sueltas que no se pueden leer se descartan
+     * @returns {Array<object>} - Entradas rehidratadas, de la más reciente a la más antigua
+     */
+    cargar() {
+        let texto = null;
+        try {
+            texto = this.almacenamiento ? this.almacenamiento.getItem(this.clave) : null;
+        } catch (error) {
+            this.almacenamiento = null;
+            this.aviso = Traductor.t('El navegador no permite guardar datos: el historial se perderá al recargar la página.');
+        }
+        if (!texto) {
+            return [];
+        }
+
+        let datos;
+        try {
+            datos = JSON.parse(texto);
+        } catch (error) {
+            datos = null;
+        }
+
+        // Formato anterior al versionado: un array de entradas sin envoltorio
+        const entradasGuardadas = Array.isArray(datos) ? datos : datos && datos.entradas;
+        if (!Array.isArray(entradasGuardadas) || (datos.version && datos.version > HistorialCalculos.VERSION)) {
+            this._apartarDañado(texto);
+            return [];
+        }
+
+        const entradas = entradasGuardadas
+            .map(entrada => this._rehidratar(entrada))
+            .filter(entrada => entrada !== null);
+        if (entradas.length < entradasGuardadas.length) {
+            this.aviso = Traductor.t('Se descartaron {descartadas} entrada(s) del historial que no se pudieron leer.', {
+                descartadas: entradasGuardadas.length - entradas.length
+            });
+        }
+        return entradas;
+    }
+
+    /**
+     * Convierte una entrada guardada en una entrada del historial (con el resultado como objeto)
+     * @param {object} entrada - Entrada tal como se guardó
+     * @returns {object|null} - Entrada rehidratada o null si no es válida
+     * @private
+     */
+    _rehidratar(entrada) {
+        if (!entrada || typeof entrada.parametros !== 'string' || !new URLSearchParams(entrada.parametros).get('modo')) {
+            return null;
+        }
+
+        let resultado = null;
+        if (entrada.resultado) {
+            try {
+                resultado = entrada.resultado.familia === 6
+                    ? ResultadoIpv6.fromObject(entrada.resultado)
+                    : ResultadoIp.fromObject(entrada.resultado);
+            } catch (error) {
+                return null;
+            }
+            if (!resultado.esValido()) {
+                return null;
+            }
+        }
+
+        return {
+            id: String(entrada.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`),
+            fecha: Number(entrada.fecha) || Date.now(),
+            parametros: entrada.parametros,
+            descripcion: String(entrada.descripcion || ''),
+            resultado: resultado,
+            favorito: Boolean(entrada.favorito),
+            etiqueta: String(entrada.etiqueta || '')
+        };
+    }
+
+    /**
+     * Guarda una copia del contenido ilegible para no perderlo y avisa al usuario
+     * @param {string} texto - Contenido original
+     * @private
+     */
+    _apartarDañado(texto) {
+        this.aviso = Traductor.t('El historial guardado estaba dañado o es de una versión más reciente; se empezó uno nuevo.');
+        try {
+            this.almacenamiento.setItem(`${this.clave}:dañado`, texto);
+            this.almacenamiento.removeItem(this.clave);
+        } catch (error) {
+            // Sin espacio para la copia: el historial nuevo sustituirá al dañado
+        }
+    }
+
+    /**
+     * Escribe el historial en el almacenamiento
+     */
+    guardar() {
+        if (!this.almacenamiento) {
+            return;
+        }
+
+        try {
+            this.almacenamiento.setItem(this.clave, this.exportar());
+        } catch (error) {
+            this.aviso = Traductor.t('No se pudo guardar el historial (almacenamiento lleno o no disponible).');
+        }
+    }
+
+    /**
+     * Serializa el historial en el formato versionado
+     * @returns {string} - Documento JSON
+     */
+    exportar() {
+        return JSON.stringify({
+            version: HistorialCalculos.VERSION,
+            entradas: this.entradas.map(entrada => ({
+                ...entrada,
+                resultado: entrada.resultado ? entrada.resultado.toJSON() : null
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Registra un cálculo. Repetir el mismo cálculo lo sube al principio en vez de duplicarlo
+     * @param {string} parametros - Parámetros del formulario (formato de URL)
+     * @param {string} descripcion - Texto breve del resultado
+     * @param {ResultadoIp|ResultadoIpv6|null} resultado - Resultado único (null en modos con tabla)
+     * @returns {object} - Entrada registrada
+     */
+    agregar(parametros, descripcion, resultado = null) {
+        const existente = this.entradas.find(entrada => entrada.parametros === parametros);
+        const entrada = {
+            ...(existente || { id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, favorito: false, etiqueta: '' }),
+            fecha: Date.now(),
+            parametros: parametros,
+            descripcion: descripcion,
+            resultado: resultado
+        };
+
+        this.entradas = [entrada, ...this.entradas.filter(otra => otra !== existente)];
+
+        // Se descartan las entradas no favoritas más antiguas
+        let noFavoritas = 0;
+        this.entradas = this.entradas.filter(otra => otra.favorito || ++noFavoritas <= this.maximoEntradas);
+
+        this.guardar();
+        return entrada;
+    }
+
+    /**
+     * Busca una entrada por su identificador
+     * @param {string} id - Identificador de la entrada
+     * @returns {object|undefined} - Entrada encontrada
+     */
+    obtener(id) {
+        return this.entradas.find(entrada => entrada.id === id);
+    }
+
+    /**
+     * Marca o desmarca una entrada como favorita
+     * @param {string} id - Identificador de la entrada
+     * @param {boolean} favorito - Nuevo estado
+     * @param {string} etiqueta - Etiqueta opcional del favorito
+     */
+    marcarFavorito(id, favorito, etiqueta) {
+        const entrada = this.obtener(id);
+        if (entrada) {
+            entrada.favorito = favorito;
+            if (etiqueta !== undefined) {
+                entrada.etiqueta = etiqueta.trim();
+            }
+            this.guardar();
+        }
+    }
+
+    /**
+     * Elimina una entrada
+     * @param {string} id - Identificador de la entrada
+     */
+    eliminar(id) {
+        this.entradas = this.entradas.filter(entrada => entrada.id !== id);
+        this.guardar();
+    }
+
+    /**
+     * Borra el historial conservando los favoritos
+     */
+    limpiar() {
+        this.entradas = this.entradas.filter(entrada => entrada.favorito);
+        this.guardar();
+    }
+
+    /**
+     * Obtiene las entradas para mostrarlas: primero los favoritos, después el resto por fecha
+     * @returns {Array<object>} - Entradas ordenadas
+     */
+    obtenerEntradas() {
+        return [...this.entradas].sort((a, b) => (b.favorito - a.favorito) || (b.fecha - a.fecha));
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistorialCalculos;
+}
\ No newline at end of file
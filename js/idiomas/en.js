@@ -0,0 +1,604 @@
+/**
+ * Idioma inglés
+ * Cada clave es el texto original en español, tal como aparece en el código o en index.html;
+ * los parámetros entre llaves deben conservarse en la traducción
+ */
+Traductor.registrarIdioma('en', 'English', 'en-US', {
+    // Página (index.html)
+    'Calculadora de Subredes IP': 'IP Subnet Calculator',
+    'Calcula información de red a partir de una dirección IP': 'Work out network information from an IP address',
+    'Idioma:': 'Language:',
+    'Dirección IP (IPv4 o IPv6):': 'IP address (IPv4 or IPv6):',
+    'Tipo de entrada:': 'Input type:',
+    'Cantidad de hosts': 'Number of hosts',
+    'Máscara de subred': 'Subnet mask',
+    'Dividir red en N subredes': 'Split network into N subnets',
+    'Plan VLSM (red padre y segmentos)': 'VLSM plan (parent network and segments)',
+    'Resumir rutas (superred)': 'Summarize routes (supernet)',
+    'Rango de IPs a bloques CIDR': 'IP range to CIDR blocks',
+    'Bloques CIDR a rangos de IPs': 'CIDR blocks to IP ranges',
+    'Comprobar a qué red pertenece cada IP': 'Check which network each IP belongs to',
+    'Detectar redes solapadas o anidadas': 'Detect overlapping or nested networks',
+    'Cantidad de hosts:': 'Number of hosts:',
+    'Usar /31 para enlaces punto a punto de 2 hosts (RFC 3021)': 'Use /31 for 2-host point-to-point links (RFC 3021)',
+    'Número de subredes:': 'Number of subnets:',
+    'Prefijo de las subredes:': 'Subnet prefix:',
+    'Segmentos (uno por línea: nombre, hosts):': 'Segments (one per line: name, hosts):',
+    'Gateway:': 'Gateway:',
+    'Último host (predeterminado)': 'Last host (default)',
+    'Primer host': 'First host',
+    'Desplazamiento desde la red (ej: 1 para .1)': 'Offset from the network (e.g. 1 for .1)',
+    'Desplazamiento desde el broadcast (ej: 1 para .254)': 'Offset from the broadcast (e.g. 1 for .254)',
+    'Dirección inicial:': 'Start address:',
+    'Dirección final:': 'End address:',
+    'Direcciones IP (una por línea o separadas por comas):': 'IP addresses (one per line or comma-separated):',
+    'Redes (una por línea: IP/prefijo o IP máscara):': 'Networks (one per line: IP/prefix or IP mask):',
+    'Calcular': 'Calculate',
+    'Calculando...': 'Calculating...',
+    'Resultados del Cálculo': 'Calculation Results',
+    'IP de Red:': 'Network IP:',
+    'Notación CIDR:': 'CIDR notation:',
+    'Máscara de Subred:': 'Subnet Mask:',
+    'IP de Broadcast:': 'Broadcast IP:',
+    'Primer Host:': 'First Host:',
+    'Último Host:': 'Last Host:',
+    'Gateway (Predeterminado):': 'Gateway (Default):',
+    'Total de Hosts:': 'Total Hosts:',
+    'Desglose binario': 'Binary breakdown',
+    'La red se obtiene con un AND bit a bit entre la IP y la máscara; el broadcast, poniendo a 1 todos los bits de host.':
+        'The network is the bitwise AND of the IP and the mask; the broadcast sets every host bit to 1.',
+    'Bits de red': 'Network bits',
+    'Bits de host': 'Host bits',
+    'Campo': 'Field',
+    'Decimal': 'Decimal',
+    'Binario': 'Binary',
+    'Hexadecimal': 'Hexadecimal',
+    'Resultados del Cálculo (IPv6)': 'Calculation Results (IPv6)',
+    'Prefijo:': 'Prefix:',
+    'Red (expandida):': 'Network (expanded):',
+    'Primera dirección:': 'First address:',
+    'Última dirección:': 'Last address:',
+    'Última dirección (expandida):': 'Last address (expanded):',
+    'Total de direcciones:': 'Total addresses:',
+    'Subredes /64:': '/64 subnets:',
+    '« Anterior': '« Previous',
+    'Siguiente »': 'Next »',
+    'Página': 'Page',
+    'Página del listado': 'Listing page',
+    'de': 'of',
+    'Espacio libre': 'Free space',
+    'Exportar resultados': 'Export results',
+    'Formato:': 'Format:',
+    'Tabla Markdown': 'Markdown table',
+    'Texto plano': 'Plain text',
+    'Descargar': 'Download',
+    'Copiar': 'Copy',
+    'Copiar enlace': 'Copy link',
+    'Reglas de ACL, OSPF y firewall': 'ACL, OSPF and firewall rules',
+    'ACL estándar (Cisco)': 'Standard ACL (Cisco)',
+    'ACL extendida (Cisco)': 'Extended ACL (Cisco)',
+    'Acción:': 'Action:',
+    'Permitir': 'Permit',
+    'Denegar': 'Deny',
+    'ACL (número o nombre):': 'ACL (number or name):',
+    'Área OSPF:': 'OSPF area:',
+    'Configuración de equipos': 'Device configuration',
+    'Plataforma:': 'Platform:',
+    'Interfaz:': 'Interface:',
+    'VLAN (opcional):': 'VLAN (optional):',
+    'Descripción:': 'Description:',
+    'Ámbito DHCP': 'DHCP scope',
+    'Servidores DNS:': 'DNS servers:',
+    'Dominio:': 'Domain:',
+    'Concesión (segundos):': 'Lease (seconds):',
+    'Exclusiones (una IP o rango por línea):': 'Exclusions (one IP or range per line):',
+    'Reservas (MAC IP nombre, una por línea):': 'Reservations (MAC IP name, one per line):',
+    'Zona DNS inversa': 'Reverse DNS zone',
+    'Patrón de nombres:': 'Name pattern:',
+    'Servidores de nombres:': 'Name servers:',
+    'Correo de contacto:': 'Contact email:',
+    'TTL (segundos):': 'TTL (seconds):',
+    'Listado de direcciones': 'Address listing',
+    'Ir a la dirección:': 'Go to address:',
+    'Buscar': 'Search',
+    'Descargar CSV': 'Download CSV',
+    'Árbol de subredes': 'Subnet tree',
+    'Red padre:': 'Parent network:',
+    'Crear árbol': 'Create tree',
+    'Usar la subred calculada': 'Use the calculated subnet',
+    'Subred': 'Subnet',
+    'Hosts': 'Hosts',
+    'Etiqueta': 'Label',
+    'Divisiones': 'Splits',
+    'Exportar subredes': 'Export subnets',
+    'Importar JSON': 'Import JSON',
+    'Plan de direccionamiento': 'Address plan',
+    'Nombre del plan:': 'Plan name:',
+    'Superred (opcional):': 'Supernet (optional):',
+    'Red:': 'Network:',
+    'Nombre:': 'Name:',
+    'Sitio:': 'Site:',
+    'Propósito:': 'Purpose:',
+    'Responsable:': 'Owner:',
+    'Gateway (opcional):': 'Gateway (optional):',
+    'Cancelar edición': 'Cancel editing',
+    'Nombre': 'Name',
+    'Sitio': 'Site',
+    'Propósito': 'Purpose',
+    'Responsable': 'Owner',
+    'Exportar plan': 'Export plan',
+    'Importar plan': 'Import plan',
+    'Vaciar plan': 'Clear plan',
+    'Historial y favoritos': 'History and favorites',
+    'Exportar historial': 'Export history',
+    'Borrar historial': 'Clear history',
+
+    // Ejemplos de los campos
+    'Ej: 192.168.1.100, 192.168.1.100/26 o 2001:db8::1': 'e.g. 192.168.1.100, 192.168.1.100/26 or 2001:db8::1',
+    'Ej: 254': 'e.g. 254',
+    'Ej: 8': 'e.g. 8',
+    'Ej: 48': 'e.g. 48',
+    'Ej: 255.255.255.0 o /24': 'e.g. 255.255.255.0 or /24',
+    'Ej: 64 (por defecto)': 'e.g. 64 (default)',
+    'Ej:\nVentas, 50\nOficina, 20\nEnlace WAN, 2': 'e.g.\nSales, 50\nOffice, 20\nWAN link, 2',
+    'Desplazamiento (ej: 1)': 'Offset (e.g. 1)',
+    'Ej: 10.1.4.17': 'e.g. 10.1.4.17',
+    'Ej: 10.1.9.200': 'e.g. 10.1.9.200',
+    'Ej:\n10.1.2.3\n192.168.1.77': 'e.g.\n10.1.2.3\n192.168.1.77',
+    'Ej:\n192.168.0.0/24\n192.168.1.0 255.255.255.0\n192.168.3.0/24': 'e.g.\n192.168.0.0/24\n192.168.1.0 255.255.255.0\n192.168.3.0/24',
+    'Ej: 10, 110 o GESTION': 'e.g. 10, 110 or MGMT',
+    'Ej: 0': 'e.g. 0',
+    'Predeterminada de la plataforma': 'Platform default',
+    'Ej: 10': 'e.g. 10',
+    'Ej: LAN Oficina': 'e.g. Office LAN',
+    'Ej: 1.1.1.1, 8.8.8.8': 'e.g. 1.1.1.1, 8.8.8.8',
+    'Ej: oficina.local': 'e.g. office.local',
+    'Ej:\n192.168.1.65-192.168.1.74': 'e.g.\n192.168.1.65-192.168.1.74',
+    'Ej:\n00:11:22:33:44:55 192.168.1.80 impresora': 'e.g.\n00:11:22:33:44:55 192.168.1.80 printer',
+    'Ej: ns1.example.net, ns2.example.net': 'e.g. ns1.example.net, ns2.example.net',
+    'Ej: hostmaster@example.net': 'e.g. hostmaster@example.net',
+    'Ej: 192.168.1.77': 'e.g. 192.168.1.77',
+    'Ej: 10.0.0.0/16': 'e.g. 10.0.0.0/16',
+    'Ej: Sede central': 'e.g. Headquarters',
+    'Ej: 10.0.1.0/24': 'e.g. 10.0.1.0/24',
+    'Ej: Oficina': 'e.g. Office',
+    'Ej: Madrid': 'e.g. Madrid',
+    'Ej: Usuarios': 'e.g. Users',
+    'Ej: Equipo de redes': 'e.g. Network team',
+    'Último host si se deja vacío': 'Last host if left empty',
+
+    // Formulario y resultados (GestorInterfaz)
+    'IPv4 detectada': 'IPv4 detected',
+    'IPv6 detectada': 'IPv6 detected',
+    'Longitud de prefijo:': 'Prefix length:',
+    'Máscara de subred:': 'Subnet mask:',
+    'Error: Los resultados del cálculo no son válidos.': 'Error: The calculation results are not valid.',
+    'Ha ocurrido un error inesperado. Por favor, verifica los datos e intenta nuevamente.':
+        'An unexpected error occurred. Please check the data and try again.',
+    'No aplica (enlace punto a punto)': 'Not applicable (point-to-point link)',
+    'No aplica (host único)': 'Not applicable (single host)',
+    'No aplica (prefijo mayor que /64)': 'Not applicable (prefix longer than /64)',
+    'Sí': 'Yes',
+    'No': 'No',
+    'También dentro de {bloques}': 'Also within {bloques}',
+    'Origen válido: {valor}': 'Valid source: {valor}',
+    'Destino válido: {valor}': 'Valid destination: {valor}',
+    'Reenviable: {valor}': 'Forwardable: {valor}',
+    'Alcanzable globalmente: {valor}': 'Globally reachable: {valor}',
+    '/{prefijo}: {bitsRed} bits de red y {bitsHost} bits de host': '/{prefijo}: {bitsRed} network bits and {bitsHost} host bits',
+    'Resultados': 'Results',
+    'Subredes': 'Subnets',
+    'Segmento': 'Segment',
+    'Hosts req.': 'Hosts req.',
+    'Prefijo': 'Prefix',
+    'Primera dirección': 'First address',
+    'Última dirección': 'Last address',
+    'Direcciones': 'Addresses',
+    'Red': 'Network',
+    'Máscara': 'Mask',
+    'Wildcard': 'Wildcard',
+    'Broadcast': 'Broadcast',
+    'Rango de hosts': 'Host range',
+    'Gateway': 'Gateway',
+    'Hosts disp.': 'Usable hosts',
+    'Host': 'Host',
+    'Dirección': 'Address',
+    'Tipo': 'Type',
+    'Nombre PTR': 'PTR name',
+    'Total hosts': 'Total hosts',
+    'Rango de direcciones': 'Address range',
+    'Total direcciones': 'Total addresses',
+    'Fecha': 'Date',
+    '{paginas} ({total} subredes)': '{paginas} ({total} subnets)',
+    '{paginas} ({total} direcciones)': '{paginas} ({total} addresses)',
+    'Red {red} dividida en {total} subredes /{prefijo}.': 'Network {red} split into {total} /{prefijo} subnets.',
+    'División en subredes': 'Subnet split',
+    'Ruta resumen única: {red} ({direcciones} direcciones, de las cuales {extra} ({porcentaje}%) no estaban en las redes ingresadas). Conjunto mínimo exacto: {prefijos} prefijo(s).':
+        'Single summary route: {red} ({direcciones} addresses, {extra} ({porcentaje}%) of which were not in the networks entered). ' +
+        'Exact minimal set: {prefijos} prefix(es).',
+    'Resumen de rutas': 'Route summary',
+    '{inicio} - {fin}: {direcciones} direcciones en {bloques} bloque(s) CIDR.': '{inicio} - {fin}: {direcciones} addresses in {bloques} CIDR block(s).',
+    'Rango a bloques CIDR': 'Range to CIDR blocks',
+    'Bloques CIDR a rangos': 'CIDR blocks to ranges',
+    '{rangos} rango(s); las redes contiguas o solapadas se unen en un solo rango.':
+        '{rangos} range(s); contiguous or overlapping networks are merged into a single range.',
+    'Inicio': 'Start',
+    'Fin': 'End',
+    'Rango (iprange)': 'Range (iprange)',
+    'Pertenencia de IPs a redes': 'IP membership in networks',
+    '{comprobadas} dirección(es) comprobada(s); {sinRed} no pertenece(n) a ninguna de las redes.':
+        '{comprobadas} address(es) checked; {sinRed} do(es) not belong to any of the networks.',
+    'IP': 'IP',
+    'Red (prefijo más largo)': 'Network (longest prefix)',
+    'Ninguna': 'None',
+    'También contenida en': 'Also contained in',
+    'Sin solapamientos: las {redes} redes son disjuntas.': 'No overlaps: the {redes} networks are disjoint.',
+    'Se encontraron {solapamientos} solapamiento(s) entre {redes} redes.': 'Found {solapamientos} overlap(s) among {redes} networks.',
+    'Solapamientos entre redes': 'Network overlaps',
+    'Red en conflicto': 'Conflicting network',
+    'Relación': 'Relationship',
+    'Duplicada': 'Duplicate',
+    '{red} está dentro de {otraRed}': '{red} is inside {otraRed}',
+    'Red padre {red}: {asignadas} direcciones asignadas, {libres} libres.': 'Parent network {red}: {asignadas} addresses assigned, {libres} free.',
+    'Plan VLSM': 'VLSM plan',
+    'Hay {total} filas: se exportan las primeras {maximo}.': 'There are {total} rows: only the first {maximo} are exported.',
+    'Hay más de {maximo} subredes: las reglas incluyen solo las de la página visible.':
+        'There are more than {maximo} subnets: the rules only include those on the visible page.',
+    'Pool dinámico: {direcciones} direcciones en {pools} rango(s); {reservas} reserva(s).':
+        'Dynamic pool: {direcciones} addresses in {pools} range(s); {reservas} reservation(s).',
+    '{zonas} zona(s) con {registros} registro(s) PTR.': '{zonas} zone(s) with {registros} PTR record(s).',
+    '{zonas} zona(s) con {registros} registro(s) PTR; al final, los registros de delegación para la zona {zona}.':
+        '{zonas} zone(s) with {registros} PTR record(s); at the end, the delegation records for the {zona} zone.',
+    'Sustituye los servidores y el contacto de ejemplo (example.net) por los reales.':
+        'Replace the example name servers and contact (example.net) with the real ones.',
+    '{total} direcciones de {red}, con la red, el gateway y el broadcast marcados.':
+        '{total} addresses in {red}, with the network, gateway and broadcast marked.',
+    '{ip} es la dirección {posicion} de {total}.': '{ip} is address {posicion} of {total}.',
+    'Generando CSV: {generadas} de {total} direcciones…': 'Generating CSV: {generadas} of {total} addresses…',
+    'CSV con {total} direcciones generado.': 'CSV with {total} addresses generated.',
+    'Descarga cancelada.': 'Download cancelled.',
+    'No se pudo generar el CSV: {mensaje}': 'Could not generate the CSV: {mensaje}',
+    '¡Copiado!': 'Copied!',
+    'No se pudo copiar': 'Could not copy',
+
+    // Historial
+    'Etiqueta del favorito': 'Favorite label',
+    'Repetir': 'Repeat',
+    '★ Quitar': '★ Unpin',
+    '☆ Fijar': '☆ Pin',
+    'Eliminar': 'Delete',
+    'Aún no hay cálculos. Cada cálculo correcto se guarda aquí.': 'No calculations yet. Every successful calculation is saved here.',
+    'Borrar historial conserva los favoritos.': 'Clearing the history keeps the favorites.',
+    '¿Borrar el historial? Los favoritos se conservan.': 'Clear the history? Favorites are kept.',
+    'No se pudo repetir el cálculo guardado.': 'Could not repeat the saved calculation.',
+    'El navegador no permite guardar datos: el historial se perderá al recargar la página.':
+        'The browser does not allow saving data: the history will be lost when the page is reloaded.',
+    'Se descartaron {descartadas} entrada(s) del historial que no se pudieron leer.':
+        '{descartadas} history entry(ies) that could not be read were discarded.',
+    'El historial guardado estaba dañado o es de una versión más reciente; se empezó uno nuevo.':
+        'The saved history was damaged or comes from a newer version; a new one was started.',
+    'No se pudo guardar el historial (almacenamiento lleno o no disponible).': 'Could not save the history (storage full or unavailable).',
+
+    // Árbol de subredes
+    'Sin etiqueta': 'No label',
+    'Etiqueta de {subred}': 'Label for {subred}',
+    'Dividir': 'Split',
+    'Unir': 'Join',
+    '{red} dividida en {total} subred(es). Divide una subred en dos mitades o únela de nuevo con su hermana.':
+        '{red} split into {total} subnet(s). Split a subnet into two halves or join it back with its sibling.',
+    'Indica una red padre para dividirla en mitades.': 'Enter a parent network to split it into halves.',
+    'Árbol de subredes {red}': 'Subnet tree {red}',
+    'Indica una sola red padre.': 'Enter a single parent network.',
+    'Calcula primero una subred IPv4 (por hosts o por máscara) para usarla como red padre.':
+        'First calculate an IPv4 subnet (by hosts or by mask) to use it as the parent network.',
+    'Árbol importado de "{archivo}": {red} en {subredes} subred(es).': 'Tree imported from "{archivo}": {red} in {subredes} subnet(s).',
+    'No se importó "{archivo}": {mensaje}': '"{archivo}" was not imported: {mensaje}',
+    'No hay subredes para construir el árbol.': 'There are no subnets to build the tree from.',
+    'El árbol admite como máximo {maximo} subredes; hay {total}.': 'The tree supports at most {maximo} subnets; there are {total}.',
+    'El árbol de subredes solo admite redes IPv4.': 'The subnet tree only supports IPv4 networks.',
+    'Las subredes no cubren exactamente el bloque {bloque}: hay huecos o subredes solapadas.':
+        'The subnets do not cover the {bloque} block exactly: there are gaps or overlapping subnets.',
+    'La subred {subred} se solapa con {otra}.': 'Subnet {subred} overlaps with {otra}.',
+    'La subred {subred} se solapa con otra subred del árbol.': 'Subnet {subred} overlaps with another subnet in the tree.',
+    'La subred {subred} no está en el árbol.': 'Subnet {subred} is not in the tree.',
+    '{subred} es una única dirección: no se puede dividir más.': '{subred} is a single address: it cannot be split any further.',
+    'El árbol admite como máximo {maximo} subredes. Une alguna antes de dividir.':
+        'The tree supports at most {maximo} subnets. Join some before splitting.',
+    '{subred} es la red padre: no tiene una subred hermana con la que unirse.':
+        '{subred} is the parent network: it has no sibling subnet to join with.',
+    'Une primero las subredes de {hermana} para poder unir {subred} con ella.':
+        'First join the subnets of {hermana} to be able to join {subred} with it.',
+
+    // Plan de direccionamiento
+    'Editar': 'Edit',
+    'Guardar cambios': 'Save changes',
+    'Añadir red': 'Add network',
+    'Espacio libre: {bloques}.': 'Free space: {bloques}.',
+    'No queda espacio libre.': 'No free space left.',
+    'Asignadas {asignadas} de {direcciones} direcciones de {superred} ({porcentaje}%).':
+        '{asignadas} of {direcciones} addresses of {superred} assigned ({porcentaje}%).',
+    'Indica una superred para comprobar que todas las redes estén dentro y ver el espacio libre.':
+        'Enter a supernet to check that every network is inside it and to see the free space.',
+    'El plan está vacío. Añade redes o importa un plan exportado.': 'The plan is empty. Add networks or import an exported plan.',
+    'Las redes no pueden solaparse. El plan se guarda en este navegador; expórtalo para compartirlo.':
+        'Networks cannot overlap. The plan is saved in this browser; export it to share it.',
+    'Calcula primero una subred IPv4 (por hosts o por máscara) para añadirla al plan.':
+        'First calculate an IPv4 subnet (by hosts or by mask) to add it to the plan.',
+    'Editando "{nombre}". Guarda los cambios o cancela la edición.': 'Editing "{nombre}". Save the changes or cancel editing.',
+    'Plan importado de "{archivo}": {redes} red(es).': 'Plan imported from "{archivo}": {redes} network(s).',
+    '¿Vaciar el plan de direccionamiento? Exporta antes el plan si quieres conservarlo.':
+        'Clear the address plan? Export the plan first if you want to keep it.',
+    'Red {red} ("{nombre}") guardada en el plan.': 'Network {red} ("{nombre}") saved in the plan.',
+    'El navegador no permite guardar datos: el plan se perderá al recargar la página.':
+        'The browser does not allow saving data: the plan will be lost when the page is reloaded.',
+    'El plan guardado no se pudo leer ({mensaje}) y se empezó uno nuevo.': 'The saved plan could not be read ({mensaje}) and a new one was started.',
+    'No se pudo guardar el plan (almacenamiento lleno o no disponible).': 'Could not save the plan (storage full or unavailable).',
+    'El JSON no es un plan de direccionamiento de la calculadora de subredes.': 'The JSON is not an address plan from the subnet calculator.',
+    'El plan usa la versión {version} del formato; esta versión solo lee hasta la {soportada}.':
+        'The plan uses version {version} of the format; this version only reads up to {soportada}.',
+    'Superred "{superred}": {mensaje}': 'Supernet "{superred}": {mensaje}',
+    'indica una sola red.': 'enter a single network.',
+    'Red "{nombre}": el gateway {gateway} no es un host utilizable de {red} ({rango}).':
+        'Network "{nombre}": gateway {gateway} is not a usable host of {red} ({rango}).',
+    'La red {red} ("{nombre}") no está dentro de la superred {superred}.': 'Network {red} ("{nombre}") is not inside the supernet {superred}.',
+    'La red {red} ("{nombre}") se solapa con {otraRed} ("{otroNombre}").': 'Network {red} ("{nombre}") overlaps with {otraRed} ("{otroNombre}").',
+    'La red que se estaba editando ya no está en el plan.': 'The network being edited is no longer in the plan.',
+
+    // Exportación e importación
+    'Formato de exportación no soportado: {formato}': 'Unsupported export format: {formato}',
+    'El archivo no contiene un JSON válido.': 'The file does not contain valid JSON.',
+    'El JSON no es una exportación de la calculadora de subredes.': 'The JSON is not an export from the subnet calculator.',
+    'El JSON usa la versión {version} del formato; esta versión solo lee hasta la {soportada}.':
+        'The JSON uses version {version} of the format; this version only reads up to {soportada}.',
+    'Resultado no válido en el JSON: {red}.': 'Invalid result in the JSON: {red}.',
+
+    // Generadores y listado de direcciones
+    'Plataforma no soportada: {plataforma}': 'Unsupported platform: {plataforma}',
+    'El ID de VLAN debe ser un número entre 1 y 4094.': 'The VLAN ID must be a number between 1 and 4094.',
+    'Formato DHCP no soportado: {formato}': 'Unsupported DHCP format: {formato}',
+    'Formato de reglas no soportado: {formato}': 'Unsupported rules format: {formato}',
+    'La zona inversa se genera para subredes de hasta /16 ({maximo} direcciones); {red} tiene {total}.':
+        'The reverse zone is generated for subnets up to /16 ({maximo} addresses); {red} has {total}.',
+    'Marcador desconocido en el patrón: {marcador}. Usa {marcadores}.': 'Unknown placeholder in the pattern: {marcador}. Use {marcadores}.',
+    'El patrón debe incluir un marcador (ej: {marcador}) para que cada dirección tenga su nombre.':
+        'The pattern must include a placeholder (e.g. {marcador}) so that every address gets its own name.',
+    'El patrón no genera nombres válidos (ej: "{ejemplo}"). Usa letras sin acentos, números, "-" y puntos entre etiquetas.':
+        'The pattern does not produce valid names (e.g. "{ejemplo}"). Use unaccented letters, numbers, "-" and dots between labels.',
+    'El listado admite subredes de hasta {maximo} direcciones (/8); {red} tiene {total}.':
+        'The listing supports subnets of up to {maximo} addresses (/8); {red} has {total}.',
+    'La dirección {ip} no pertenece a {red}.': 'Address {ip} does not belong to {red}.',
+    'Red {red} - hosts {primero} a {ultimo}, gateway {gateway}': 'Network {red} - hosts {primero} to {ultimo}, gateway {gateway}',
+    'Configura la VLAN {vlan} en las propiedades avanzadas del adaptador "{interfaz}"':
+        'Set VLAN {vlan} in the advanced properties of the "{interfaz}" adapter',
+    '{bloque} (de {red})': '{bloque} (of {red})',
+    '{red} (delegación sin clases, RFC 2317)': '{red} (classless delegation, RFC 2317)',
+    'Zona inversa {nombre} para {descripcion}': 'Reverse zone {nombre} for {descripcion}',
+    'Archivo sugerido: {archivo}': 'Suggested file: {archivo}',
+    'serie': 'serial',
+    'refresco': 'refresh',
+    'reintento': 'retry',
+    'expiración': 'expire',
+    'TTL negativo': 'negative TTL',
+    'Delegación de {zona} (RFC 2317)': 'Delegation of {zona} (RFC 2317)',
+    'Añadir a la zona {zona}': 'Add to zone {zona}',
+
+    // Cálculos
+    'El gateway ({politica}) no es un host utilizable de {red}: los hosts van de {primero} a {ultimo}.':
+        'The gateway ({politica}) is not a usable host of {red}: hosts range from {primero} to {ultimo}.',
+    'primer host': 'first host',
+    'último host': 'last host',
+    'red + {desplazamiento}': 'network + {desplazamiento}',
+    'Red (IP AND máscara)': 'Network (IP AND mask)',
+    'Broadcast (red OR wildcard)': 'Broadcast (network OR wildcard)',
+    'No es posible crear tantas subredes: harían falta prefijos más largos que /32.':
+        'That many subnets cannot be created: it would take prefixes longer than /32.',
+    'La dirección inicial ({inicio}) es mayor que la final ({fin}).': 'The start address ({inicio}) is greater than the end address ({fin}).',
+    'No quedan direcciones libres para el pool dinámico tras las exclusiones y reservas.':
+        'No free addresses are left for the dynamic pool after exclusions and reservations.',
+    'Debes indicar al menos una red para resumir.': 'You must enter at least one network to summarize.',
+    'Debes indicar al menos un segmento para el plan VLSM.': 'You must enter at least one segment for the VLSM plan.',
+    'Segmento {numero}': 'Segment {numero}',
+    'La red {red} es demasiado pequeña: tiene {direcciones} direcciones y el plan requiere {requeridas}.':
+        'Network {red} is too small: it has {direcciones} addresses and the plan needs {requeridas}.',
+    'Segmento "{nombre}": {mensaje}': 'Segment "{nombre}": {mensaje}',
+    'El prefijo de las subredes (/{nuevoPrefijo}) debe ser igual o mayor que /{prefijo}.':
+        'The subnet prefix (/{nuevoPrefijo}) must be equal to or greater than /{prefijo}.',
+    'Dividir un /{prefijo} en /{nuevoPrefijo} genera demasiadas subredes para listarlas.':
+        'Splitting a /{prefijo} into /{nuevoPrefijo} produces too many subnets to list.',
+
+    // Validación
+    'Por favor, ingresa una dirección IP.': 'Please enter an IP address.',
+    'La dirección 0.0.0.0 no es válida para cálculos de subred.': 'The address 0.0.0.0 is not valid for subnet calculations.',
+    'La dirección 255.255.255.255 es una dirección de broadcast global.': 'The address 255.255.255.255 is a global broadcast address.',
+    'Por favor, ingresa una dirección IP válida (ej: 192.168.1.100).': 'Please enter a valid IP address (e.g. 192.168.1.100).',
+    'Por favor, ingresa una dirección IPv6.': 'Please enter an IPv6 address.',
+    'Los identificadores de zona no se admiten: elimina "{zona}" de la dirección.': 'Zone identifiers are not supported: remove "{zona}" from the address.',
+    'Una dirección IPv6 solo puede contener "::" una vez.': 'An IPv6 address can only contain "::" once.',
+    'Por favor, ingresa una dirección IPv6 válida (ej: 2001:db8::1).': 'Please enter a valid IPv6 address (e.g. 2001:db8::1).',
+    'Por favor, ingresa la longitud de prefijo (ej: 64).': 'Please enter the prefix length (e.g. 64).',
+    'La longitud de prefijo IPv6 debe ser un número entre 0 y 128 (ej: 48 o /48).': 'The IPv6 prefix length must be a number between 0 and 128 (e.g. 48 or /48).',
+    'Por favor, ingresa una máscara de subred.': 'Please enter a subnet mask.',
+    'El prefijo "{prefijo}" está fuera de rango: debe estar entre 1 y 32 (ej: /24).': 'The prefix "{prefijo}" is out of range: it must be between 1 and 32 (e.g. /24).',
+    'El prefijo "{prefijo}" no es válido: después de "/" debe ir un número (ej: /24).': 'The prefix "{prefijo}" is not valid: "/" must be followed by a number (e.g. /24).',
+    'Por favor, ingresa una máscara de subred válida (ej: 255.255.255.0 o /24).': 'Please enter a valid subnet mask (e.g. 255.255.255.0 or /24).',
+    'Por favor, ingresa el número de subredes.': 'Please enter the number of subnets.',
+    'Por favor, ingresa un número entero de subredes (mínimo 1).': 'Please enter a whole number of subnets (minimum 1).',
+    'Por favor, ingresa al menos una red (ej: 192.168.1.0/24).': 'Please enter at least one network (e.g. 192.168.1.0/24).',
+    'Red no válida: "{red}". Usa "IP/prefijo" o "IP máscara" (ej: 192.168.1.0/24 o 192.168.1.0 255.255.255.0).':
+        'Invalid network: "{red}". Use "IP/prefix" or "IP mask" (e.g. 192.168.1.0/24 or 192.168.1.0 255.255.255.0).',
+    'Por favor, ingresa al menos una dirección IP.': 'Please enter at least one IP address.',
+    'Dirección no válida: "{ip}". {mensaje}': 'Invalid address: "{ip}". {mensaje}',
+    'Política de gateway no válida: "{politica}". Usa primero, ultimo, red+N o broadcast-N (ej: red+1 para .1 o broadcast-1 para .254 en una /24).':
+        'Invalid gateway policy: "{politica}". Use primero, ultimo, red+N or broadcast-N (e.g. red+1 for .1 or broadcast-1 for .254 in a /24).',
+    'Dirección MAC no válida: "{mac}". Usa el formato aa:bb:cc:dd:ee:ff.': 'Invalid MAC address: "{mac}". Use the format aa:bb:cc:dd:ee:ff.',
+    'Por favor, ingresa al menos un segmento (ej: Ventas, 50).': 'Please enter at least one segment (e.g. Sales, 50).',
+    'Segmento no válido: "{segmento}". Usa el formato "nombre, hosts" (ej: Ventas, 50).':
+        'Invalid segment: "{segmento}". Use the format "name, hosts" (e.g. Sales, 50).',
+    'Por favor, ingresa el número de hosts.': 'Please enter the number of hosts.',
+    'El número de hosts debe ser mayor a 0.': 'The number of hosts must be greater than 0.',
+    'El número de hosts es demasiado grande (máximo: {maximo}).': 'The number of hosts is too large (maximum: {maximo}).',
+    'Por favor, ingresa un número válido de hosts (mínimo 1).': 'Please enter a valid number of hosts (minimum 1).',
+    'Error en la validación de datos.': 'Data validation error.',
+    'Segmento "{segmento}": {mensaje}': 'Segment "{segmento}": {mensaje}',
+    'Código de error de validación desconocido: {codigo}': 'Unknown validation error code: {codigo}',
+    'La notación CIDR "{valor}" contiene más de una "/" (ej: {ejemplo}).': 'The CIDR notation "{valor}" contains more than one "/" (e.g. {ejemplo}).',
+    'Falta la dirección antes de "/" en "{valor}" (ej: {ejemplo}).': 'The address before "/" is missing in "{valor}" (e.g. {ejemplo}).',
+    'La dirección "{valor}" debe tener 4 octetos separados por puntos y tiene {octetos} (ej: 192.168.1.100).':
+        'The address "{valor}" must have 4 dot-separated octets and has {octetos} (e.g. 192.168.1.100).',
+    'El octeto {posicion} ("{octeto}") de "{valor}" no es un número entre 0 y 255.':
+        'Octet {posicion} ("{octeto}") of "{valor}" is not a number between 0 and 255.',
+    'El octeto {posicion} de "{valor}" vale {octeto} y debe estar entre 0 y 255.':
+        'Octet {posicion} of "{valor}" is {octeto} and must be between 0 and 255.',
+    'El carácter "{caracter}" no es válido en una dirección IPv6 (ej: 2001:db8::1).':
+        'The character "{caracter}" is not valid in an IPv6 address (e.g. 2001:db8::1).',
+    'La IPv4 embebida "{ipv4}" de "{valor}" no es válida (ej: ::ffff:192.168.1.1).':
+        'The embedded IPv4 address "{ipv4}" in "{valor}" is not valid (e.g. ::ffff:192.168.1.1).',
+    'El grupo {posicion} ("{grupo}") de "{valor}" no es válido: debe tener de 1 a 4 dígitos hexadecimales.':
+        'Group {posicion} ("{grupo}") of "{valor}" is not valid: it must have 1 to 4 hexadecimal digits.',
+    'La dirección "{valor}" tiene {grupos} grupos además de "::", que debe sustituir al menos a uno: como máximo pueden ser 7.':
+        'The address "{valor}" has {grupos} groups besides "::", which must replace at least one: there can be 7 at most.',
+    'La dirección "{valor}" tiene {grupos} grupos y una dirección IPv6 completa tiene 8 (usa "::" para abreviar los grupos a cero).':
+        'The address "{valor}" has {grupos} groups and a full IPv6 address has 8 (use "::" to shorten zero groups).',
+    'La máscara "{valor}" debe tener 4 octetos separados por puntos (ej: 255.255.255.0) o ser un prefijo (ej: /24).':
+        'The mask "{valor}" must have 4 dot-separated octets (e.g. 255.255.255.0) or be a prefix (e.g. /24).',
+    'La máscara {mascara} no tiene bits de red (ej: 255.255.255.0 o /24).': 'The mask {mascara} has no network bits (e.g. 255.255.255.0 or /24).',
+    'La máscara {mascara} no es contigua: el bit {bit} (octeto {octeto}) vale 1 después de un 0. Los bits a 1 deben ir seguidos desde la izquierda (ej: {sugerencia}).':
+        'The mask {mascara} is not contiguous: bit {bit} (octet {octeto}) is 1 after a 0. ' +
+        'The 1 bits must be consecutive from the left (e.g. {sugerencia}).',
+    'Falta la longitud de prefijo después de "/" en "{valor}" (ej: {ejemplo}).': 'The prefix length after "/" is missing in "{valor}" (e.g. {ejemplo}).',
+    'El prefijo "/{prefijo}" de "{valor}" no es un número (ej: {ejemplo}).': 'The prefix "/{prefijo}" in "{valor}" is not a number (e.g. {ejemplo}).',
+    'El prefijo /{prefijo} de "{valor}" está fuera de rango: debe estar entre {minimo} y {maximo}.':
+        'The prefix /{prefijo} in "{valor}" is out of range: it must be between {minimo} and {maximo}.',
+    'El prefijo /{prefijo} no se usa en el cálculo por cantidad de hosts: quítalo o elige otro tipo de entrada.':
+        'The prefix /{prefijo} is not used when calculating by number of hosts: remove it or choose another input type.',
+    'El prefijo /{prefijo} de la dirección no coincide con la máscara "{mascara}": indica solo uno de los dos.':
+        'The address prefix /{prefijo} does not match the mask "{mascara}": enter only one of them.',
+    'El prefijo /{prefijo} de la dirección no coincide con la longitud de prefijo "{longitud}": indica solo uno de los dos.':
+        'The address prefix /{prefijo} does not match the prefix length "{longitud}": enter only one of them.',
+    'Para direcciones IPv6 solo están disponibles los cálculos por prefijo y la división en subredes.':
+        'For IPv6 addresses only prefix calculations and subnet splitting are available.',
+    'El desplazamiento del gateway debe ser un número entero mayor que 0 (ej: red+1 o broadcast-1).':
+        'The gateway offset must be a whole number greater than 0 (e.g. red+1 or broadcast-1).',
+    'Dirección inicial: {mensaje}': 'Start address: {mensaje}',
+    'Dirección final: {mensaje}': 'End address: {mensaje}',
+    'La dirección inicial ({inicio}) no puede ser mayor que la final ({fin}).': 'The start address ({inicio}) cannot be greater than the end address ({fin}).',
+    'Línea "{linea}": {mensaje}': 'Line "{linea}": {mensaje}',
+    'Indica la red (ej: 10.0.1.0/24).': 'Enter the network (e.g. 10.0.1.0/24).',
+    'Red "{red}": {mensaje}': 'Network "{red}": {mensaje}',
+    'Indica un nombre para la red {red}.': 'Enter a name for the network {red}.',
+    'Red "{nombre}": el ID de VLAN debe ser un número entre 1 y 4094.': 'Network "{nombre}": the VLAN ID must be a number between 1 and 4094.',
+    'Red "{nombre}": gateway no válido. {mensaje}': 'Network "{nombre}": invalid gateway. {mensaje}',
+    '{ip} no es un host de {red} ({primero} - {ultimo}).': '{ip} is not a host of {red} ({primero} - {ultimo}).',
+    'Exclusión "{linea}": {mensaje}': 'Exclusion "{linea}": {mensaje}',
+    'Reserva "{linea}": {mensaje}': 'Reservation "{linea}": {mensaje}',
+    'usa una IP o un rango inicio-fin.': 'use an IP or a start-end range.',
+    '{ip} es el gateway de la subred.': '{ip} is the subnet gateway.',
+    'el nombre solo puede contener letras sin acentos, números, "-" y "_".': 'the name can only contain unaccented letters, numbers, "-" and "_".',
+    'la IP {ip} ya está reservada.': 'IP {ip} is already reserved.',
+    'la MAC {mac} ya está reservada.': 'MAC {mac} is already reserved.',
+    'Servidores DNS: {mensaje}': 'DNS servers: {mensaje}',
+    'Dominio no válido: "{dominio}".': 'Invalid domain: "{dominio}".',
+    'El tiempo de concesión debe ser un número entero de segundos (mínimo 60).': 'The lease time must be a whole number of seconds (minimum 60).',
+    'Indica el patrón de los nombres (ej: {ejemplo}).': 'Enter the name pattern (e.g. {ejemplo}).',
+    'Servidor de nombres no válido: "{servidor}".': 'Invalid name server: "{servidor}".',
+    'Correo de contacto no válido: "{contacto}".': 'Invalid contact email: "{contacto}".',
+    'Correo de contacto no válido: "{contacto}". Usa el formato hostmaster@example.net.': 'Invalid contact email: "{contacto}". Use the format hostmaster@example.net.',
+    'El TTL debe ser un número entero de segundos (mínimo 60).': 'The TTL must be a whole number of seconds (minimum 60).',
+
+    // Tipos de dirección (ClasificadorDirecciones)
+    'Esta red ("this network")': 'This network',
+    'Este host en esta red': 'This host on this network',
+    'Uso privado': 'Private use',
+    'Espacio compartido (CGNAT)': 'Shared address space (CGNAT)',
+    'Loopback': 'Loopback',
+    'Enlace local (APIPA)': 'Link-local (APIPA)',
+    'Asignaciones de protocolo del IETF': 'IETF protocol assignments',
+    'Continuidad de servicio IPv4 (DS-Lite)': 'IPv4 service continuity (DS-Lite)',
+    'Dirección IPv4 ficticia': 'IPv4 dummy address',
+    'Anycast de Port Control Protocol': 'Port Control Protocol anycast',
+    'Anycast de TURN': 'TURN anycast',
+    'Descubrimiento de NAT64/DNS64': 'NAT64/DNS64 discovery',
+    'Documentación (TEST-NET-1)': 'Documentation (TEST-NET-1)',
+    'AS112-v4': 'AS112-v4',
+    'Multicast automático por túneles (AMT)': 'Automatic multicast tunneling (AMT)',
+    'Anycast de relays 6to4 (obsoleto)': '6to4 relay anycast (deprecated)',
+    'Delegación directa del servicio AS112': 'Direct delegation AS112 service',
+    'Pruebas de rendimiento (benchmarking)': 'Benchmarking',
+    'Documentación (TEST-NET-2)': 'Documentation (TEST-NET-2)',
+    'Documentación (TEST-NET-3)': 'Documentation (TEST-NET-3)',
+    'Multicast': 'Multicast',
+    'Multicast de control de red local': 'Local network control multicast',
+    'Multicast de control entre redes': 'Internetwork control multicast',
+    'Multicast de origen específico (SSM)': 'Source-specific multicast (SSM)',
+    'Multicast GLOP': 'GLOP multicast',
+    'Documentación de multicast (MCAST-TEST-NET)': 'Multicast documentation (MCAST-TEST-NET)',
+    'Multicast de ámbito administrativo': 'Administratively scoped multicast',
+    'Multicast de ámbito de organización': 'Organization-local scope multicast',
+    'Multicast de ámbito local': 'Local scope multicast',
+    'Reservada para uso futuro': 'Reserved for future use',
+    'Broadcast limitado': 'Limited broadcast',
+    'Pública (unicast global)': 'Public (global unicast)',
+
+    // Modo práctica
+    'Modo práctica': 'Practice mode',
+    'Tipo de ejercicio:': 'Exercise type:',
+    'Aleatorio': 'Random',
+    'Red, broadcast y rango de hosts': 'Network, broadcast and host range',
+    'Máscara para N hosts': 'Mask for N hosts',
+    'División en N subredes': 'Split into N subnets',
+    'Nivel:': 'Level:',
+    'Básico': 'Basic',
+    'Intermedio': 'Intermediate',
+    'Avanzado': 'Advanced',
+    'Nuevo ejercicio': 'New exercise',
+    'Reiniciar puntuación': 'Reset score',
+    'Corregir': 'Check',
+    'Ver solución': 'Show solution',
+    'El navegador no permite guardar datos: la puntuación se perderá al recargar la página.': 'The browser does not allow saving data: the score will be lost when the page is reloaded.',
+    'La puntuación guardada no se pudo leer y se empezó de cero.': 'The saved score could not be read and was reset.',
+    'No se pudo guardar la puntuación (almacenamiento lleno o no disponible).': 'The score could not be saved (storage full or unavailable).',
+    'Tipo de ejercicio no soportado: {tipo}': 'Unsupported exercise type: {tipo}',
+    'Genera primero un ejercicio.': 'Generate an exercise first.',
+    'Máscara de las subredes:': 'Subnet mask:',
+    'Hosts por subred:': 'Hosts per subnet:',
+    'Hosts utilizables:': 'Usable hosts:',
+    'Red de la subred {numero}:': 'Network of subnet {numero}:',
+    'Ej: 192.168.1.0': 'E.g.: 192.168.1.0',
+    'Calcula la dirección de red, el broadcast y el rango de hosts de {ip}/{prefijo}.': 'Find the network address, the broadcast and the host range of {ip}/{prefijo}.',
+    '¿Qué máscara necesita una subred con {hosts} hosts? Indica también cuántos hosts utilizables tendrá.': 'Which mask does a subnet with {hosts} hosts need? Also give how many usable hosts it will have.',
+    'Divide {red}/{prefijo} en {subredes} subredes iguales. Indica la máscara de las subredes, cuántos hosts tiene cada una y la dirección de red de la subred {subredes}.': 'Split {red}/{prefijo} into {subredes} equal subnets. Give the subnet mask, how many hosts each one has and the network address of subnet {subredes}.',
+    'Asigna con VLSM los segmentos dentro de {red}/{prefijo}, del mayor al menor y seguidos desde el inicio de la red. Escribe la red de cada segmento en notación CIDR.': 'Allocate the segments inside {red}/{prefijo} with VLSM, largest first and back to back from the start of the network. Write the network of each segment in CIDR notation.',
+    '{segmento} ({hosts} hosts):': '{segmento} ({hosts} hosts):',
+    'Prefijo /{prefijo}: máscara {mascara} y wildcard {wildcard}.': 'Prefix /{prefijo}: mask {mascara} and wildcard {wildcard}.',
+    'Red = IP AND máscara: {ip} AND {mascara} = {red}.': 'Network = IP AND mask: {ip} AND {mascara} = {red}.',
+    'Broadcast = red OR wildcard: {red} OR {wildcard} = {broadcast}.': 'Broadcast = network OR wildcard: {red} OR {wildcard} = {broadcast}.',
+    'Hosts: de {primero} (red + 1) a {ultimo} (broadcast - 1), {hosts} en total.': 'Hosts: from {primero} (network + 1) to {ultimo} (broadcast - 1), {hosts} in total.',
+    '{hosts} hosts más la red y el broadcast son {direcciones} direcciones.': '{hosts} hosts plus the network and the broadcast make {direcciones} addresses.',
+    'La potencia de 2 más pequeña que las cubre es 2^{bits} = {bloque}: hacen falta {bits} bits de host.': 'The smallest power of 2 that covers them is 2^{bits} = {bloque}: {bits} host bits are needed.',
+    'Prefijo /32 - {bits} = /{prefijo}: máscara {mascara}, con {utilizables} hosts utilizables.': 'Prefix /32 - {bits} = /{prefijo}: mask {mascara}, with {utilizables} usable hosts.',
+    'Para {subredes} subredes hacen falta {bits} bits más (2^{bits} = {potencia}).': '{subredes} subnets need {bits} more bits (2^{bits} = {potencia}).',
+    'Nuevo prefijo: /{prefijo} + {bits} = /{nuevoPrefijo}, máscara {mascara}, con {hosts} hosts por subred.': 'New prefix: /{prefijo} + {bits} = /{nuevoPrefijo}, mask {mascara}, with {hosts} hosts per subnet.',
+    'Cada subred ocupa {bloque} direcciones: la subred {numero} empieza {desplazamiento} direcciones después de {red}, en {ultima}.': 'Each subnet takes {bloque} addresses: subnet {numero} starts {desplazamiento} addresses after {red}, at {ultima}.',
+    'Se ordenan los segmentos de mayor a menor y se asignan seguidos desde {red}:': 'The segments are sorted largest first and allocated back to back from {red}:',
+    '{segmento}: {hosts} hosts → /{prefijo} ({bloque} direcciones) → {subred}.': '{segmento}: {hosts} hosts → /{prefijo} ({bloque} addresses) → {subred}.',
+    'El próximo ejercicio será de este nivel.': 'The next exercise will be at this level.',
+    'Puntuación reiniciada.': 'Score reset.',
+    'Nivel {nivel}. Aún no has resuelto ningún ejercicio.': 'Level {nivel}. You have not solved any exercise yet.',
+    'Nivel {nivel} · {aciertos} de {total} correctos ({porcentaje}%) · racha {racha} (mejor: {mejorRacha})': 'Level {nivel} · {aciertos} of {total} correct ({porcentaje}%) · streak {racha} (best: {mejorRacha})',
+    'Elige el tipo de ejercicio y pulsa Nuevo ejercicio.': 'Choose the exercise type and press New exercise.',
+    'Tres aciertos seguidos suben de nivel y dos fallos seguidos lo bajan. La puntuación se guarda en este navegador.': 'Three correct answers in a row raise the level and two misses in a row lower it. The score is saved in this browser.',
+    'Solución: {valor}': 'Solution: {valor}',
+    'Escribe tus respuestas y pulsa Corregir. Las máscaras valen en decimal o como prefijo (/26).': 'Type your answers and press Check. Masks are accepted in dotted decimal or as a prefix (/26).',
+    'Esta es la solución. Si no habías corregido el ejercicio, cuenta como fallo.': 'This is the solution. If you had not checked the exercise, it counts as a miss.',
+    '¡Correcto! Todas las respuestas son correctas.': 'Correct! All the answers are right.',
+    '{correctas} de {total} respuestas correctas. Revisa el procedimiento.': '{correctas} of {total} answers correct. Review the working.',
+    'Subes al nivel {nivel}.': 'You move up to level {nivel}.',
+    'Bajas al nivel {nivel}.': 'You move down to level {nivel}.',
+
+    // Inicialización
+    'No se pudo encontrar el formulario principal': 'The main form could not be found',
+    'Error interno al procesar los datos. Por favor, inténtelo de nuevo.': 'Internal error while processing the data. Please try again.',
+    'Error de Inicialización': 'Initialization Error',
+    'No se pudo inicializar la aplicación correctamente.': 'The application could not be initialized correctly.',
+    'Por favor, recargue la página.': 'Please reload the page.'
+});
\ No newline at end of file
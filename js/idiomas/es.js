@@ -0,0 +1,6 @@
+/**
+ * Idioma español
+ * Los textos del código y de index.html ya están en español, así que el catálogo está vacío:
+ * solo se registra el idioma para el selector y el formato de números y fechas
+ */
+Traductor.registrarIdioma('es', 'Español', 'es-ES', {});
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * Módulo Listado de Hosts
+ * Enumera bajo demanda todas las direcciones de una subred IPv4 (red, hosts, gateway y broadcast)
+ * con su nombre PTR, sin generar la lista completa: sirve de fuente paginada para la tabla y
+ * para la descarga en CSV por bloques
+ */
+class ListadoHosts {
+    /**
+     * Constructor del listado
+     * @param {ResultadoIp} resultado - Subred a enumerar
+     * @throws {Error} - Si la subred tiene más direcciones que MAXIMO_DIRECCIONES
+     */
+    constructor(resultado) {
+        const { networkIP, subnetMask, broadcastIP } = resultado;
+        this.resultado = resultado;
+        this.inicio = CalculadoraSubredes.ipANumero(networkIP);
+        this.total = CalculadoraSubredes.ipANumero(broadcastIP) - this.inicio + 1;
+
+        if (this.total > ListadoHosts.MAXIMO_DIRECCIONES) {
+            throw new Error(Traductor.t('El listado admite subredes de hasta {maximo} direcciones (/8); {red} tiene {total}.', {
+                maximo: Traductor.formatearNumero(ListadoHosts.MAXIMO_DIRECCIONES),
+                red: resultado.getRedCIDR(),
+                total: Traductor.formatearNumero(this.total)
+            }));
+        }
+
+        // En /31 y /32 todas las direcciones son hosts: no hay red ni broadcast que marcar
+        this.primerHost = CalculadoraSubredes.ipANumero(CalculadoraSubredes.calcularPrimerHost(networkIP, subnetMask));
+        this.ultimoHost = CalculadoraSubredes.ipANumero(CalculadoraSubredes.calcularUltimoHost(broadcastIP, subnetMask));
+        this.gateway = CalculadoraSubredes.ipANumero(resultado.gatewayIP);
+    }
+
+    /**
+     * Número máximo de direcciones que se enumeran (un /8)
+     * @returns {number} - Máximo de direcciones
+     */
+    static get MAXIMO_DIRECCIONES() {
+        return Math.pow(2, 24);
+    }
+
+    /**
+     * Columnas del listado para la tabla y la exportación
+     * @returns {Array<object>} - Columnas {titulo, valor(fila)}
+     */
+    static get COLUMNAS() {
+        const tipos = {
+            red: Traductor.t('Red'),
+            host: Traductor.t('Host'),
+            gateway: Traductor.t('Gateway'),
+            broadcast: Traductor.t('Broadcast')
+        };
+        return [
+            { titulo: Traductor.t('Dirección'), valor: fila => fila.ip },
+            { titulo: Traductor.t('Tipo'), valor: fila => tipos[fila.tipo] },
+            { titulo: Traductor.t('Nombre PTR'), valor: fila => fila.ptr }
+        ];
+    }
+
+    /**
+     * Genera un tramo del listado
+     * @param {number} desde - Índice de la primera dirección (0 es la dirección de red)
+     * @param {number} cantidad - Número de direcciones a generar
+     * @returns {Array<object>} - Filas {indice, ip, tipo ('red', 'host', 'gateway' o 'broadcast'), ptr}
+     */
+    obtenerFilas(desde, cantidad) {
+        const filas = [];
+        const hasta = Math.min(desde + cantidad, this.total);
+        for (let indice = Math.max(desde, 0); indice < hasta; indice++) {
+            const numero = this.inicio + indice;
+            const ip = CalculadoraSubredes.numeroAIp(numero);
+            let tipo = 'host';
+            if (numero < this.primerHost) {
+                tipo = 'red';
+            } else if (numero > this.ultimoHost) {
+                tipo = 'broadcast';
+            } else if (numero === this.gateway) {
+                tipo = 'gateway';
+            }
+
+            filas.push({ indice: indice, ip: ip, tipo: tipo, ptr: CalculadoraSubredes.calcularNombrePTR(ip) });
+        }
+        return filas;
+    }
+
+    /**
+     * Busca la posición de una dirección en el listado
+     * @param {string} ip - Dirección IPv4 válida
+     * @returns {number} - Índice de la dirección
+     * @throws {Error} - Si la dirección no pertenece a la subred
+     */
+    buscar(ip) {
+        const indice = CalculadoraSubredes.ipANumero(ip) - this.inicio;
+        if (indice < 0 || indice >= this.total) {
+            throw new Error(Traductor.t('La dirección {ip} no pertenece a {red}.', { ip: ip, red: this.resultado.getRedCIDR() }));
+        }
+        return indice;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ListadoHosts;
+}
\ No newline at end of file
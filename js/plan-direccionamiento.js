@@ -0,0 +1,386 @@
+/**
+ * Módulo Plan de Direccionamiento
+ * Espacio de trabajo con las redes de un plan (nombre, sitio, VLAN, propósito y responsable), cada una
+ * respaldada por un ResultadoIp y comprobada frente a solapamientos y a una superred opcional.
+ * Se guarda en localStorage y se exporta/importa como JSON para versionarlo junto a las configuraciones
+ */
+class PlanDireccionamiento {
+    /**
+     * Constructor del plan
+     * @param {Storage|null} almacenamiento - Almacenamiento persistente (null para trabajar solo en memoria)
+     * @param {string} clave - Clave bajo la que se guarda el plan
+     */
+    constructor(almacenamiento, clave = 'calculadora-subredes:plan') {
+        this.almacenamiento = almacenamiento;
+        this.clave = clave;
+        this.aviso = null;
+        this.nombre = '';
+        this.superred = null;
+        this.redes = [];
+        this.cargar();
+    }
+
+    /**
+     * Identificador y versión del formato JSON. Incrementar la versión si cambia la estructura
+     * @returns {object} - {formato, version}
+     */
+    static get FORMATO() {
+        return { formato: 'calculadora-subredes:plan', version: 1 };
+    }
+
+    /**
+     * Lee el plan guardado. Un contenido que no se puede leer se aparta en "<clave>:dañado" y se empieza de cero
+     */
+    cargar() {
+        let texto = null;
+        try {
+            texto = this.almacenamiento ? this.almacenamiento.getItem(this.clave) : null;
+        } catch (error) {
+            this.almacenamiento = null;
+            this.aviso = Traductor.t('El navegador no permite guardar datos: el plan se perderá al recargar la página.');
+        }
+        if (!texto) {
+            return;
+        }
+
+        try {
+            this._aplicarDocumento(this._leerDocumento(texto));
+        } catch (error) {
+            this.aviso = Traductor.t('El plan guardado no se pudo leer ({mensaje}) y se empezó uno nuevo.', {
+                mensaje: error.message
+            });
+            try {
+                this.almacenamiento.setItem(`${this.clave}:dañado`, texto);
+                this.almacenamiento.removeItem(this.clave);
+            } catch (errorCopia) {
+                // Sin espacio para la copia: el plan nuevo sustituirá al dañado
+            }
+        }
+    }
+
+    /**
+     * Escribe el plan en el almacenamiento
+     */
+    guardar() {
+        if (!this.almacenamiento) {
+            return;
+        }
+
+        try {
+            this.almacenamiento.setItem(this.clave, this.exportar());
+        } catch (error) {
+            this.aviso = Traductor.t('No se pudo guardar el plan (almacenamiento lleno o no disponible).');
+        }
+    }
+
+    /**
+     * Serializa el plan. Las redes se guardan ordenadas por dirección y sin identificadores
+     * para que el archivo cambie lo mínimo entre versiones en un repositorio
+     * @returns {string} - Documento JSON
+     */
+    exportar() {
+        return JSON.stringify({
+            ...PlanDireccionamiento.FORMATO,
+            nombre: this.nombre,
+            superred: this.superred ? this.superred.getRedCIDR() : null,
+            redes: this.obtenerRedes().map(red => ({
+                red: red.resultado.getRedCIDR(),
+                nombre: red.nombre,
+                sitio: red.sitio,
+                vlan: red.vlan,
+                proposito: red.proposito,
+                responsable: red.responsable,
+                gateway: red.resultado.gatewayIP
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Sustituye el plan por el de un archivo exportado. Si el archivo no es válido el plan actual no cambia
+     * @param {string} texto - Documento JSON generado por exportar
+     * @throws {Error} - Con el motivo si el archivo no es un plan válido
+     */
+    importar(texto) {
+        this._aplicarDocumento(this._leerDocumento(texto));
+        this.aviso = null;
+        this.guardar();
+    }
+
+    /**
+     * Lee y valida un documento de plan (formato, versión, superred, redes y conflictos entre ellas)
+     * @param {string} texto - Documento JSON
+     * @returns {object} - {nombre, superred, redes}
+     * @throws {Error} - Con el motivo si el documento no es válido
+     * @private
+     */
+    _leerDocumento(texto) {
+        let documento;
+        try {
+            documento = JSON.parse(texto);
+        } catch (error) {
+            throw new Error(Traductor.t('El archivo no contiene un JSON válido.'));
+        }
+
+        const { formato, version } = PlanDireccionamiento.FORMATO;
+        if (!documento || documento.formato !== formato || !Array.isArray(documento.redes)) {
+            throw new Error(Traductor.t('El JSON no es un plan de direccionamiento de la calculadora de subredes.'));
+        }
+        if (documento.version > version) {
+            throw new Error(Traductor.t('El plan usa la versión {version} del formato; esta versión solo lee hasta la {soportada}.', {
+                version: documento.version,
+                soportada: version
+            }));
+        }
+
+        const superred = documento.superred ? this._crearSuperred(String(documento.superred)) : null;
+        const redes = [];
+        documento.redes.forEach(entrada => {
+            const validacion = Validador.validarRedPlan(entrada || {});
+            if (!validacion.esValido) {
+                throw new Error(validacion.mensaje);
+            }
+            const red = this._crearRed(validacion.red);
+            this._comprobarConflictos(red, redes, superred);
+            redes.push(red);
+        });
+
+        return { nombre: String(documento.nombre || '').trim(), superred: superred, redes: redes };
+    }
+
+    /**
+     * Sustituye el contenido del plan
+     * @param {object} documento - {nombre, superred, redes} obtenido con _leerDocumento
+     * @private
+     */
+    _aplicarDocumento(documento) {
+        this.nombre = documento.nombre;
+        this.superred = documento.superred;
+        this.redes = documento.redes;
+    }
+
+    /**
+     * Calcula la superred a partir de su notación ("IP/prefijo" o "IP máscara")
+     * @param {string} texto - Superred
+     * @returns {ResultadoIp} - Superred calculada
+     * @throws {Error} - Si la superred no es válida
+     * @private
+     */
+    _crearSuperred(texto) {
+        const validacion = Validador.validarListaRedes(texto);
+        if (!validacion.esValido || validacion.redes.length !== 1) {
+            throw new Error(Traductor.t('Superred "{superred}": {mensaje}', {
+                superred: texto,
+                mensaje: validacion.mensaje || Traductor.t('indica una sola red.')
+            }));
+        }
+
+        const [red] = validacion.redes;
+        return CalculadoraSubredes.calcularSubredCompleta(red.ip, red.mascara);
+    }
+
+    /**
+     * Crea una red del plan con su ResultadoIp. El gateway indicado se conserva si es un host de la red
+     * @param {object} datos - Red validada con Validador.validarRedPlan
+     * @param {string} [id] - Identificador (se genera uno nuevo si no se indica)
+     * @returns {object} - {id, nombre, sitio, vlan, proposito, responsable, resultado}
+     * @throws {Error} - Si el gateway no es un host utilizable de la red
+     * @private
+     */
+    _crearRed(datos, id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`) {
+        let resultado = CalculadoraSubredes.calcularSubredCompleta(datos.ip, datos.mascara);
+
+        if (datos.gateway && datos.gateway !== resultado.gatewayIP) {
+            const gatewayNum = CalculadoraSubredes.ipANumero(datos.gateway);
+            if (gatewayNum < CalculadoraSubredes.ipANumero(resultado.firstHostIP) ||
+                gatewayNum > CalculadoraSubredes.ipANumero(resultado.lastHostIP)) {
+                throw new Error(Traductor.t('Red "{nombre}": el gateway {gateway} no es un host utilizable de {red} ({rango}).', {
+                    nombre: datos.nombre,
+                    gateway: datos.gateway,
+                    red: resultado.getRedCIDR(),
+                    rango: resultado.getRangoHosts()
+                }));
+            }
+
+            // Un gateway fijo equivale a la política "red + desplazamiento"
+            resultado = CalculadoraSubredes.calcularSubredCompleta(datos.ip, datos.mascara, {
+                posicion: 'red',
+                desplazamiento: gatewayNum - CalculadoraSubredes.ipANumero(resultado.networkIP)
+            });
+        }
+
+        return {
+            id: id,
+            nombre: datos.nombre,
+            sitio: datos.sitio,
+            vlan: datos.vlan,
+            proposito: datos.proposito,
+            responsable: datos.responsable,
+            resultado: resultado
+        };
+    }
+
+    /**
+     * Comprueba que una red quede dentro de la superred y no se solape con las demás
+     * @param {object} red - Red a comprobar
+     * @param {Array<object>} redes - Redes del plan (la propia red, si ya está, se ignora)
+     * @param {ResultadoIp|null} superred - Superred del plan
+     * @throws {Error} - Con la red en conflicto
+     * @private
+     */
+    _comprobarConflictos(red, redes, superred) {
+        const { resultado } = red;
+
+        if (superred && !this._contiene(superred, resultado)) {
+            throw new Error(Traductor.t('La red {red} ("{nombre}") no está dentro de la superred {superred}.', {
+                red: resultado.getRedCIDR(),
+                nombre: red.nombre,
+                superred: superred.getRedCIDR()
+            }));
+        }
+
+        const solapada = redes.find(otra => otra.id !== red.id &&
+            (this._contiene(otra.resultado, resultado) || this._contiene(resultado, otra.resultado)));
+        if (solapada) {
+            throw new Error(Traductor.t('La red {red} ("{nombre}") se solapa con {otraRed} ("{otroNombre}").', {
+                red: resultado.getRedCIDR(),
+                nombre: red.nombre,
+                otraRed: solapada.resultado.getRedCIDR(),
+                otroNombre: solapada.nombre
+            }));
+        }
+    }
+
+    /**
+     * Indica si una red contiene a otra (o es la misma)
+     * @param {ResultadoIp} contenedora - Red que debería contener
+     * @param {ResultadoIp} contenida - Red que debería estar dentro
+     * @returns {boolean} - True si contenida está dentro de contenedora
+     * @private
+     */
+    _contiene(contenedora, contenida) {
+        return CalculadoraSubredes.ipANumero(contenida.subnetMask) >= CalculadoraSubredes.ipANumero(contenedora.subnetMask) &&
+               CalculadoraSubredes.ipEstaEnSubred(contenida.networkIP, contenedora.networkIP, contenedora.subnetMask);
+    }
+
+    /**
+     * Cambia el nombre del plan
+     * @param {string} nombre - Nombre del plan
+     */
+    establecerNombre(nombre) {
+        this.nombre = String(nombre || '').trim();
+        this.guardar();
+    }
+
+    /**
+     * Establece (o quita, con texto vacío) la superred que debe contener todas las redes del plan
+     * @param {string} texto - Superred ("IP/prefijo" o "IP máscara")
+     * @throws {Error} - Si no es válida o alguna red del plan queda fuera
+     */
+    establecerSuperred(texto) {
+        const superred = String(texto || '').trim() ? this._crearSuperred(String(texto).trim()) : null;
+        if (superred) {
+            this.redes.forEach(red => this._comprobarConflictos(red, [], superred));
+        }
+
+        this.superred = superred;
+        this.guardar();
+    }
+
+    /**
+     * Añade una red al plan
+     * @param {object} datos - Red validada con Validador.validarRedPlan
+     * @returns {object} - Red añadida
+     * @throws {Error} - Si se solapa con otra red, queda fuera de la superred o su gateway no es válido
+     */
+    agregarRed(datos) {
+        const red = this._crearRed(datos);
+        this._comprobarConflictos(red, this.redes, this.superred);
+
+        this.redes.push(red);
+        this.guardar();
+        return red;
+    }
+
+    /**
+     * Sustituye los datos de una red del plan
+     * @param {string} id - Identificador de la red
+     * @param {object} datos - Red validada con Validador.validarRedPlan
+     * @returns {object} - Red actualizada
+     * @throws {Error} - Igual que agregarRed, o si la red no existe
+     */
+    actualizarRed(id, datos) {
+        const indice = this.redes.findIndex(red => red.id === id);
+        if (indice === -1) {
+            throw new Error(Traductor.t('La red que se estaba editando ya no está en el plan.'));
+        }
+
+        const red = this._crearRed(datos, id);
+        this._comprobarConflictos(red, this.redes, this.superred);
+
+        this.redes[indice] = red;
+        this.guardar();
+        return red;
+    }
+
+    /**
+     * Busca una red por su identificador
+     * @param {string} id - Identificador de la red
+     * @returns {object|undefined} - Red encontrada
+     */
+    obtenerRed(id) {
+        return this.redes.find(red => red.id === id);
+    }
+
+    /**
+     * Elimina una red del plan
+     * @param {string} id - Identificador de la red
+     */
+    eliminarRed(id) {
+        this.redes = this.redes.filter(red => red.id !== id);
+        this.guardar();
+    }
+
+    /**
+     * Borra el plan completo (nombre, superred y redes)
+     */
+    vaciar() {
+        this._aplicarDocumento({ nombre: '', superred: null, redes: [] });
+        this.guardar();
+    }
+
+    /**
+     * Obtiene las redes ordenadas por dirección
+     * @returns {Array<object>} - Redes del plan
+     */
+    obtenerRedes() {
+        return [...this.redes].sort((a, b) =>
+            CalculadoraSubredes.ipANumero(a.resultado.networkIP) - CalculadoraSubredes.ipANumero(b.resultado.networkIP));
+    }
+
+    /**
+     * Calcula el uso de la superred
+     * @returns {object|null} - {direcciones, asignadas, espacioLibre: Array<ResultadoIp>}, o null sin superred
+     */
+    obtenerUso() {
+        if (!this.superred) {
+            return null;
+        }
+
+        const tamaño = resultado =>
+            CalculadoraSubredes.ipANumero(resultado.broadcastIP) - CalculadoraSubredes.ipANumero(resultado.networkIP) + 1;
+
+        return {
+            direcciones: tamaño(this.superred),
+            asignadas: this.redes.reduce((total, red) => total + tamaño(red.resultado), 0),
+            espacioLibre: CalculadoraSubredes.calcularEspacioLibre(
+                { ip: this.superred.networkIP, mascara: this.superred.subnetMask },
+                this.redes.map(red => ({ ip: red.resultado.networkIP, mascara: red.resultado.subnetMask }))
+            )
+        };
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlanDireccionamiento;
+}
\ No newline at end of file
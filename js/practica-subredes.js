@@ -0,0 +1,637 @@
+/**
+ * Módulo Práctica de Subredes
+ * Genera ejercicios aleatorios de subnetting (red y rango de hosts, máscara para N hosts, división
+ * en N subredes y VLSM), corrige las respuestas con CalculadoraSubredes y explica el procedimiento.
+ * La puntuación y el nivel de dificultad se guardan en localStorage
+ */
+class PracticaSubredes {
+    /**
+     * Constructor de la práctica
+     * @param {Storage|null} almacenamiento - Almacenamiento persistente (null para trabajar solo en memoria)
+     * @param {string} clave - Clave bajo la que se guarda la puntuación
+     * @param {Function} aleatorio - Generador de números en [0, 1) (Math.random salvo en pruebas)
+     */
+    constructor(almacenamiento, clave = 'calculadora-subredes:practica', aleatorio = Math.random) {
+        this.almacenamiento = almacenamiento;
+        this.clave = clave;
+        this.aleatorio = aleatorio;
+        this.aviso = null;
+        this.ejercicio = null;
+        this.correccion = null;
+        this.puntuacion = PracticaSubredes.PUNTUACION_INICIAL;
+        this.cargar();
+    }
+
+    /**
+     * Versión del formato guardado. Incrementar si cambia la estructura de la puntuación
+     * @returns {number} - Versión actual
+     */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * Tipos de ejercicio
+     * @returns {Array<string>} - 'rango', 'mascara', 'division' y 'vlsm'
+     */
+    static get TIPOS() {
+        return ['rango', 'mascara', 'division', 'vlsm'];
+    }
+
+    /**
+     * Niveles de dificultad: cuanto más alto, más bits en juego (prefijos más cortos, más hosts y más subredes)
+     * @returns {Array<object>} - Niveles {nivel, nombre, prefijoMinimo, bitsHostMaximo, subredesMaximo, bitsPadreVLSM, segmentosVLSM}
+     */
+    static get NIVELES() {
+        return [
+            { nivel: 1, nombre: 'Básico', prefijoMinimo: 24, bitsHostMaximo: 8, subredesMaximo: 8, bitsPadreVLSM: [8, 8], segmentosVLSM: 2 },
+            { nivel: 2, nombre: 'Intermedio', prefijoMinimo: 16, bitsHostMaximo: 12, subredesMaximo: 32, bitsPadreVLSM: [9, 10], segmentosVLSM: 3 },
+            { nivel: 3, nombre: 'Avanzado', prefijoMinimo: 8, bitsHostMaximo: 16, subredesMaximo: 256, bitsPadreVLSM: [11, 12], segmentosVLSM: 4 }
+        ];
+    }
+
+    /**
+     * Aciertos seguidos para subir de nivel y fallos seguidos para bajar
+     * @returns {object} - {aciertos, fallos}
+     */
+    static get CAMBIO_NIVEL() {
+        return { aciertos: 3, fallos: 2 };
+    }
+
+    /**
+     * Puntuación de quien aún no ha practicado
+     * @returns {object} - {nivel, aciertos, fallos, racha, mejorRacha, fallosSeguidos}
+     */
+    static get PUNTUACION_INICIAL() {
+        return { nivel: 1, aciertos: 0, fallos: 0, racha: 0, mejorRacha: 0, fallosSeguidos: 0 };
+    }
+
+    /**
+     * Lee la puntuación guardada. Si no se puede leer se empieza de cero
+     */
+    cargar() {
+        let texto = null;
+        try {
+            texto = this.almacenamiento ? this.almacenamiento.getItem(this.clave) : null;
+        } catch (error) {
+            this.almacenamiento = null;
+            this.aviso = Traductor.t('El navegador no permite guardar datos: la puntuación se perderá al recargar la página.');
+        }
+        if (!texto) {
+            return;
+        }
+
+        let datos;
+        try {
+            datos = JSON.parse(texto);
+        } catch (error) {
+            datos = null;
+        }
+
+        const numeros = Object.keys(PracticaSubredes.PUNTUACION_INICIAL);
+        const valida = datos && datos.version <= PracticaSubredes.VERSION &&
+                       numeros.every(clave => Number.isInteger(datos[clave]) && datos[clave] >= 0) &&
+                       PracticaSubredes.NIVELES.some(nivel => nivel.nivel === datos.nivel);
+        if (!valida) {
+            this.aviso = Traductor.t('La puntuación guardada no se pudo leer y se empezó de cero.');
+            return;
+        }
+
+        this.puntuacion = Object.fromEntries(numeros.map(clave => [clave, datos[clave]]));
+    }
+
+    /**
+     * Escribe la puntuación en el almacenamiento
+     */
+    guardar() {
+        if (!this.almacenamiento) {
+            return;
+        }
+
+        try {
+            this.almacenamiento.setItem(this.clave, JSON.stringify({ version: PracticaSubredes.VERSION, ...this.puntuacion }));
+        } catch (error) {
+            this.aviso = Traductor.t('No se pudo guardar la puntuación (almacenamiento lleno o no disponible).');
+        }
+    }
+
+    /**
+     * Cambia el nivel de dificultad de los próximos ejercicios
+     * @param {number} nivel - Nivel de NIVELES
+     */
+    establecerNivel(nivel) {
+        if (PracticaSubredes.NIVELES.some(otro => otro.nivel === nivel)) {
+            this.puntuacion = { ...this.puntuacion, nivel: nivel, racha: 0, fallosSeguidos: 0 };
+            this.guardar();
+        }
+    }
+
+    /**
+     * Pone a cero aciertos, fallos y rachas (el nivel se conserva)
+     */
+    reiniciarPuntuacion() {
+        this.puntuacion = { ...PracticaSubredes.PUNTUACION_INICIAL, nivel: this.puntuacion.nivel };
+        this.guardar();
+    }
+
+    /**
+     * Genera un ejercicio nuevo del nivel actual, que pasa a ser el ejercicio en curso
+     * @param {string} [tipo] - Uno de TIPOS (por defecto, uno al azar)
+     * @returns {object} - Ejercicio {tipo, nivel, datos, campos: [{id, formato, ...}], solucion: {id: valor}}
+     */
+    generarEjercicio(tipo = PracticaSubredes.TIPOS[this._entero(0, PracticaSubredes.TIPOS.length - 1)]) {
+        const nivel = PracticaSubredes.NIVELES.find(otro => otro.nivel === this.puntuacion.nivel);
+        const generadores = {
+            rango: () => this._generarRango(nivel),
+            mascara: () => this._generarMascara(nivel),
+            division: () => this._generarDivision(nivel),
+            vlsm: () => this._generarVLSM(nivel)
+        };
+        if (!generadores[tipo]) {
+            throw new Error(Traductor.t('Tipo de ejercicio no soportado: {tipo}', { tipo: tipo }));
+        }
+
+        this.ejercicio = { tipo: tipo, nivel: nivel.nivel, ...generadores[tipo]() };
+        this.correccion = null;
+        return this.ejercicio;
+    }
+
+    /**
+     * Corrige las respuestas del ejercicio en curso y actualiza la puntuación (solo la primera vez)
+     * @param {object} respuestas - Respuestas por identificador de campo
+     * @returns {object} - Corrección {correcto, campos: [{id, respuesta, esperado, correcto}], cambioNivel}
+     * @throws {Error} - Si no hay un ejercicio en curso
+     */
+    corregir(respuestas) {
+        if (!this.ejercicio) {
+            throw new Error(Traductor.t('Genera primero un ejercicio.'));
+        }
+
+        const campos = this.ejercicio.campos.map(campo => {
+            const respuesta = String(respuestas[campo.id] || '').trim();
+            const esperado = this.ejercicio.solucion[campo.id];
+            return {
+                id: campo.id,
+                respuesta: respuesta,
+                esperado: esperado,
+                correcto: PracticaSubredes._compararRespuesta(campo.formato, respuesta, esperado)
+            };
+        });
+        const correcto = campos.every(campo => campo.correcto);
+
+        // Repetir la corrección (p. ej. tras arreglar una respuesta) no vuelve a puntuar el ejercicio
+        const cambioNivel = this.correccion ? 0 : this._puntuar(correcto);
+        this.correccion = { correcto: correcto, campos: campos, solucionVista: false, cambioNivel: cambioNivel };
+        return this.correccion;
+    }
+
+    /**
+     * Muestra la solución del ejercicio en curso; si aún no se había corregido, cuenta como fallo
+     * @returns {object} - Corrección con todas las respuestas esperadas y solucionVista a true
+     * @throws {Error} - Si no hay un ejercicio en curso
+     */
+    mostrarSolucion() {
+        if (!this.ejercicio) {
+            throw new Error(Traductor.t('Genera primero un ejercicio.'));
+        }
+
+        const cambioNivel = this.correccion ? 0 : this._puntuar(false);
+        this.correccion = {
+            correcto: false,
+            campos: this.ejercicio.campos.map(campo => ({
+                id: campo.id,
+                respuesta: '',
+                esperado: this.ejercicio.solucion[campo.id],
+                correcto: false
+            })),
+            solucionVista: true,
+            cambioNivel: cambioNivel
+        };
+        return this.correccion;
+    }
+
+    /**
+     * Suma un acierto o un fallo y sube o baja de nivel según las rachas (ver CAMBIO_NIVEL)
+     * @param {boolean} correcto - Resultado del ejercicio
+     * @returns {number} - 1 si se subió de nivel, -1 si se bajó y 0 si no cambió
+     * @private
+     */
+    _puntuar(correcto) {
+        const puntuacion = { ...this.puntuacion };
+        const niveles = PracticaSubredes.NIVELES;
+        let cambioNivel = 0;
+
+        if (correcto) {
+            puntuacion.aciertos++;
+            puntuacion.racha++;
+            puntuacion.fallosSeguidos = 0;
+            puntuacion.mejorRacha = Math.max(puntuacion.mejorRacha, puntuacion.racha);
+            if (puntuacion.racha % PracticaSubredes.CAMBIO_NIVEL.aciertos === 0 && puntuacion.nivel < niveles.length) {
+                puntuacion.nivel++;
+                cambioNivel = 1;
+            }
+        } else {
+            puntuacion.fallos++;
+            puntuacion.racha = 0;
+            puntuacion.fallosSeguidos++;
+            if (puntuacion.fallosSeguidos >= PracticaSubredes.CAMBIO_NIVEL.fallos && puntuacion.nivel > 1) {
+                puntuacion.nivel--;
+                puntuacion.fallosSeguidos = 0;
+                cambioNivel = -1;
+            }
+        }
+
+        this.puntuacion = puntuacion;
+        this.guardar();
+        return cambioNivel;
+    }
+
+    /**
+     * Ejercicio de red, broadcast y rango de hosts de una dirección con prefijo
+     * @param {object} nivel - Nivel de NIVELES
+     * @returns {object} - {datos: {ip, prefijo}, campos, solucion}
+     * @private
+     */
+    _generarRango(nivel) {
+        const prefijo = this._entero(nivel.prefijoMinimo, 30);
+        const ip = this._direccionAleatoria(prefijo);
+        const resultado = CalculadoraSubredes.calcularDesdeMascara(ip, CalculadoraSubredes.calcularMascaraDesdePrefijo(prefijo));
+
+        return {
+            datos: { ip: ip, prefijo: prefijo },
+            campos: [
+                { id: 'red', formato: 'ip' },
+                { id: 'broadcast', formato: 'ip' },
+                { id: 'primerHost', formato: 'ip' },
+                { id: 'ultimoHost', formato: 'ip' }
+            ],
+            solucion: {
+                red: resultado.networkIP,
+                broadcast: resultado.broadcastIP,
+                primerHost: resultado.firstHostIP,
+                ultimoHost: resultado.lastHostIP
+            }
+        };
+    }
+
+    /**
+     * Ejercicio de la máscara mínima para un número de hosts
+     * @param {object} nivel - Nivel de NIVELES
+     * @returns {object} - {datos: {hosts}, campos, solucion}
+     * @private
+     */
+    _generarMascara(nivel) {
+        const hosts = this._hostsParaBits(this._entero(2, nivel.bitsHostMaximo));
+        const mascara = CalculadoraSubredes.calcularMascaraDesdeHosts(hosts);
+
+        return {
+            datos: { hosts: hosts },
+            campos: [
+                { id: 'mascara', formato: 'mascara' },
+                { id: 'hosts', formato: 'numero' }
+            ],
+            solucion: {
+                mascara: mascara,
+                hosts: CalculadoraSubredes.calcularHostsDesdeMascara(mascara)
+            }
+        };
+    }
+
+    /**
+     * Ejercicio de división de una red en N subredes iguales
+     * @param {object} nivel - Nivel de NIVELES
+     * @returns {object} - {datos: {red, prefijo, subredes}, campos, solucion}
+     * @private
+     */
+    _generarDivision(nivel) {
+        const subredes = this._entero(2, nivel.subredesMaximo);
+        const bitsPrestados = Math.ceil(Math.log2(subredes));
+        const prefijo = this._entero(nivel.prefijoMinimo, 30 - bitsPrestados);
+        const mascara = CalculadoraSubredes.calcularMascaraDesdePrefijo(prefijo);
+        const red = CalculadoraSubredes.calcularIpRed(this._direccionAleatoria(prefijo), mascara);
+        const [ultima] = CalculadoraSubredes.dividirEnSubredes(red, mascara, subredes, subredes - 1, 1);
+
+        return {
+            datos: { red: red, prefijo: prefijo, subredes: subredes },
+            campos: [
+                { id: 'mascara', formato: 'mascara' },
+                { id: 'hosts', formato: 'numero' },
+                { id: 'ultimaSubred', formato: 'ip' }
+            ],
+            solucion: {
+                mascara: ultima.subnetMask,
+                hosts: ultima.totalHosts,
+                ultimaSubred: ultima.networkIP
+            }
+        };
+    }
+
+    /**
+     * Ejercicio VLSM: segmentos de tamaños distintos (para que el orden de asignación sea único)
+     * que se asignan del mayor al menor dentro de una red padre
+     * @param {object} nivel - Nivel de NIVELES
+     * @returns {object} - {datos: {red, prefijo, segmentos: [{numero, hosts}]}, campos, solucion}
+     * @private
+     */
+    _generarVLSM(nivel) {
+        const bitsPadre = this._entero(nivel.bitsPadreVLSM[0], nivel.bitsPadreVLSM[1]);
+        const prefijo = 32 - bitsPadre;
+        const mascara = CalculadoraSubredes.calcularMascaraDesdePrefijo(prefijo);
+        const red = CalculadoraSubredes.calcularIpRed(this._direccionAleatoria(prefijo), mascara);
+
+        // Bloques de 2^bits distintos y menores que la red padre: su suma nunca la supera
+        const bitsDisponibles = Array.from({ length: bitsPadre - 2 }, (valor, indice) => indice + 2);
+        const segmentos = this._mezclar(bitsDisponibles)
+            .slice(0, nivel.segmentosVLSM)
+            .map((bits, indice) => ({ numero: indice + 1, hosts: this._hostsParaBits(bits) }));
+
+        const plan = CalculadoraSubredes.planificarVLSM(red, mascara,
+            segmentos.map(segmento => ({ nombre: String(segmento.numero), hosts: segmento.hosts })));
+        const solucion = {};
+        plan.subredes.forEach(subred => {
+            solucion[`segmento${subred.nombre}`] = subred.resultado.getRedCIDR();
+        });
+
+        return {
+            datos: { red: red, prefijo: prefijo, segmentos: segmentos },
+            campos: segmentos.map(segmento => ({ id: `segmento${segmento.numero}`, formato: 'cidr', segmento: segmento })),
+            solucion: solucion
+        };
+    }
+
+    /**
+     * Obtiene el enunciado del ejercicio y las etiquetas de sus campos en el idioma actual
+     * @param {object} ejercicio - Ejercicio generado
+     * @returns {object} - {enunciado, campos: [{id, etiqueta, ejemplo}]}
+     */
+    static describir(ejercicio) {
+        const { datos } = ejercicio;
+        const division = ejercicio.tipo === 'division';
+        const etiquetas = {
+            red: Traductor.t('IP de Red:'),
+            broadcast: Traductor.t('IP de Broadcast:'),
+            primerHost: Traductor.t('Primer Host:'),
+            ultimoHost: Traductor.t('Último Host:'),
+            mascara: Traductor.t(division ? 'Máscara de las subredes:' : 'Máscara de subred:'),
+            hosts: Traductor.t(division ? 'Hosts por subred:' : 'Hosts utilizables:'),
+            ultimaSubred: Traductor.t('Red de la subred {numero}:', { numero: datos.subredes })
+        };
+        const ejemplos = {
+            ip: Traductor.t('Ej: 192.168.1.0'),
+            mascara: Traductor.t('Ej: 255.255.255.0 o /24'),
+            numero: Traductor.t('Ej: 254'),
+            cidr: Traductor.t('Ej: 10.0.1.0/24')
+        };
+
+        let enunciado;
+        switch (ejercicio.tipo) {
+            case 'rango':
+                enunciado = Traductor.t('Calcula la dirección de red, el broadcast y el rango de hosts de {ip}/{prefijo}.', {
+                    ip: datos.ip,
+                    prefijo: datos.prefijo
+                });
+                break;
+            case 'mascara':
+                enunciado = Traductor.t('¿Qué máscara necesita una subred con {hosts} hosts? Indica también cuántos hosts utilizables tendrá.', {
+                    hosts: Traductor.formatearNumero(datos.hosts)
+                });
+                break;
+            case 'division':
+                enunciado = Traductor.t('Divide {red}/{prefijo} en {subredes} subredes iguales. Indica la máscara de las subredes, ' +
+                                        'cuántos hosts tiene cada una y la dirección de red de la subred {subredes}.', {
+                    red: datos.red,
+                    prefijo: datos.prefijo,
+                    subredes: datos.subredes
+                });
+                break;
+            default:
+                enunciado = Traductor.t('Asigna con VLSM los segmentos dentro de {red}/{prefijo}, del mayor al menor y seguidos desde ' +
+                                        'el inicio de la red. Escribe la red de cada segmento en notación CIDR.', {
+                    red: datos.red,
+                    prefijo: datos.prefijo
+                });
+        }
+
+        return {
+            enunciado: enunciado,
+            campos: ejercicio.campos.map(campo => ({
+                id: campo.id,
+                etiqueta: campo.segmento
+                    ? Traductor.t('{segmento} ({hosts} hosts):', {
+                        segmento: Traductor.t('Segmento {numero}', { numero: campo.segmento.numero }),
+                        hosts: Traductor.formatearNumero(campo.segmento.hosts)
+                    })
+                    : etiquetas[campo.id],
+                ejemplo: ejemplos[campo.formato]
+            }))
+        };
+    }
+
+    /**
+     * Explica paso a paso cómo se obtiene la solución del ejercicio, en el idioma actual
+     * @param {object} ejercicio - Ejercicio generado
+     * @returns {Array<string>} - Pasos del procedimiento
+     */
+    static explicar(ejercicio) {
+        const { datos, solucion } = ejercicio;
+
+        switch (ejercicio.tipo) {
+            case 'rango': {
+                const mascara = CalculadoraSubredes.calcularMascaraDesdePrefijo(datos.prefijo);
+                const wildcard = CalculadoraSubredes.calcularWildcard(mascara);
+                return [
+                    Traductor.t('Prefijo /{prefijo}: máscara {mascara} y wildcard {wildcard}.', {
+                        prefijo: datos.prefijo,
+                        mascara: mascara,
+                        wildcard: wildcard
+                    }),
+                    Traductor.t('Red = IP AND máscara: {ip} AND {mascara} = {red}.', { ip: datos.ip, mascara: mascara, red: solucion.red }),
+                    Traductor.t('Broadcast = red OR wildcard: {red} OR {wildcard} = {broadcast}.', {
+                        red: solucion.red,
+                        wildcard: wildcard,
+                        broadcast: solucion.broadcast
+                    }),
+                    Traductor.t('Hosts: de {primero} (red + 1) a {ultimo} (broadcast - 1), {hosts} en total.', {
+                        primero: solucion.primerHost,
+                        ultimo: solucion.ultimoHost,
+                        hosts: Traductor.formatearNumero(CalculadoraSubredes.calcularHostsDesdeMascara(mascara))
+                    })
+                ];
+            }
+
+            case 'mascara': {
+                const bitsHost = 32 - CalculadoraSubredes.obtenerInfoAdicional(solucion.mascara).bitsRed;
+                return [
+                    Traductor.t('{hosts} hosts más la red y el broadcast son {direcciones} direcciones.', {
+                        hosts: Traductor.formatearNumero(datos.hosts),
+                        direcciones: Traductor.formatearNumero(datos.hosts + 2)
+                    }),
+                    Traductor.t('La potencia de 2 más pequeña que las cubre es 2^{bits} = {bloque}: hacen falta {bits} bits de host.', {
+                        bits: bitsHost,
+                        bloque: Traductor.formatearNumero(Math.pow(2, bitsHost))
+                    }),
+                    Traductor.t('Prefijo /32 - {bits} = /{prefijo}: máscara {mascara}, con {utilizables} hosts utilizables.', {
+                        bits: bitsHost,
+                        prefijo: 32 - bitsHost,
+                        mascara: solucion.mascara,
+                        utilizables: Traductor.formatearNumero(solucion.hosts)
+                    })
+                ];
+            }
+
+            case 'division': {
+                const nuevoPrefijo = CalculadoraSubredes.obtenerInfoAdicional(solucion.mascara).bitsRed;
+                const bitsPrestados = nuevoPrefijo - datos.prefijo;
+                const bloque = Math.pow(2, 32 - nuevoPrefijo);
+                return [
+                    Traductor.t('Para {subredes} subredes hacen falta {bits} bits más (2^{bits} = {potencia}).', {
+                        subredes: datos.subredes,
+                        bits: bitsPrestados,
+                        potencia: Math.pow(2, bitsPrestados)
+                    }),
+                    Traductor.t('Nuevo prefijo: /{prefijo} + {bits} = /{nuevoPrefijo}, máscara {mascara}, con {hosts} hosts por subred.', {
+                        prefijo: datos.prefijo,
+                        bits: bitsPrestados,
+                        nuevoPrefijo: nuevoPrefijo,
+                        mascara: solucion.mascara,
+                        hosts: Traductor.formatearNumero(solucion.hosts)
+                    }),
+                    Traductor.t('Cada subred ocupa {bloque} direcciones: la subred {numero} empieza {desplazamiento} direcciones ' +
+                                'después de {red}, en {ultima}.', {
+                        bloque: Traductor.formatearNumero(bloque),
+                        numero: datos.subredes,
+                        desplazamiento: Traductor.formatearNumero((datos.subredes - 1) * bloque),
+                        red: datos.red,
+                        ultima: solucion.ultimaSubred
+                    })
+                ];
+            }
+
+            default: {
+                const pasos = [Traductor.t('Se ordenan los segmentos de mayor a menor y se asignan seguidos desde {red}:', { red: datos.red })];
+                const ordenados = datos.segmentos
+                    .map(segmento => ({ ...segmento, subred: solucion[`segmento${segmento.numero}`] }))
+                    .sort((a, b) => b.hosts - a.hosts);
+                ordenados.forEach(segmento => {
+                    const prefijo = Number(segmento.subred.split('/')[1]);
+                    pasos.push(Traductor.t('{segmento}: {hosts} hosts → /{prefijo} ({bloque} direcciones) → {subred}.', {
+                        segmento: Traductor.t('Segmento {numero}', { numero: segmento.numero }),
+                        hosts: Traductor.formatearNumero(segmento.hosts),
+                        prefijo: prefijo,
+                        bloque: Traductor.formatearNumero(Math.pow(2, 32 - prefijo)),
+                        subred: segmento.subred
+                    }));
+                });
+                return pasos;
+            }
+        }
+    }
+
+    /**
+     * Da formato a un valor esperado para mostrarlo junto a la respuesta
+     * @param {object} campo - Campo del ejercicio {formato}
+     * @param {string|number} valor - Valor de la solución
+     * @returns {string} - Valor para mostrar (las máscaras incluyen su prefijo)
+     */
+    static formatearSolucion(campo, valor) {
+        if (campo.formato === 'mascara') {
+            return `${valor} (/${CalculadoraSubredes.obtenerInfoAdicional(valor).bitsRed})`;
+        }
+        if (campo.formato === 'numero') {
+            return Traductor.formatearNumero(valor);
+        }
+        return String(valor);
+    }
+
+    /**
+     * Compara una respuesta con el valor esperado admitiendo las formas habituales de escribirla:
+     * máscaras como prefijo o en decimal, números con separadores de miles y redes con prefijo o máscara
+     * @param {string} formato - 'ip', 'mascara', 'numero' o 'cidr'
+     * @param {string} respuesta - Respuesta escrita
+     * @param {string|number} esperado - Valor de la solución
+     * @returns {boolean} - True si la respuesta es correcta
+     * @private
+     */
+    static _compararRespuesta(formato, respuesta, esperado) {
+        const normalizarIP = texto => (/^\d{1,3}(\.\d{1,3}){3}$/.test(texto)
+            ? texto.split('.').map(Number).join('.')
+            : null);
+
+        switch (formato) {
+            case 'ip':
+                return normalizarIP(respuesta) === esperado;
+            case 'mascara':
+                return Validador.esMascaraSubredValida(respuesta) && Validador.normalizarMascara(respuesta) === esperado;
+            case 'numero':
+                return /^\d[\d.,\s]*$/.test(respuesta) && Number(respuesta.replace(/[.,\s]/g, '')) === esperado;
+            case 'cidr': {
+                const [direccion, mascara] = respuesta.split(/\s*\/\s*|\s+/);
+                const [redEsperada, prefijoEsperado] = esperado.split('/');
+                return normalizarIP(direccion) === redEsperada && Boolean(mascara) &&
+                       Validador.esMascaraSubredValida(mascara) &&
+                       Validador.normalizarMascara(mascara) === Validador.normalizarMascara(prefijoEsperado);
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Número entero aleatorio entre dos límites (incluidos)
+     * @param {number} minimo - Límite inferior
+     * @param {number} maximo - Límite superior
+     * @returns {number} - Número aleatorio
+     * @private
+     */
+    _entero(minimo, maximo) {
+        return minimo + Math.floor(this.aleatorio() * (maximo - minimo + 1));
+    }
+
+    /**
+     * Devuelve una copia de la lista en orden aleatorio
+     * @param {Array} lista - Lista original
+     * @returns {Array} - Lista mezclada
+     * @private
+     */
+    _mezclar(lista) {
+        const copia = [...lista];
+        for (let indice = copia.length - 1; indice > 0; indice--) {
+            const otro = this._entero(0, indice);
+            [copia[indice], copia[otro]] = [copia[otro], copia[indice]];
+        }
+        return copia;
+    }
+
+    /**
+     * Número de hosts que necesita exactamente un bloque de 2^bits direcciones (ni uno más pequeño ni uno mayor)
+     * @param {number} bits - Bits de host del bloque (mínimo 2)
+     * @returns {number} - Hosts entre 2^(bits-1) - 1 y 2^bits - 2
+     * @private
+     */
+    _hostsParaBits(bits) {
+        return this._entero(Math.max(2, Math.pow(2, bits - 1) - 1), Math.pow(2, bits) - 2);
+    }
+
+    /**
+     * Dirección privada aleatoria, del bloque que corresponde al prefijo para que los números sean realistas:
+     * 192.168.0.0/16 para /24 o más largos, 172.16.0.0/12 hasta /16 y 10.0.0.0/8 para el resto
+     * @param {number} prefijo - Prefijo del ejercicio
+     * @returns {string} - Dirección IPv4
+     * @private
+     */
+    _direccionAleatoria(prefijo) {
+        const octeto = () => this._entero(0, 255);
+        if (prefijo >= 24) {
+            return `192.168.${octeto()}.${this._entero(1, 254)}`;
+        }
+        if (prefijo >= 16) {
+            return `172.${this._entero(16, 31)}.${octeto()}.${this._entero(1, 254)}`;
+        }
+        return `10.${octeto()}.${octeto()}.${this._entero(1, 254)}`;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PracticaSubredes;
+}
\ No newline at end of file
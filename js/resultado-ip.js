@@ -24,6 +24,10 @@ class ResultadoIp {
     }
 
     // Getters para acceder a los atributos
+    get familia() {
+        return 4;
+    }
+
     get networkIP() {
         return this._networkIP;
     }
@@ -60,6 +64,27 @@ class ResultadoIp {
         return `${this._firstHostIP} - ${this._lastHostIP}`;
     }
 
+    /**
+     * Indica si la subred reserva una dirección de broadcast (en /31 y /32 todas las direcciones son hosts, RFC 3021)
+     * @returns {boolean} - True si la subred tiene broadcast
+     */
+    tieneBroadcast() {
+        return this._calcularCIDR() < 31;
+    }
+
+    /**
+     * Obtiene el broadcast tal como se muestra: la dirección o, en /31 y /32, por qué no aplica
+     * @returns {string} - IP de broadcast o texto "No aplica" en el idioma actual
+     */
+    describirBroadcast() {
+        if (this.tieneBroadcast()) {
+            return this._broadcastIP;
+        }
+        return this._totalHosts === 2
+            ? Traductor.t('No aplica (enlace punto a punto)')
+            : Traductor.t('No aplica (host único)');
+    }
+
     /**
      * Obtiene información de la red en formato CIDR
      * @returns {string} - Red en formato CIDR (ej: 192.168.1.0/24)
@@ -69,6 +94,17 @@ class ResultadoIp {
         return `${this._networkIP}/${cidr}`;
     }
 
+    /**
+     * Obtiene la máscara wildcard (inversa) de la subred, usada en ACL y OSPF
+     * @returns {string} - Máscara wildcard (ej: 0.0.0.255 para 255.255.255.0)
+     */
+    getWildcard() {
+        return this._subnetMask
+            .split('.')
+            .map(octeto => 255 - Number(octeto))
+            .join('.');
+    }
+
     /**
      * Calcula la notación CIDR a partir de la máscara de subred
      * @returns {number} - Número de bits de red
@@ -85,13 +121,15 @@ class ResultadoIp {
 
     /**
      * Convierte el objeto a formato JSON para fácil serialización
-     * @returns {object} - Objeto con todos los resultados
+     * @returns {object} - Objeto con todos los resultados (broadcastIP es null en /31 y /32)
      */
     toJSON() {
         return {
+            familia: this.familia,
             networkIP: this._networkIP,
             subnetMask: this._subnetMask,
-            broadcastIP: this._broadcastIP,
+            wildcardMask: this.getWildcard(),
+            broadcastIP: this.tieneBroadcast() ? this._broadcastIP : null,
             firstHostIP: this._firstHostIP,
             lastHostIP: this._lastHostIP,
             gatewayIP: this._gatewayIP,
@@ -102,16 +140,17 @@ class ResultadoIp {
     }
 
     /**
-     * Convierte el objeto a string para visualización
+     * Convierte el objeto a string para visualización, en el idioma actual
      * @returns {string} - Representación en string de los resultados
      */
     toString() {
-        return `Red: ${this.getRedCIDR()}\n` +
-               `Máscara: ${this._subnetMask}\n` +
-               `Broadcast: ${this._broadcastIP}\n` +
-               `Rango de hosts: ${this.getRangoHosts()}\n` +
-               `Gateway: ${this._gatewayIP}\n` +
-               `Total hosts: ${this._totalHosts.toLocaleString()}`;
+        return `${Traductor.t('Red')}: ${this.getRedCIDR()}\n` +
+               `${Traductor.t('Máscara')}: ${this._subnetMask}\n` +
+               `${Traductor.t('Wildcard')}: ${this.getWildcard()}\n` +
+               `${Traductor.t('Broadcast')}: ${this.describirBroadcast()}\n` +
+               `${Traductor.t('Rango de hosts')}: ${this.getRangoHosts()}\n` +
+               `${Traductor.t('Gateway')}: ${this._gatewayIP}\n` +
+               `${Traductor.t('Total hosts')}: ${Traductor.formatearNumero(this._totalHosts)}`;
     }
 
     /**
@@ -125,7 +164,7 @@ class ResultadoIp {
                this._firstHostIP && 
                this._lastHostIP && 
                this._gatewayIP && 
-               this._totalHosts >= 0;
+               this._totalHosts >= 1;
     }
 
     /**
@@ -138,7 +177,8 @@ class ResultadoIp {
         return new ResultadoIp(
             data.networkIP,
             data.subnetMask,
-            data.broadcastIP,
+            // toJSON no guarda broadcast en /31 y /32: ahí la última dirección del bloque es el último host
+            data.broadcastIP || data.lastHostIP,
             data.firstHostIP,
             data.lastHostIP,
             data.gatewayIP,
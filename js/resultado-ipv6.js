@@ -0,0 +1,147 @@
+/**
+ * Clase ResultadoIpv6
+ * Encapsula los resultados obtenidos del cálculo de un prefijo IPv6
+ */
+class ResultadoIpv6 {
+    /**
+     * Constructor de la clase ResultadoIpv6
+     * @param {string} networkIP - Dirección de red (notación comprimida)
+     * @param {number} prefixLength - Longitud de prefijo (0-128)
+     * @param {string} firstIP - Primera dirección del prefijo (notación comprimida)
+     * @param {string} lastIP - Última dirección del prefijo (notación comprimida)
+     * @param {bigint} totalAddresses - Cantidad total de direcciones del prefijo
+     */
+    constructor(networkIP, prefixLength, firstIP, lastIP, totalAddresses) {
+        this._networkIP = networkIP;
+        this._prefixLength = prefixLength;
+        this._firstIP = firstIP;
+        this._lastIP = lastIP;
+        this._totalAddresses = totalAddresses;
+    }
+
+    // Getters para acceder a los atributos
+    get familia() {
+        return 6;
+    }
+
+    get networkIP() {
+        return this._networkIP;
+    }
+
+    get prefixLength() {
+        return this._prefixLength;
+    }
+
+    get firstIP() {
+        return this._firstIP;
+    }
+
+    get lastIP() {
+        return this._lastIP;
+    }
+
+    get totalAddresses() {
+        return this._totalAddresses;
+    }
+
+    /**
+     * Obtiene el rango de direcciones como string
+     * @returns {string} - Rango en formato "primera - última"
+     */
+    getRangoDirecciones() {
+        return `${this._firstIP} - ${this._lastIP}`;
+    }
+
+    /**
+     * Obtiene el prefijo en formato CIDR
+     * @returns {string} - Prefijo en formato CIDR (ej: 2001:db8::/48)
+     */
+    getRedCIDR() {
+        return `${this._networkIP}/${this._prefixLength}`;
+    }
+
+    /**
+     * Calcula cuántas subredes /64 caben en el prefijo
+     * @returns {bigint} - Número de subredes /64 (0 si el prefijo es mayor que /64)
+     */
+    getSubredes64() {
+        if (this._prefixLength > 64) {
+            return 0n;
+        }
+        return 1n << BigInt(64 - this._prefixLength);
+    }
+
+    /**
+     * Convierte el objeto a formato JSON para fácil serialización
+     * @returns {object} - Objeto con todos los resultados (las cantidades como string)
+     */
+    toJSON() {
+        return {
+            familia: this.familia,
+            networkIP: this._networkIP,
+            prefixLength: this._prefixLength,
+            firstIP: this._firstIP,
+            lastIP: this._lastIP,
+            totalAddresses: this._totalAddresses.toString(),
+            redCIDR: this.getRedCIDR()
+        };
+    }
+
+    /**
+     * Convierte el objeto a string para visualización, en el idioma actual
+     * @returns {string} - Representación en string de los resultados
+     */
+    toString() {
+        return `${Traductor.t('Red')}: ${this.getRedCIDR()}\n` +
+               `${Traductor.t('Rango de direcciones')}: ${this.getRangoDirecciones()}\n` +
+               `${Traductor.t('Total direcciones')}: ${Traductor.formatearNumero(this._totalAddresses)}`;
+    }
+
+    /**
+     * Valida si todos los resultados son válidos
+     * @returns {boolean} - True si todos los resultados son válidos
+     */
+    esValido() {
+        return Boolean(this._networkIP &&
+               this._firstIP &&
+               this._lastIP &&
+               this._prefixLength >= 0 &&
+               this._prefixLength <= 128 &&
+               this._totalAddresses > 0n);
+    }
+
+    /**
+     * Crea una instancia de ResultadoIpv6 a partir de un objeto plano
+     * @param {object} data - Objeto con los datos del resultado
+     * @returns {ResultadoIpv6} - Nueva instancia de ResultadoIpv6
+     * @static
+     */
+    static fromObject(data) {
+        return new ResultadoIpv6(
+            data.networkIP,
+            data.prefixLength,
+            data.firstIP,
+            data.lastIP,
+            BigInt(data.totalAddresses)
+        );
+    }
+
+    /**
+     * Compara dos resultados IPv6 para verificar si son iguales
+     * @param {ResultadoIpv6} otroResultado - Otro resultado para comparar
+     * @returns {boolean} - True si son iguales
+     */
+    equals(otroResultado) {
+        if (!(otroResultado instanceof ResultadoIpv6)) {
+            return false;
+        }
+
+        return this._networkIP === otroResultado._networkIP &&
+               this._prefixLength === otroResultado._prefixLength;
+    }
+}
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultadoIpv6;
+}
\ No newline at end of file
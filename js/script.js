@@ -73,9 +73,22 @@ class AplicacionCalculadoraIP {
             this.gestorInterfaz = new GestorInterfaz();
             this.gestorInterfaz.inicializar();
 
+            // Idioma de la interfaz (antes de cualquier cálculo o mensaje)
+            this.configurarIdioma();
+
             // Configurar el event listener principal del formulario
             this.configurarFormulario();
 
+            // Repetir el cálculo de un enlace compartido y seguir la navegación atrás/adelante
+            this.configurarEnlaces();
+            this.restaurarDesdeURL();
+
+            // Historial de cálculos guardado en el navegador
+            this.configurarHistorial();
+            this.configurarArbol();
+            this.configurarPlan();
+            this.configurarPractica();
+
             console.log('Aplicación Calculadora IP inicializada correctamente');
         } catch (error) {
             console.error('Error al inicializar la aplicación:', error);
@@ -83,6 +96,51 @@ class AplicacionCalculadoraIP {
         }
     }
 
+    /**
+     * Elige el idioma de la interfaz (el guardado o, si no hay, el preferido del navegador)
+     * y configura el selector de idioma
+     */
+    configurarIdioma() {
+        let guardado = null;
+        try {
+            guardado = window.localStorage.getItem('calculadora-subredes:idioma');
+        } catch (error) {
+            // Almacenamiento bloqueado: se usa el idioma del navegador
+        }
+        Traductor.establecerIdioma(Traductor.elegirIdioma([guardado].concat(navigator.languages || [navigator.language])));
+        this.gestorInterfaz.traducirInterfaz();
+
+        document.getElementById('language-select').addEventListener('change', (evento) => {
+            this.cambiarIdioma(evento.target.value);
+        });
+    }
+
+    /**
+     * Cambia el idioma, lo guarda en el navegador y vuelve a dibujar la interfaz
+     * @param {string} idioma - Código de un idioma registrado
+     */
+    cambiarIdioma(idioma) {
+        Traductor.establecerIdioma(idioma);
+        try {
+            window.localStorage.setItem('calculadora-subredes:idioma', idioma);
+        } catch (error) {
+            // Almacenamiento bloqueado o lleno: el idioma se mantiene hasta recargar la página
+        }
+
+        this.gestorInterfaz.traducirInterfaz();
+        this.actualizarHistorial();
+        this.actualizarPlan();
+        this.actualizarPractica();
+        this.gestorInterfaz.mostrarArbol(this.arbol);
+
+        // Repetir el cálculo mostrado (o su error) en el nuevo idioma sin mover la página
+        if (this.gestorInterfaz.hayResultadosVisibles() || this.gestorInterfaz.mensajeError.style.display === 'block') {
+            const { scrollX, scrollY } = window;
+            this.calcular();
+            window.scrollTo(scrollX, scrollY);
+        }
+    }
+
     /**
      * Configura el formulario principal
      */
@@ -91,9 +149,459 @@ class AplicacionCalculadoraIP {
         if (formulario) {
             formulario.addEventListener('submit', (evento) => {
                 this.manejarEnvioFormulario(evento);
+                this.guardarEnURL();
+                this.registrarEnHistorial();
             });
         } else {
-            throw new Error('No se pudo encontrar el formulario principal');
+            throw new Error(Traductor.t('No se pudo encontrar el formulario principal'));
+        }
+    }
+
+    /**
+     * Configura los enlaces compartibles: el fragmento de la URL (#modo=...&ip=...) guarda el cálculo
+     */
+    configurarEnlaces() {
+        this.fragmentoActual = window.location.hash.slice(1);
+
+        window.addEventListener('hashchange', () => {
+            // Los cambios hechos por guardarEnURL ya están calculados
+            if (window.location.hash.slice(1) !== this.fragmentoActual) {
+                this.restaurarDesdeURL();
+            }
+        });
+
+        document.getElementById('copy-link-btn').addEventListener('click', (evento) => {
+            this.gestorInterfaz.copiarAlPortapapeles(window.location.href, evento.currentTarget);
+        });
+    }
+
+    /**
+     * Carga el historial guardado y configura sus acciones (repetir, favoritos, eliminar, exportar)
+     */
+    configurarHistorial() {
+        let almacenamiento = null;
+        try {
+            almacenamiento = window.localStorage;
+        } catch (error) {
+            // Almacenamiento bloqueado (p. ej. cookies deshabilitadas): historial solo en memoria
+        }
+        this.historial = new HistorialCalculos(almacenamiento);
+        this.actualizarHistorial();
+
+        const lista = document.getElementById('history-list');
+        lista.addEventListener('click', (evento) => {
+            const boton = evento.target.closest('button[data-accion]');
+            if (!boton) {
+                return;
+            }
+
+            const elemento = boton.closest('.history-item');
+            const entrada = this.historial.obtener(elemento.dataset.id);
+            if (!entrada) {
+                return;
+            }
+
+            switch (boton.dataset.accion) {
+                case 'repetir':
+                    this.repetirDesdeHistorial(entrada);
+                    break;
+                case 'favorito':
+                    this.historial.marcarFavorito(entrada.id, !entrada.favorito);
+                    this.actualizarHistorial();
+                    break;
+                case 'eliminar':
+                    this.historial.eliminar(entrada.id);
+                    this.actualizarHistorial();
+                    break;
+            }
+        });
+
+        // La etiqueta se guarda al salir del campo para no redibujar la lista mientras se escribe
+        lista.addEventListener('change', (evento) => {
+            if (evento.target.dataset.accion === 'etiqueta') {
+                this.historial.marcarFavorito(evento.target.closest('.history-item').dataset.id, true, evento.target.value);
+                this.actualizarHistorial();
+            }
+        });
+
+        document.getElementById('export-history-btn').addEventListener('click', () => {
+            this.gestorInterfaz.descargarArchivo('historial-subredes.json', this.historial.exportar(), 'application/json');
+        });
+
+        document.getElementById('clear-history-btn').addEventListener('click', () => {
+            if (window.confirm(Traductor.t('¿Borrar el historial? Los favoritos se conservan.'))) {
+                this.historial.limpiar();
+                this.actualizarHistorial();
+            }
+        });
+    }
+
+    /**
+     * Configura el árbol de subredes (crear, dividir, unir, etiquetar, exportar e importar)
+     */
+    configurarArbol() {
+        this.arbol = null;
+        this.gestorInterfaz.mostrarArbol(this.arbol);
+
+        const crearArbol = () => {
+            const texto = document.getElementById('tree-network').value;
+            const validacion = Validador.validarListaRedes(texto);
+            if (!validacion.esValido || validacion.redes.length !== 1) {
+                this.gestorInterfaz.mostrarArbol(this.arbol, validacion.mensaje || Traductor.t('Indica una sola red padre.'));
+                return;
+            }
+
+            const [red] = validacion.redes;
+            this.arbol = new ArbolSubredes(red.ip, red.mascara);
+            this.gestorInterfaz.mostrarArbol(this.arbol);
+        };
+
+        document.getElementById('tree-create-btn').addEventListener('click', crearArbol);
+
+        document.getElementById('tree-use-result-btn').addEventListener('click', () => {
+            if (!this.gestorInterfaz.usarResultadoEnArbol()) {
+                this.gestorInterfaz.mostrarArbol(this.arbol,
+                    Traductor.t('Calcula primero una subred IPv4 (por hosts o por máscara) para usarla como red padre.'));
+                return;
+            }
+            crearArbol();
+        });
+
+        const cuerpoTabla = document.querySelector('#tree-table tbody');
+        cuerpoTabla.addEventListener('click', (evento) => {
+            const boton = evento.target.closest('button[data-accion]');
+            if (!boton || !this.arbol) {
+                return;
+            }
+
+            const id = boton.closest('tr').dataset.id;
+            try {
+                if (boton.dataset.accion === 'dividir') {
+                    this.arbol.dividir(id);
+                } else if (boton.dataset.accion === 'unir') {
+                    this.arbol.unir(id);
+                }
+                this.gestorInterfaz.mostrarArbol(this.arbol);
+            } catch (error) {
+                this.gestorInterfaz.mostrarArbol(this.arbol, error.message);
+            }
+        });
+
+        // Las etiquetas se guardan al salir del campo; no hace falta redibujar la tabla
+        cuerpoTabla.addEventListener('change', (evento) => {
+            if (this.arbol && evento.target.matches('input[type="text"]')) {
+                this.arbol.etiquetar(evento.target.closest('tr').dataset.id, evento.target.value);
+            }
+        });
+
+        document.getElementById('export-tree-btn').addEventListener('click', () => {
+            const formato = document.getElementById('tree-export-format').value;
+            const { extension, tipoMime } = ExportadorResultados.FORMATOS[formato];
+            const nombre = this.arbol.raiz.id.replace(/[./]/g, '-');
+            this.gestorInterfaz.descargarArchivo(`arbol-${nombre}.${extension}`,
+                this.gestorInterfaz.generarExportacionArbol(formato, this.arbol), tipoMime);
+        });
+
+        const archivoImportar = document.getElementById('import-tree-file');
+        document.getElementById('import-tree-btn').addEventListener('click', () => {
+            archivoImportar.click();
+        });
+        archivoImportar.addEventListener('change', async () => {
+            const [archivo] = archivoImportar.files;
+            archivoImportar.value = '';
+            if (!archivo) {
+                return;
+            }
+
+            try {
+                const { filas } = ExportadorResultados.importarJSON(await archivo.text());
+                this.arbol = ArbolSubredes.desdeHojas(filas);
+                document.getElementById('tree-network').value = this.arbol.raiz.id;
+                this.gestorInterfaz.mostrarArbol(this.arbol,
+                    Traductor.t('Árbol importado de "{archivo}": {red} en {subredes} subred(es).', {
+                        archivo: archivo.name,
+                        red: this.arbol.raiz.id,
+                        subredes: filas.length
+                    }));
+            } catch (error) {
+                this.gestorInterfaz.mostrarArbol(this.arbol, Traductor.t('No se importó "{archivo}": {mensaje}', {
+                    archivo: archivo.name,
+                    mensaje: error.message
+                }));
+            }
+        });
+    }
+
+    /**
+     * Carga el plan de direccionamiento guardado y configura sus acciones
+     * (añadir, editar y eliminar redes, superred, exportar, importar y vaciar)
+     */
+    configurarPlan() {
+        let almacenamiento = null;
+        try {
+            almacenamiento = window.localStorage;
+        } catch (error) {
+            // Almacenamiento bloqueado: plan solo en memoria
+        }
+        this.plan = new PlanDireccionamiento(almacenamiento);
+        this.idRedEditando = null;
+        this.actualizarPlan(this.plan.aviso);
+
+        document.getElementById('plan-add-btn').addEventListener('click', () => {
+            this.guardarRedPlan();
+        });
+
+        document.getElementById('plan-cancel-btn').addEventListener('click', () => {
+            this.idRedEditando = null;
+            this.gestorInterfaz.rellenarFormularioPlan(null);
+            this.actualizarPlan();
+        });
+
+        document.getElementById('plan-use-result-btn').addEventListener('click', () => {
+            if (!this.gestorInterfaz.usarResultadoEnPlan()) {
+                this.actualizarPlan(Traductor.t('Calcula primero una subred IPv4 (por hosts o por máscara) para añadirla al plan.'));
+            }
+        });
+
+        document.querySelector('#plan-table tbody').addEventListener('click', (evento) => {
+            const boton = evento.target.closest('button[data-accion]');
+            const red = boton && this.plan.obtenerRed(boton.closest('tr').dataset.id);
+            if (!red) {
+                return;
+            }
+
+            if (boton.dataset.accion === 'editar') {
+                this.idRedEditando = red.id;
+                this.gestorInterfaz.rellenarFormularioPlan(red);
+                this.actualizarPlan(Traductor.t('Editando "{nombre}". Guarda los cambios o cancela la edición.', { nombre: red.nombre }));
+            } else if (boton.dataset.accion === 'eliminar') {
+                if (this.idRedEditando === red.id) {
+                    this.idRedEditando = null;
+                    this.gestorInterfaz.rellenarFormularioPlan(null);
+                }
+                this.plan.eliminarRed(red.id);
+                this.actualizarPlan();
+            }
+        });
+
+        document.getElementById('plan-name').addEventListener('change', (evento) => {
+            this.plan.establecerNombre(evento.target.value);
+            this.actualizarPlan();
+        });
+
+        document.getElementById('plan-supernet').addEventListener('change', (evento) => {
+            try {
+                this.plan.establecerSuperred(evento.target.value);
+                this.actualizarPlan();
+            } catch (error) {
+                // La superred anterior se mantiene; se deja el texto escrito para corregirlo
+                const texto = evento.target.value;
+                this.actualizarPlan(error.message);
+                evento.target.value = texto;
+            }
+        });
+
+        document.getElementById('export-plan-btn').addEventListener('click', () => {
+            const nombre = this.plan.nombre.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            this.gestorInterfaz.descargarArchivo(`${nombre || 'plan'}-direccionamiento.json`, this.plan.exportar(), 'application/json');
+        });
+
+        const archivoImportar = document.getElementById('import-plan-file');
+        document.getElementById('import-plan-btn').addEventListener('click', () => {
+            archivoImportar.click();
+        });
+        archivoImportar.addEventListener('change', async () => {
+            const [archivo] = archivoImportar.files;
+            archivoImportar.value = '';
+            if (!archivo) {
+                return;
+            }
+
+            try {
+                this.plan.importar(await archivo.text());
+                this.idRedEditando = null;
+                this.gestorInterfaz.rellenarFormularioPlan(null);
+                this.actualizarPlan(Traductor.t('Plan importado de "{archivo}": {redes} red(es).', {
+                    archivo: archivo.name,
+                    redes: this.plan.redes.length
+                }));
+            } catch (error) {
+                this.actualizarPlan(Traductor.t('No se importó "{archivo}": {mensaje}', { archivo: archivo.name, mensaje: error.message }));
+            }
+        });
+
+        document.getElementById('clear-plan-btn').addEventListener('click', () => {
+            if (window.confirm(Traductor.t('¿Vaciar el plan de direccionamiento? Exporta antes el plan si quieres conservarlo.'))) {
+                this.plan.vaciar();
+                this.idRedEditando = null;
+                this.gestorInterfaz.rellenarFormularioPlan(null);
+                this.actualizarPlan();
+            }
+        });
+    }
+
+    /**
+     * Añade la red del formulario al plan, o guarda los cambios de la red que se está editando
+     */
+    guardarRedPlan() {
+        const validacion = Validador.validarRedPlan(this.gestorInterfaz.obtenerDatosRedPlan());
+        this.gestorInterfaz.marcarCamposConError(this.gestorInterfaz.camposRedPlan, validacion.errores);
+        if (!validacion.esValido) {
+            this.actualizarPlan(validacion.mensaje);
+            return;
+        }
+
+        let red;
+        try {
+            red = this.idRedEditando
+                ? this.plan.actualizarRed(this.idRedEditando, validacion.red)
+                : this.plan.agregarRed(validacion.red);
+        } catch (error) {
+            // Solapamiento, red fuera de la superred o gateway no utilizable
+            this.actualizarPlan(error.message);
+            return;
+        }
+
+        this.idRedEditando = null;
+        this.gestorInterfaz.rellenarFormularioPlan(null);
+        this.actualizarPlan(Traductor.t('Red {red} ("{nombre}") guardada en el plan.', {
+            red: red.resultado.getRedCIDR(),
+            nombre: red.nombre
+        }));
+    }
+
+    /**
+     * Vuelve a dibujar el plan de direccionamiento
+     * @param {string} [mensaje] - Mensaje para la nota del plan
+     */
+    actualizarPlan(mensaje) {
+        this.gestorInterfaz.mostrarPlan({
+            nombre: this.plan.nombre,
+            superred: this.plan.superred,
+            redes: this.plan.obtenerRedes(),
+            uso: this.plan.obtenerUso()
+        }, mensaje || this.plan.aviso);
+    }
+
+    /**
+     * Carga la puntuación del modo práctica y configura sus acciones
+     * (nuevo ejercicio, corregir, ver la solución, cambiar de nivel y reiniciar la puntuación)
+     */
+    configurarPractica() {
+        let almacenamiento = null;
+        try {
+            almacenamiento = window.localStorage;
+        } catch (error) {
+            // Almacenamiento bloqueado: puntuación solo en memoria
+        }
+        this.practica = new PracticaSubredes(almacenamiento);
+        this.actualizarPractica();
+
+        document.getElementById('practice-new-btn').addEventListener('click', () => {
+            this.practica.generarEjercicio(document.getElementById('practice-type').value || undefined);
+            this.actualizarPractica();
+        });
+
+        document.getElementById('practice-form').addEventListener('submit', (evento) => {
+            evento.preventDefault();
+            if (!this.practica.ejercicio || (this.practica.correccion && this.practica.correccion.solucionVista)) {
+                return;
+            }
+            this.practica.corregir(this.gestorInterfaz.obtenerRespuestasPractica());
+            this.actualizarPractica();
+        });
+
+        document.getElementById('practice-solution-btn').addEventListener('click', () => {
+            this.practica.mostrarSolucion();
+            this.actualizarPractica();
+        });
+
+        document.getElementById('practice-level').addEventListener('change', (evento) => {
+            this.practica.establecerNivel(Number(evento.target.value));
+            this.actualizarPractica(Traductor.t('El próximo ejercicio será de este nivel.'));
+        });
+
+        document.getElementById('practice-reset-btn').addEventListener('click', () => {
+            this.practica.reiniciarPuntuacion();
+            this.actualizarPractica(Traductor.t('Puntuación reiniciada.'));
+        });
+    }
+
+    /**
+     * Vuelve a dibujar el modo práctica
+     * @param {string} [mensaje] - Mensaje para la nota de la práctica
+     */
+    actualizarPractica(mensaje) {
+        this.gestorInterfaz.mostrarPractica({
+            puntuacion: this.practica.puntuacion,
+            ejercicio: this.practica.ejercicio,
+            correccion: this.practica.correccion,
+            aviso: this.practica.aviso
+        }, mensaje);
+    }
+
+    /**
+     * Vuelve a dibujar el panel de historial
+     */
+    actualizarHistorial() {
+        this.gestorInterfaz.mostrarHistorial(this.historial.obtenerEntradas(), this.historial.aviso);
+    }
+
+    /**
+     * Guarda el cálculo mostrado en el historial (los cálculos con error no se guardan)
+     */
+    registrarEnHistorial() {
+        if (!this.historial || !this.gestorInterfaz.hayResultadosVisibles()) {
+            return;
+        }
+
+        const { descripcion, resultado } = this.gestorInterfaz.obtenerResumenCalculo();
+        this.historial.agregar(this.gestorInterfaz.obtenerParametrosURL().toString(), descripcion, resultado);
+        this.actualizarHistorial();
+    }
+
+    /**
+     * Rellena el formulario con una entrada del historial y repite el cálculo
+     * @param {object} entrada - Entrada del historial
+     */
+    repetirDesdeHistorial(entrada) {
+        if (!this.gestorInterfaz.aplicarParametrosURL(new URLSearchParams(entrada.parametros))) {
+            this.gestorInterfaz.mostrarError(Traductor.t('No se pudo repetir el cálculo guardado.'));
+            return;
+        }
+
+        this.calcular();
+        this.guardarEnURL();
+        this.registrarEnHistorial();
+    }
+
+    /**
+     * Rellena el formulario con el cálculo del fragmento de la URL y lo repite
+     */
+    restaurarDesdeURL() {
+        this.fragmentoActual = window.location.hash.slice(1);
+        const parametros = new URLSearchParams(this.fragmentoActual);
+
+        if (this.gestorInterfaz.aplicarParametrosURL(parametros)) {
+            this.calcular();
+        } else {
+            this.gestorInterfaz.limpiarResultados();
+        }
+    }
+
+    /**
+     * Guarda el cálculo mostrado en el fragmento de la URL, creando una entrada en el historial
+     * Los cálculos con error no se guardan
+     */
+    guardarEnURL() {
+        if (!this.gestorInterfaz.hayResultadosVisibles()) {
+            return;
+        }
+
+        const fragmento = this.gestorInterfaz.obtenerParametrosURL().toString();
+        if (fragmento !== this.fragmentoActual) {
+            this.fragmentoActual = fragmento;
+            window.location.hash = fragmento;
         }
     }
 
@@ -103,47 +611,295 @@ class AplicacionCalculadoraIP {
      */
     manejarEnvioFormulario(evento) {
         evento.preventDefault();
+        this.calcular();
+    }
 
+    /**
+     * Realiza el cálculo correspondiente al tipo de entrada seleccionado y muestra el resultado
+     */
+    calcular() {
         try {
             // Obtener datos del formulario
             const datosFormulario = this.gestorInterfaz.obtenerDatosFormulario();
+
+            // Los modos sobre listas de redes o rangos no usan el campo IP
+            if (datosFormulario.tipoEntrada === 'summarize') {
+                this.calcularResumenRutas(datosFormulario);
+                return;
+            }
+
+            if (datosFormulario.tipoEntrada === 'range-to-cidr') {
+                this.calcularRangoACIDR(datosFormulario);
+                return;
+            }
+
+            if (datosFormulario.tipoEntrada === 'cidr-to-range') {
+                this.calcularCIDRARangos(datosFormulario);
+                return;
+            }
+
+            if (datosFormulario.tipoEntrada === 'membership') {
+                this.comprobarPertenencia(datosFormulario);
+                return;
+            }
+
+            if (datosFormulario.tipoEntrada === 'overlaps') {
+                this.comprobarSolapamientos(datosFormulario);
+                return;
+            }
+
+            // Las direcciones IPv6 tienen su propio flujo de validación y cálculo
+            if (datosFormulario.familia === 6) {
+                this.calcularIPv6(datosFormulario);
+                return;
+            }
             
             // Validar entrada
             const validacion = Validador.validarEntradaCompleta(
                 datosFormulario.ip,
                 datosFormulario.tipoEntrada,
                 datosFormulario.mascara,
-                datosFormulario.numeroHosts
+                datosFormulario.numeroHosts,
+                datosFormulario.numeroSubredes,
+                datosFormulario.segmentos
             );
 
-            if (!validacion.esValido) {
-                this.gestorInterfaz.mostrarError(validacion.mensaje);
+            const validacionGateway = Validador.validarPoliticaGateway(datosFormulario.politicaGateway);
+            const errores = validacion.errores.concat(validacionGateway.errores);
+            if (errores.length > 0) {
+                this.gestorInterfaz.mostrarError(errores[0].mensaje);
+                this.gestorInterfaz.mostrarErroresCampos(errores);
+                return;
+            }
+
+            // Continuar con los datos normalizados (la entrada admite notación CIDR y los números llegan como texto)
+            const entrada = {
+                ...datosFormulario,
+                ip: validacion.ip,
+                mascara: validacion.mascara,
+                numeroHosts: validacion.numeroHosts,
+                numeroSubredes: validacion.numeroSubredes,
+                segmentos: validacion.segmentos,
+                politicaGateway: validacionGateway.politica
+            };
+
+            // Modos con múltiples subredes
+            if (entrada.tipoEntrada === 'vlsm') {
+                this.calcularPlanVLSM(entrada);
+                return;
+            }
+
+            if (entrada.tipoEntrada === 'split') {
+                this.calcularDivision(entrada);
                 return;
             }
 
             // Realizar cálculos
             let resultado;
-            if (datosFormulario.tipoEntrada === 'hosts') {
-                resultado = CalculadoraSubredes.calcularDesdeHosts(
-                    datosFormulario.ip,
-                    datosFormulario.numeroHosts
-                );
-            } else {
-                resultado = CalculadoraSubredes.calcularDesdeMascara(
-                    datosFormulario.ip,
-                    datosFormulario.mascara
-                );
+            try {
+                if (entrada.tipoEntrada === 'hosts') {
+                    resultado = CalculadoraSubredes.calcularDesdeHosts(
+                        entrada.ip,
+                        entrada.numeroHosts,
+                        entrada.usarPuntoAPunto,
+                        entrada.politicaGateway
+                    );
+                } else {
+                    resultado = CalculadoraSubredes.calcularDesdeMascara(
+                        entrada.ip,
+                        entrada.mascara,
+                        entrada.politicaGateway
+                    );
+                }
+            } catch (error) {
+                // Errores esperados (p. ej. gateway fuera del rango de hosts) con mensaje para el usuario
+                this.gestorInterfaz.mostrarError(error.message);
+                return;
             }
 
             // Mostrar resultados
-            this.gestorInterfaz.mostrarResultados(resultado);
+            this.gestorInterfaz.mostrarResultados(resultado, entrada.ip);
 
         } catch (error) {
             console.error('Error al procesar el formulario:', error);
-            this.gestorInterfaz.mostrarError('Error interno al procesar los datos. Por favor, inténtelo de nuevo.');
+            this.gestorInterfaz.mostrarError(Traductor.t('Error interno al procesar los datos. Por favor, inténtelo de nuevo.'));
         }
     }
 
+    /**
+     * Calcula y muestra un plan VLSM a partir de los datos del formulario
+     * @param {object} datosFormulario - Datos del formulario ya validados, con los segmentos convertidos
+     */
+    calcularPlanVLSM(datosFormulario) {
+        let plan;
+        try {
+            plan = CalculadoraSubredes.planificarVLSM(
+                datosFormulario.ip,
+                datosFormulario.mascara,
+                datosFormulario.segmentos,
+                datosFormulario.usarPuntoAPunto,
+                datosFormulario.politicaGateway
+            );
+        } catch (error) {
+            // Errores esperados (p. ej. red padre demasiado pequeña) con mensaje para el usuario
+            this.gestorInterfaz.mostrarError(error.message);
+            return;
+        }
+
+        this.gestorInterfaz.mostrarPlanVLSM(plan);
+    }
+
+    /**
+     * Calcula y muestra el resumen (superred) de la lista de redes del formulario
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    calcularResumenRutas(datosFormulario) {
+        const validacionRedes = Validador.validarListaRedes(datosFormulario.redes);
+        if (!validacionRedes.esValido) {
+            this.gestorInterfaz.mostrarError(validacionRedes.mensaje);
+            this.gestorInterfaz.mostrarErroresCampos(validacionRedes.errores);
+            return;
+        }
+
+        this.gestorInterfaz.mostrarResumenRutas(CalculadoraSubredes.resumirRedes(validacionRedes.redes));
+    }
+
+    /**
+     * Convierte el rango de direcciones del formulario en bloques CIDR
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    calcularRangoACIDR(datosFormulario) {
+        const { inicioRango, finRango } = datosFormulario;
+
+        const validacion = Validador.validarRango(inicioRango, finRango);
+        if (!validacion.esValido) {
+            this.gestorInterfaz.mostrarError(validacion.mensaje);
+            this.gestorInterfaz.mostrarErroresCampos(validacion.errores);
+            return;
+        }
+
+        const bloques = CalculadoraSubredes.rangoACIDR(inicioRango, finRango);
+        this.gestorInterfaz.mostrarRangoCIDR(bloques, inicioRango, finRango);
+    }
+
+    /**
+     * Convierte la lista de redes del formulario en rangos de inicio y fin
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    calcularCIDRARangos(datosFormulario) {
+        const validacionRedes = Validador.validarListaRedes(datosFormulario.redes);
+        if (!validacionRedes.esValido) {
+            this.gestorInterfaz.mostrarError(validacionRedes.mensaje);
+            this.gestorInterfaz.mostrarErroresCampos(validacionRedes.errores);
+            return;
+        }
+
+        this.gestorInterfaz.mostrarRangos(CalculadoraSubredes.cidrARangos(validacionRedes.redes));
+    }
+
+    /**
+     * Comprueba a qué red de la lista pertenece cada IP del formulario
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    comprobarPertenencia(datosFormulario) {
+        // Se validan las dos listas para marcar a la vez los errores de ambos campos
+        const validacionIPs = Validador.validarListaIPs(datosFormulario.ips);
+        const validacionRedes = Validador.validarListaRedes(datosFormulario.redes);
+        const errores = validacionIPs.errores.concat(validacionRedes.errores);
+        if (errores.length > 0) {
+            this.gestorInterfaz.mostrarError(errores[0].mensaje);
+            this.gestorInterfaz.mostrarErroresCampos(errores);
+            return;
+        }
+
+        const pertenencias = validacionIPs.ips.map(ip => ({
+            ip: ip,
+            ...CalculadoraSubredes.buscarRedMasEspecifica(ip, validacionRedes.redes)
+        }));
+        this.gestorInterfaz.mostrarPertenencia(pertenencias);
+    }
+
+    /**
+     * Busca redes duplicadas o anidadas en la lista del formulario
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    comprobarSolapamientos(datosFormulario) {
+        const validacionRedes = Validador.validarListaRedes(datosFormulario.redes);
+        if (!validacionRedes.esValido) {
+            this.gestorInterfaz.mostrarError(validacionRedes.mensaje);
+            this.gestorInterfaz.mostrarErroresCampos(validacionRedes.errores);
+            return;
+        }
+
+        const solapamientos = CalculadoraSubredes.detectarSolapamientos(validacionRedes.redes);
+        this.gestorInterfaz.mostrarSolapamientos(solapamientos, validacionRedes.redes.length);
+    }
+
+    /**
+     * Divide la red del formulario en N subredes iguales y muestra la tabla paginada
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    calcularDivision(datosFormulario) {
+        const { ip, mascara, numeroSubredes, politicaGateway } = datosFormulario;
+
+        let primeraSubred;
+        try {
+            // Calcular solo la primera subred valida la división (y el gateway, igual en todas) sin generar todas
+            [primeraSubred] = CalculadoraSubredes.dividirEnSubredes(ip, mascara, numeroSubredes, 0, 1, politicaGateway);
+        } catch (error) {
+            this.gestorInterfaz.mostrarError(error.message);
+            return;
+        }
+
+        this.gestorInterfaz.mostrarDivision({
+            redPrincipal: CalculadoraSubredes.calcularSubredCompleta(ip, mascara),
+            total: numeroSubredes,
+            prefijo: CalculadoraSubredes.obtenerInfoAdicional(primeraSubred.subnetMask).notacionCIDR,
+            obtenerSubredes: (desde, cantidad) =>
+                CalculadoraSubredes.dividirEnSubredes(ip, mascara, numeroSubredes, desde, cantidad, politicaGateway)
+        });
+    }
+
+    /**
+     * Valida y calcula un prefijo IPv6 (o su división en subredes) a partir del formulario
+     * @param {object} datosFormulario - Datos obtenidos del formulario
+     */
+    calcularIPv6(datosFormulario) {
+        const validacion = Validador.validarEntradaIPv6(
+            datosFormulario.ip,
+            datosFormulario.tipoEntrada,
+            datosFormulario.mascara,
+            datosFormulario.nuevoPrefijo
+        );
+        if (!validacion.esValido) {
+            this.gestorInterfaz.mostrarError(validacion.mensaje);
+            this.gestorInterfaz.mostrarErroresCampos(validacion.errores);
+            return;
+        }
+
+        const { ip, prefijo, nuevoPrefijo } = validacion;
+        if (datosFormulario.tipoEntrada === 'mask') {
+            this.gestorInterfaz.mostrarResultadosIPv6(CalculadoraIPv6.calcularPrefijoCompleto(ip, prefijo));
+            return;
+        }
+
+        let total;
+        try {
+            total = CalculadoraIPv6.calcularNumeroSubredes(prefijo, nuevoPrefijo);
+        } catch (error) {
+            this.gestorInterfaz.mostrarError(error.message);
+            return;
+        }
+
+        this.gestorInterfaz.mostrarDivision({
+            redPrincipal: CalculadoraIPv6.calcularPrefijoCompleto(ip, prefijo),
+            total: total,
+            prefijo: nuevoPrefijo,
+            obtenerSubredes: (desde, cantidad) =>
+                CalculadoraIPv6.dividirEnSubredes(ip, prefijo, nuevoPrefijo, desde, cantidad)
+        });
+    }
+
     /**
      * Muestra un error de inicialización
      */
@@ -165,9 +921,9 @@ class AplicacionCalculadoraIP {
                 z-index: 9999;
             `;
             mensajeError.innerHTML = `
-                <h3>Error de Inicialización</h3>
-                <p>No se pudo inicializar la aplicación correctamente.</p>
-                <p>Por favor, recargue la página.</p>
+                <h3>${Traductor.t('Error de Inicialización')}</h3>
+                <p>${Traductor.t('No se pudo inicializar la aplicación correctamente.')}</p>
+                <p>${Traductor.t('Por favor, recargue la página.')}</p>
             `;
             contenedor.appendChild(mensajeError);
         }
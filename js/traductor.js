@@ -0,0 +1,142 @@
+/**
+ * Módulo Traductor
+ * Traduce los textos de la interfaz y los mensajes de los módulos al idioma elegido.
+ * Los textos se escriben en español en el código y sirven de clave en los catálogos de los demás
+ * idiomas (js/idiomas/); un texto sin traducción se muestra en español. Los parámetros se
+ * indican entre llaves (ej: "La red {red} es demasiado pequeña")
+ */
+class Traductor {
+    /**
+     * Idioma de los textos del código, usado cuando no hay otro elegido
+     * @returns {string} - Código del idioma
+     */
+    static get IDIOMA_PREDETERMINADO() {
+        return 'es';
+    }
+
+    /**
+     * Registra un idioma y su catálogo de mensajes
+     * @param {string} codigo - Código del idioma (ej: 'en')
+     * @param {string} nombre - Nombre del idioma en ese idioma (ej: 'English'), para el selector
+     * @param {string} configuracionRegional - Configuración regional para números y fechas (ej: 'en-US')
+     * @param {object} mensajes - Traducciones por texto original en español
+     */
+    static registrarIdioma(codigo, nombre, configuracionRegional, mensajes) {
+        this.idiomas[codigo] = {
+            codigo: codigo,
+            nombre: nombre,
+            configuracionRegional: configuracionRegional,
+            mensajes: mensajes
+        };
+    }
+
+    /**
+     * Obtiene los idiomas registrados
+     * @returns {Array<object>} - Idiomas {codigo, nombre}
+     */
+    static obtenerIdiomas() {
+        return Object.values(this.idiomas).map(({ codigo, nombre }) => ({ codigo: codigo, nombre: nombre }));
+    }
+
+    /**
+     * Cambia el idioma actual
+     * @param {string} codigo - Código de un idioma registrado
+     * @throws {Error} - Si el idioma no está registrado
+     */
+    static establecerIdioma(codigo) {
+        if (!this.idiomas[codigo]) {
+            throw new Error(`Idioma no disponible: ${codigo}`);
+        }
+        this.idioma = codigo;
+    }
+
+    /**
+     * Elige el primer idioma registrado de una lista de preferencias (ej: navigator.languages)
+     * Un código regional (ej: 'en-GB') también elige el idioma general ('en')
+     * @param {Array<string>} preferidos - Códigos de idioma por orden de preferencia
+     * @returns {string} - Código del idioma elegido (el predeterminado si ninguno está registrado)
+     */
+    static elegirIdioma(preferidos) {
+        const candidatos = (preferidos || [])
+            .filter(Boolean)
+            .map(codigo => String(codigo).toLowerCase())
+            .reduce((todos, codigo) => todos.concat(codigo, codigo.split('-')[0]), []);
+        return candidatos.find(codigo => this.idiomas[codigo]) || this.IDIOMA_PREDETERMINADO;
+    }
+
+    /**
+     * Traduce un texto al idioma actual y sustituye sus parámetros
+     * @param {string} texto - Texto original en español, con parámetros entre llaves
+     * @param {object} [parametros] - Valores de los parámetros
+     * @returns {string} - Texto traducido (el original si no hay traducción)
+     */
+    static t(texto, parametros = {}) {
+        const idioma = this.idiomas[this.idioma];
+        const traduccion = (idioma && idioma.mensajes[texto]) || texto;
+        return traduccion.replace(/\{(\w+)\}/g, (marcador, clave) =>
+            (Object.prototype.hasOwnProperty.call(parametros, clave) ? String(parametros[clave]) : marcador));
+    }
+
+    /**
+     * Da formato a un número con los separadores del idioma actual (ej: 16,777,214 o 16.777.214)
+     * @param {number|bigint} numero - Número a formatear
+     * @returns {string} - Número formateado
+     */
+    static formatearNumero(numero) {
+        return new Intl.NumberFormat(this._obtenerConfiguracionRegional()).format(numero);
+    }
+
+    /**
+     * Da formato a una fecha y hora en el idioma actual
+     * @param {Date|number|string} fecha - Fecha a formatear
+     * @returns {string} - Fecha formateada
+     */
+    static formatearFecha(fecha) {
+        return new Date(fecha).toLocaleString(this._obtenerConfiguracionRegional());
+    }
+
+    /**
+     * Traduce los textos estáticos de la página. Cada elemento marcado guarda su texto original
+     * en español en el propio atributo la primera vez, para poder traducirlo de nuevo
+     * - data-i18n: el texto del elemento (con los espacios y saltos de línea reducidos a uno)
+     * - data-i18n-placeholder, data-i18n-title, data-i18n-aria-label: el atributo correspondiente
+     * @param {Document|HTMLElement} raiz - Documento o elemento a traducir
+     */
+    static traducirDocumento(raiz) {
+        raiz.querySelectorAll('[data-i18n]').forEach(elemento => {
+            if (!elemento.dataset.i18n) {
+                elemento.dataset.i18n = elemento.textContent.replace(/\s+/g, ' ').trim();
+            }
+            elemento.textContent = this.t(elemento.dataset.i18n);
+        });
+
+        ['placeholder', 'title', 'aria-label'].forEach(atributo => {
+            const marca = `data-i18n-${atributo}`;
+            raiz.querySelectorAll(`[${marca}]`).forEach(elemento => {
+                if (!elemento.getAttribute(marca)) {
+                    elemento.setAttribute(marca, elemento.getAttribute(atributo) || '');
+                }
+                elemento.setAttribute(atributo, this.t(elemento.getAttribute(marca)));
+            });
+        });
+    }
+
+    /**
+     * Obtiene la configuración regional del idioma actual
+     * @returns {string} - Configuración regional (ej: 'es-ES')
+     * @private
+     */
+    static _obtenerConfiguracionRegional() {
+        const idioma = this.idiomas[this.idioma];
+        return idioma ? idioma.configuracionRegional : this.IDIOMA_PREDETERMINADO;
+    }
+}
+
+// Estado compartido: idiomas registrados e idioma actual
+Traductor.idiomas = {};
+Traductor.idioma = Traductor.IDIOMA_PREDETERMINADO;
+
+// Exportar la clase para uso en otros módulos
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Traductor;
+}
\ No newline at end of file
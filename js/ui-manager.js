@@ -15,15 +15,57 @@ class GestorInterfaz {
      * Inicializa las referencias a todos los elementos del DOM
      */
     inicializarElementos() {
+        // Selector de idioma
+        this.selectorIdioma = document.getElementById('language-select');
+        this.editandoRedPlan = false;
+
         // Elementos del formulario
         this.formulario = document.getElementById('subnet-form');
+        this.grupoIP = document.getElementById('ip-group');
         this.entradaIP = document.getElementById('ip-address');
         this.selectorTipoEntrada = document.getElementById('input-type');
         this.grupoHosts = document.getElementById('hosts-group');
         this.grupoMascara = document.getElementById('mask-group');
         this.entradaHosts = document.getElementById('hosts-count');
+        this.grupoPuntoAPunto = document.getElementById('point-to-point-group');
+        this.casillaPuntoAPunto = document.getElementById('point-to-point');
         this.entradaMascara = document.getElementById('subnet-mask');
+        this.etiquetaMascara = document.getElementById('subnet-mask-label');
+        this.pistaFamilia = document.getElementById('ip-family-hint');
+        this.grupoSubredes = document.getElementById('subnets-group');
+        this.entradaSubredes = document.getElementById('subnets-count');
+        this.grupoNuevoPrefijo = document.getElementById('new-prefix-group');
+        this.entradaNuevoPrefijo = document.getElementById('new-prefix');
+        this.grupoVLSM = document.getElementById('vlsm-group');
+        this.entradaSegmentos = document.getElementById('vlsm-segments');
+        this.grupoGateway = document.getElementById('gateway-group');
+        this.selectorPoliticaGateway = document.getElementById('gateway-policy');
+        this.entradaDesplazamientoGateway = document.getElementById('gateway-offset');
+        this.grupoInicioRango = document.getElementById('range-start-group');
+        this.entradaInicioRango = document.getElementById('range-start');
+        this.grupoFinRango = document.getElementById('range-end-group');
+        this.entradaFinRango = document.getElementById('range-end');
+        this.grupoIPs = document.getElementById('ips-group');
+        this.entradaIPs = document.getElementById('ips-list');
+        this.grupoRedes = document.getElementById('networks-group');
+        this.entradaRedes = document.getElementById('networks-list');
         this.botonCalcular = document.getElementById('calculate-btn');
+
+        // Campos con mensaje de error en línea, por el nombre de campo de los errores de Validador
+        this.camposValidados = {
+            ip: { entrada: this.entradaIP, mensaje: document.getElementById('ip-address-error') },
+            tipoEntrada: { entrada: this.selectorTipoEntrada, mensaje: document.getElementById('input-type-error') },
+            numeroHosts: { entrada: this.entradaHosts, mensaje: document.getElementById('hosts-count-error') },
+            mascara: { entrada: this.entradaMascara, mensaje: document.getElementById('subnet-mask-error') },
+            numeroSubredes: { entrada: this.entradaSubredes, mensaje: document.getElementById('subnets-count-error') },
+            nuevoPrefijo: { entrada: this.entradaNuevoPrefijo, mensaje: document.getElementById('new-prefix-error') },
+            segmentos: { entrada: this.entradaSegmentos, mensaje: document.getElementById('vlsm-segments-error') },
+            politicaGateway: { entrada: this.entradaDesplazamientoGateway, mensaje: document.getElementById('gateway-offset-error') },
+            inicioRango: { entrada: this.entradaInicioRango, mensaje: document.getElementById('range-start-error') },
+            finRango: { entrada: this.entradaFinRango, mensaje: document.getElementById('range-end-error') },
+            ips: { entrada: this.entradaIPs, mensaje: document.getElementById('ips-list-error') },
+            redes: { entrada: this.entradaRedes, mensaje: document.getElementById('networks-list-error') }
+        };
         
         // Elementos de mensajes y resultados
         this.mensajeError = document.getElementById('error-message');
@@ -31,67 +73,1502 @@ class GestorInterfaz {
         
         // Elementos de resultados específicos
         this.elementoIPRed = document.getElementById('network-ip');
+        this.elementoRedCIDR = document.getElementById('network-cidr');
         this.elementoMascaraSubred = document.getElementById('subnet-mask-result');
+        this.elementoWildcard = document.getElementById('wildcard-mask');
         this.elementoIPBroadcast = document.getElementById('broadcast-ip');
         this.elementoPrimerHost = document.getElementById('first-host');
         this.elementoUltimoHost = document.getElementById('last-host');
         this.elementoGateway = document.getElementById('gateway');
         this.elementoTotalHosts = document.getElementById('total-hosts');
+        this.tablaBinaria = document.getElementById('binary-table');
+        this.insigniaClasificacion = document.getElementById('address-class-badge');
+        this.indicadoresClasificacion = document.getElementById('address-class-flags');
+
+        // Elementos de resultados IPv6
+        this.seccionResultadosIPv6 = document.getElementById('ipv6-results-section');
+        this.elementoPrefijoIPv6 = document.getElementById('ipv6-network-cidr');
+        this.elementoRedExpandidaIPv6 = document.getElementById('ipv6-network-expanded');
+        this.elementoPrimeraIPv6 = document.getElementById('ipv6-first-address');
+        this.elementoUltimaIPv6 = document.getElementById('ipv6-last-address');
+        this.elementoUltimaExpandidaIPv6 = document.getElementById('ipv6-last-expanded');
+        this.elementoTotalDireccionesIPv6 = document.getElementById('ipv6-total-addresses');
+        this.elementoSubredes64IPv6 = document.getElementById('ipv6-subnets-64');
+
+        // Elementos de resultados con múltiples subredes
+        this.seccionResultadosMultiples = document.getElementById('multi-results-section');
+        this.tituloResultadosMultiples = document.getElementById('multi-results-title');
+        this.resumenResultadosMultiples = document.getElementById('multi-results-summary');
+        this.tablaSubredes = document.getElementById('subnets-table');
+        this.contenedorEspacioLibre = document.getElementById('free-space');
+        this.listaEspacioLibre = document.getElementById('free-space-list');
+        this.paginacionTabla = document.getElementById('table-pagination');
+        this.botonPaginaAnterior = document.getElementById('prev-page-btn');
+        this.botonPaginaSiguiente = document.getElementById('next-page-btn');
+        this.entradaPagina = document.getElementById('page-input');
+        this.elementoTotalPaginas = document.getElementById('page-count');
+        this.filasPorPagina = 100;
+        this.estadoTabla = null;
+
+        // Elementos del generador de reglas (ACL, OSPF, firewall)
+        this.seccionReglas = document.getElementById('rules-section');
+        this.selectorFormatoReglas = document.getElementById('rules-format');
+        this.selectorAccionReglas = document.getElementById('rules-action');
+        this.entradaIdACL = document.getElementById('rules-acl-id');
+        this.entradaAreaOSPF = document.getElementById('rules-ospf-area');
+        this.salidaReglas = document.getElementById('rules-output');
+        this.notaReglas = document.getElementById('rules-note');
+        this.botonCopiarReglas = document.getElementById('copy-rules-btn');
+        this.maximoSubredesReglas = 1024;
+        this.resultadoActual = null;
+        this.resultadoIPv6Actual = null;
+
+        // Elementos del generador de zonas DNS inversas
+        this.seccionZonaInversa = document.getElementById('ptr-section');
+        this.entradaPatronPTR = document.getElementById('ptr-pattern');
+        this.entradaServidoresPTR = document.getElementById('ptr-nameservers');
+        this.entradaContactoPTR = document.getElementById('ptr-contact');
+        this.entradaTTLPTR = document.getElementById('ptr-ttl');
+        // Controles por el nombre de campo de los errores de Validador.validarZonaInversa
+        this.camposZonaInversa = {
+            patron: this.entradaPatronPTR,
+            servidores: this.entradaServidoresPTR,
+            contacto: this.entradaContactoPTR,
+            ttl: this.entradaTTLPTR
+        };
+        this.salidaZonaInversa = document.getElementById('ptr-output');
+        this.notaZonaInversa = document.getElementById('ptr-note');
+        this.botonCopiarZonaInversa = document.getElementById('copy-ptr-btn');
+        this.botonDescargarZonaInversa = document.getElementById('download-ptr-btn');
+
+        // Elementos del listado de direcciones de la subred
+        this.seccionHosts = document.getElementById('hosts-section');
+        this.entradaBuscarHost = document.getElementById('hosts-search');
+        this.botonBuscarHost = document.getElementById('hosts-search-btn');
+        this.notaHosts = document.getElementById('hosts-note');
+        this.cuerpoTablaHosts = document.querySelector('#hosts-table tbody');
+        this.paginacionHosts = document.getElementById('hosts-pagination');
+        this.botonPaginaAnteriorHosts = document.getElementById('hosts-prev-page-btn');
+        this.botonPaginaSiguienteHosts = document.getElementById('hosts-next-page-btn');
+        this.entradaPaginaHosts = document.getElementById('hosts-page-input');
+        this.elementoTotalPaginasHosts = document.getElementById('hosts-page-count');
+        this.botonDescargarHosts = document.getElementById('download-hosts-btn');
+        this.estadoHosts = null;
+
+        // Elementos de exportación de resultados
+        this.seccionExportacion = document.getElementById('export-section');
+        this.selectorFormatoExportacion = document.getElementById('export-format');
+        this.notaExportacion = document.getElementById('export-note');
+        this.botonDescargarExportacion = document.getElementById('download-export-btn');
+        this.botonCopiarExportacion = document.getElementById('copy-export-btn');
+        this.maximoFilasExportacion = 65536;
+
+        // Elementos del historial de cálculos
+        this.listaHistorial = document.getElementById('history-list');
+        this.notaHistorial = document.getElementById('history-note');
+        this.botonExportarHistorial = document.getElementById('export-history-btn');
+        this.botonBorrarHistorial = document.getElementById('clear-history-btn');
+
+        // Elementos del árbol de subredes
+        this.entradaRedArbol = document.getElementById('tree-network');
+        this.notaArbol = document.getElementById('tree-note');
+        this.cuerpoTablaArbol = document.querySelector('#tree-table tbody');
+        this.encabezadoBloquesArbol = document.getElementById('tree-blocks-header');
+        this.selectorFormatoArbol = document.getElementById('tree-export-format');
+        this.botonExportarArbol = document.getElementById('export-tree-btn');
+
+        // Elementos del plan de direccionamiento
+        this.entradaNombrePlan = document.getElementById('plan-name');
+        this.entradaSuperredPlan = document.getElementById('plan-supernet');
+        this.camposRedPlan = {
+            red: document.getElementById('plan-network'),
+            nombre: document.getElementById('plan-network-name'),
+            sitio: document.getElementById('plan-site'),
+            vlan: document.getElementById('plan-vlan'),
+            proposito: document.getElementById('plan-purpose'),
+            responsable: document.getElementById('plan-owner'),
+            gateway: document.getElementById('plan-gateway')
+        };
+        this.botonAgregarRedPlan = document.getElementById('plan-add-btn');
+        this.botonCancelarEdicionPlan = document.getElementById('plan-cancel-btn');
+        this.notaPlan = document.getElementById('plan-note');
+        this.cuerpoTablaPlan = document.querySelector('#plan-table tbody');
+        this.usoPlan = document.getElementById('plan-usage');
+        this.botonExportarPlan = document.getElementById('export-plan-btn');
+
+        // Elementos del modo práctica
+        this.selectorTipoPractica = document.getElementById('practice-type');
+        this.selectorNivelPractica = document.getElementById('practice-level');
+        this.puntuacionPractica = document.getElementById('practice-score');
+        this.enunciadoPractica = document.getElementById('practice-statement');
+        this.formularioPractica = document.getElementById('practice-form');
+        this.camposPractica = document.getElementById('practice-fields');
+        this.botonCorregirPractica = document.getElementById('practice-check-btn');
+        this.botonSolucionPractica = document.getElementById('practice-solution-btn');
+        this.notaPractica = document.getElementById('practice-note');
+        this.pasosPractica = document.getElementById('practice-steps');
+        this.ejercicioPracticaMostrado = null;
+
+        // Elementos del generador de configuración de equipos
+        this.seccionConfiguracion = document.getElementById('config-section');
+        this.selectorPlataforma = document.getElementById('config-platform');
+        this.entradaInterfazConfig = document.getElementById('config-interface');
+        this.entradaVLANConfig = document.getElementById('config-vlan');
+        this.entradaDescripcionConfig = document.getElementById('config-description');
+        this.salidaConfiguracion = document.getElementById('config-output');
+        this.notaConfiguracion = document.getElementById('config-note');
+        this.botonCopiarConfiguracion = document.getElementById('copy-config-btn');
+
+        // Elementos del generador de ámbitos DHCP
+        this.seccionDHCP = document.getElementById('dhcp-section');
+        this.selectorFormatoDHCP = document.getElementById('dhcp-format');
+        this.entradaDNSDHCP = document.getElementById('dhcp-dns');
+        this.entradaDominioDHCP = document.getElementById('dhcp-domain');
+        this.entradaConcesionDHCP = document.getElementById('dhcp-lease');
+        this.entradaExclusionesDHCP = document.getElementById('dhcp-exclusions');
+        this.entradaReservasDHCP = document.getElementById('dhcp-reservations');
+        // Controles por el nombre de campo de los errores de Validador.validarAmbitoDHCP
+        this.camposDHCP = {
+            exclusiones: this.entradaExclusionesDHCP,
+            reservas: this.entradaReservasDHCP,
+            dns: this.entradaDNSDHCP,
+            dominio: this.entradaDominioDHCP,
+            tiempoConcesion: this.entradaConcesionDHCP
+        };
+        this.salidaDHCP = document.getElementById('dhcp-output');
+        this.notaDHCP = document.getElementById('dhcp-note');
+        this.botonCopiarDHCP = document.getElementById('copy-dhcp-btn');
+
+        // Secciones de resultados (solo una visible a la vez)
+        this.seccionesResultados = [
+            this.seccionResultados,
+            this.seccionResultadosIPv6,
+            this.seccionResultadosMultiples
+        ];
+
+        // Familia de direcciones detectada en el campo IP (4 o 6)
+        this.familiaActual = 4;
+
+        // Grupos del formulario, tipos de entrada y familias en los que son visibles (y obligatorios)
+        // 'parametro' es el nombre del campo en los enlaces compartibles (fragmento de la URL)
+        this.gruposEntrada = [
+            {
+                grupo: this.grupoIP,
+                campo: this.entradaIP,
+                parametro: 'ip',
+                tipos: ['hosts', 'mask', 'split', 'vlsm'],
+                familias: [4, 6]
+            },
+            { grupo: this.grupoHosts, campo: this.entradaHosts, parametro: 'hosts', tipos: ['hosts'], familias: [4] },
+            {
+                grupo: this.grupoPuntoAPunto,
+                campo: this.casillaPuntoAPunto,
+                parametro: 'p2p',
+                tipos: ['hosts', 'vlsm'],
+                familias: [4],
+                opcional: true
+            },
+            {
+                grupo: this.grupoMascara,
+                campo: this.entradaMascara,
+                parametro: 'mascara',
+                tipos: ['mask', 'split', 'vlsm'],
+                familias: [4, 6]
+            },
+            { grupo: this.grupoSubredes, campo: this.entradaSubredes, parametro: 'subredes', tipos: ['split'], familias: [4] },
+            {
+                grupo: this.grupoNuevoPrefijo,
+                campo: this.entradaNuevoPrefijo,
+                parametro: 'prefijo',
+                tipos: ['split'],
+                familias: [6],
+                opcional: true
+            },
+            { grupo: this.grupoVLSM, campo: this.entradaSegmentos, parametro: 'segmentos', tipos: ['vlsm'], familias: [4] },
+            {
+                grupo: this.grupoGateway,
+                campo: this.selectorPoliticaGateway,
+                parametro: 'gateway',
+                tipos: ['hosts', 'mask', 'split', 'vlsm'],
+                familias: [4],
+                opcional: true
+            },
+            {
+                grupo: this.grupoGateway,
+                campo: this.entradaDesplazamientoGateway,
+                parametro: 'desplazamiento',
+                tipos: ['hosts', 'mask', 'split', 'vlsm'],
+                familias: [4],
+                opcional: true
+            },
+            {
+                grupo: this.grupoInicioRango,
+                campo: this.entradaInicioRango,
+                parametro: 'inicio',
+                tipos: ['range-to-cidr'],
+                familias: [4]
+            },
+            { grupo: this.grupoFinRango, campo: this.entradaFinRango, parametro: 'fin', tipos: ['range-to-cidr'], familias: [4] },
+            { grupo: this.grupoIPs, campo: this.entradaIPs, parametro: 'ips', tipos: ['membership'], familias: [4] },
+            {
+                grupo: this.grupoRedes,
+                campo: this.entradaRedes,
+                parametro: 'redes',
+                tipos: ['summarize', 'cidr-to-range', 'membership', 'overlaps'],
+                familias: [4]
+            }
+        ];
+
+        // Tipos de entrada disponibles solo para IPv4
+        this.tiposSoloIPv4 = [
+            'hosts',
+            'vlsm',
+            'summarize',
+            'range-to-cidr',
+            'cidr-to-range',
+            'membership',
+            'overlaps'
+        ];
+    }
+
+    /**
+     * Configura todos los event listeners de la interfaz
+     */
+    configurarEventListeners() {
+        // Event listener para el cambio de tipo de entrada
+        this.selectorTipoEntrada.addEventListener('change', () => {
+            this.alternarCamposEntrada();
+        });
+
+        // Event listeners para limpiar resultados al cambiar inputs
+        this.entradaIP.addEventListener('input', () => {
+            this.actualizarFamiliaDireccion();
+            this.limpiarResultados();
+        });
+
+        this.entradaHosts.addEventListener('input', () => {
+            this.limpiarResultados();
+        });
+
+        this.entradaMascara.addEventListener('input', () => {
+            this.limpiarResultados();
+        });
+
+        this.entradaSubredes.addEventListener('input', () => {
+            this.limpiarResultados();
+        });
+
+        this.entradaNuevoPrefijo.addEventListener('input', () => {
+            this.limpiarResultados();
+        });
+
+        this.entradaSegmentos.addEventListener('input', () => {
+            this.limpiarResultados();
+        });
+
+        this.selectorPoliticaGateway.addEventListener('change', () => {
+            this.actualizarDesplazamientoGateway();
+            this.limpiarResultados();
+        });
+
+        this.entradaDesplazamientoGateway.addEventListener('input', () => {
+            this.limpiarResultados();
+        });
+
+        [this.entradaInicioRango, this.entradaFinRango, this.entradaIPs, this.entradaRedes].forEach(campo => {
+            campo.addEventListener('input', () => {
+                this.limpiarResultados();
+            });
+        });
+
+        // Event listeners de la paginación de la tabla de subredes
+        this.botonPaginaAnterior.addEventListener('click', () => {
+            this.cambiarPaginaTabla(this.estadoTabla.pagina - 1);
+        });
+
+        this.botonPaginaSiguiente.addEventListener('click', () => {
+            this.cambiarPaginaTabla(this.estadoTabla.pagina + 1);
+        });
+
+        this.entradaPagina.addEventListener('change', () => {
+            this.cambiarPaginaTabla(this.entradaPagina.value - 1);
+        });
+
+        // Event listeners del generador de reglas
+        [this.selectorFormatoReglas, this.selectorAccionReglas].forEach(control => {
+            control.addEventListener('change', () => {
+                this.actualizarReglas();
+            });
+        });
+
+        [this.entradaIdACL, this.entradaAreaOSPF].forEach(control => {
+            control.addEventListener('input', () => {
+                this.actualizarReglas();
+            });
+        });
+
+        this.botonCopiarReglas.addEventListener('click', () => {
+            this.copiarAlPortapapeles(this.salidaReglas.value, this.botonCopiarReglas);
+        });
+
+        // Event listeners del generador de zonas DNS inversas
+        [this.entradaPatronPTR, this.entradaServidoresPTR, this.entradaContactoPTR, this.entradaTTLPTR].forEach(control => {
+            control.addEventListener('input', () => {
+                this.actualizarZonaInversa();
+            });
+        });
+
+        this.botonCopiarZonaInversa.addEventListener('click', () => {
+            this.copiarAlPortapapeles(this.salidaZonaInversa.value, this.botonCopiarZonaInversa);
+        });
+
+        this.botonDescargarZonaInversa.addEventListener('click', () => {
+            const nombre = this.resultadoActual.getRedCIDR().replace(/[./]/g, '-');
+            this.descargarArchivo(`zona-inversa-${nombre}.txt`, this.salidaZonaInversa.value, 'text/plain');
+        });
+
+        // Event listeners del listado de direcciones
+        this.botonBuscarHost.addEventListener('click', () => {
+            this.buscarHost();
+        });
+
+        this.entradaBuscarHost.addEventListener('keydown', (evento) => {
+            if (evento.key === 'Enter') {
+                this.buscarHost();
+            }
+        });
+
+        this.botonPaginaAnteriorHosts.addEventListener('click', () => {
+            this.cambiarPaginaHosts(this.estadoHosts.pagina - 1);
+        });
+
+        this.botonPaginaSiguienteHosts.addEventListener('click', () => {
+            this.cambiarPaginaHosts(this.estadoHosts.pagina + 1);
+        });
+
+        this.entradaPaginaHosts.addEventListener('change', () => {
+            this.cambiarPaginaHosts(this.entradaPaginaHosts.value - 1);
+        });
+
+        this.botonDescargarHosts.addEventListener('click', () => {
+            this.descargarListadoHosts();
+        });
+
+        // Event listeners de la exportación
+        this.botonDescargarExportacion.addEventListener('click', () => {
+            const formato = this.selectorFormatoExportacion.value;
+            const { extension, tipoMime } = ExportadorResultados.FORMATOS[formato];
+            this.descargarArchivo(`calculadora-subredes.${extension}`, this.generarExportacion(formato), tipoMime);
+        });
+
+        this.botonCopiarExportacion.addEventListener('click', () => {
+            this.copiarAlPortapapeles(
+                this.generarExportacion(this.selectorFormatoExportacion.value),
+                this.botonCopiarExportacion
+            );
+        });
+
+        // Event listeners del generador de configuración
+        this.selectorPlataforma.addEventListener('change', () => {
+            this.actualizarConfiguracion();
+        });
+
+        [this.entradaInterfazConfig, this.entradaVLANConfig, this.entradaDescripcionConfig].forEach(control => {
+            control.addEventListener('input', () => {
+                this.actualizarConfiguracion();
+            });
+        });
+
+        this.botonCopiarConfiguracion.addEventListener('click', () => {
+            this.copiarAlPortapapeles(this.salidaConfiguracion.value, this.botonCopiarConfiguracion);
+        });
+
+        // Event listeners del generador de ámbitos DHCP
+        this.selectorFormatoDHCP.addEventListener('change', () => {
+            this.actualizarDHCP();
+        });
+
+        [
+            this.entradaDNSDHCP,
+            this.entradaDominioDHCP,
+            this.entradaConcesionDHCP,
+            this.entradaExclusionesDHCP,
+            this.entradaReservasDHCP
+        ].forEach(control => {
+            control.addEventListener('input', () => {
+                this.actualizarDHCP();
+            });
+        });
+
+        this.botonCopiarDHCP.addEventListener('click', () => {
+            this.copiarAlPortapapeles(this.salidaDHCP.value, this.botonCopiarDHCP);
+        });
+
+        // Event listeners para validación en tiempo real
+        Object.values(this.camposValidados).forEach(({ entrada }) => {
+            entrada.addEventListener('input', () => {
+                this.validarEnTiempoReal();
+            });
+        });
+    }
+
+    /**
+     * Alterna entre los campos de entrada según el tipo seleccionado
+     */
+    alternarCamposEntrada() {
+        this.gruposEntrada.forEach(entrada => {
+            const { grupo, campo, opcional } = entrada;
+            const activo = this.esGrupoActivo(entrada);
+            grupo.style.display = activo ? 'block' : 'none';
+            campo.required = activo && !opcional;
+            if (!activo) {
+                this.escribirCampo(campo, ''); // Limpiar el campo no usado
+            }
+        });
+        this.actualizarDesplazamientoGateway();
+        this.validarEnTiempoReal();
+        
+        this.limpiarResultados();
+    }
+
+    /**
+     * Muestra el campo de desplazamiento solo con las políticas de gateway que lo usan (red y broadcast)
+     */
+    actualizarDesplazamientoGateway() {
+        const usaDesplazamiento = ['red', 'broadcast'].includes(this.selectorPoliticaGateway.value);
+        this.entradaDesplazamientoGateway.style.display = usaDesplazamiento ? 'block' : 'none';
+        if (!usaDesplazamiento) {
+            this.entradaDesplazamientoGateway.value = '';
+        }
+    }
+
+    /**
+     * Obtiene la política de gateway elegida en el formulario como texto (ej: "primero" o "broadcast-1")
+     * @returns {string} - Política para Validador.validarPoliticaGateway (vacía para la predeterminada)
+     */
+    obtenerPoliticaGateway() {
+        const posicion = this.selectorPoliticaGateway.value;
+        const desplazamiento = this.entradaDesplazamientoGateway.value.trim();
+
+        if (posicion === 'red') {
+            return `red+${desplazamiento}`;
+        }
+        if (posicion === 'broadcast') {
+            return `broadcast-${desplazamiento}`;
+        }
+        return posicion;
+    }
+
+    /**
+     * Indica si un grupo de entrada se usa con el tipo de cálculo y la familia actuales
+     * @param {object} entrada - Elemento de gruposEntrada
+     * @returns {boolean} - True si el grupo está activo
+     */
+    esGrupoActivo(entrada) {
+        return entrada.tipos.includes(this.selectorTipoEntrada.value) && entrada.familias.includes(this.familiaActual);
+    }
+
+    /**
+     * Lee el valor de un campo del formulario (las casillas valen '1' si están marcadas)
+     * @param {HTMLElement} campo - Campo de entrada
+     * @returns {string} - Valor sin espacios al principio ni al final
+     */
+    leerCampo(campo) {
+        if (campo.type === 'checkbox') {
+            return campo.checked ? '1' : '';
+        }
+        return campo.value.trim();
+    }
+
+    /**
+     * Escribe el valor de un campo del formulario (las casillas se marcan con cualquier valor no vacío)
+     * @param {HTMLElement} campo - Campo de entrada
+     * @param {string} valor - Valor a escribir
+     */
+    escribirCampo(campo, valor) {
+        if (campo.type === 'checkbox') {
+            campo.checked = Boolean(valor);
+        } else {
+            campo.value = valor;
+        }
+    }
+
+    /**
+     * Obtiene el estado del formulario como parámetros de URL (tipo de cálculo y campos activos)
+     * @returns {URLSearchParams} - Parámetros del cálculo actual
+     */
+    obtenerParametrosURL() {
+        const parametros = new URLSearchParams({ modo: this.selectorTipoEntrada.value });
+        this.gruposEntrada
+            .filter(entrada => this.esGrupoActivo(entrada) && this.leerCampo(entrada.campo) !== '')
+            .forEach(entrada => {
+                parametros.set(entrada.parametro, this.leerCampo(entrada.campo));
+            });
+        return parametros;
+    }
+
+    /**
+     * Rellena el formulario a partir de los parámetros de un enlace
+     * @param {URLSearchParams} parametros - Parámetros obtenidos de la URL
+     * @returns {boolean} - True si los parámetros describen un cálculo que se puede repetir
+     */
+    aplicarParametrosURL(parametros) {
+        const modo = parametros.get('modo');
+        const opcion = Array.from(this.selectorTipoEntrada.options).find(elemento => elemento.value === modo);
+        if (!opcion) {
+            return false;
+        }
+
+        // La IP decide la familia (y con ella los modos disponibles) antes de elegir el modo
+        this.entradaIP.value = parametros.get('ip') || '';
+        this.actualizarFamiliaDireccion();
+        if (opcion.disabled) {
+            return false;
+        }
+
+        this.selectorTipoEntrada.value = modo;
+        this.alternarCamposEntrada();
+        this.gruposEntrada
+            .filter(entrada => this.esGrupoActivo(entrada))
+            .forEach(entrada => {
+                this.escribirCampo(entrada.campo, parametros.get(entrada.parametro) || '');
+            });
+        this.actualizarDesplazamientoGateway();
+        this.resetearEstilosValidacion();
+        return true;
+    }
+
+    /**
+     * Describe el cálculo mostrado para guardarlo en el historial
+     * @returns {object} - {descripcion, resultado} (resultado null en los modos con tabla)
+     */
+    obtenerResumenCalculo() {
+        const modo = this.selectorTipoEntrada.selectedOptions[0].textContent;
+
+        if (this.seccionResultadosMultiples.style.display === 'block') {
+            return {
+                descripcion: `${modo}: ${this.resumenResultadosMultiples.textContent}`,
+                resultado: null
+            };
+        }
+
+        const resultado = this.seccionResultadosIPv6.style.display === 'block'
+            ? this.resultadoIPv6Actual
+            : this.resultadoActual;
+        return {
+            descripcion: `${modo}: ${resultado.getRedCIDR()}`,
+            resultado: resultado
+        };
+    }
+
+    /**
+     * Muestra las entradas del historial (favoritos primero)
+     * @param {Array<object>} entradas - Entradas de HistorialCalculos.obtenerEntradas()
+     * @param {string|null} aviso - Aviso del almacenamiento (datos dañados, sin espacio...)
+     */
+    mostrarHistorial(entradas, aviso) {
+        const crearBoton = (texto, accion) => {
+            const boton = document.createElement('button');
+            boton.type = 'button';
+            boton.className = 'secondary-btn';
+            boton.dataset.accion = accion;
+            boton.textContent = texto;
+            return boton;
+        };
+
+        // textContent evita interpretar como HTML las etiquetas y listas ingresadas
+        this.listaHistorial.replaceChildren(...entradas.map(entrada => {
+            const elemento = document.createElement('li');
+            elemento.className = entrada.favorito ? 'history-item history-favorite' : 'history-item';
+            elemento.dataset.id = entrada.id;
+
+            const titulo = document.createElement('strong');
+            titulo.textContent = entrada.etiqueta || entrada.descripcion;
+            const detalle = document.createElement('span');
+            detalle.className = 'history-meta';
+            detalle.textContent = (entrada.etiqueta ? `${entrada.descripcion} · ` : '') +
+                Traductor.formatearFecha(entrada.fecha);
+            const informacion = document.createElement('div');
+            informacion.className = 'history-info';
+            informacion.append(titulo, detalle);
+            elemento.appendChild(informacion);
+
+            if (entrada.favorito) {
+                const etiqueta = document.createElement('input');
+                etiqueta.type = 'text';
+                etiqueta.className = 'history-label';
+                etiqueta.dataset.accion = 'etiqueta';
+                etiqueta.placeholder = Traductor.t('Etiqueta del favorito');
+                etiqueta.value = entrada.etiqueta;
+                elemento.appendChild(etiqueta);
+            }
+
+            elemento.append(
+                crearBoton(Traductor.t('Repetir'), 'repetir'),
+                crearBoton(Traductor.t(entrada.favorito ? '★ Quitar' : '☆ Fijar'), 'favorito'),
+                crearBoton(Traductor.t('Eliminar'), 'eliminar')
+            );
+            return elemento;
+        }));
+
+        this.notaHistorial.textContent = aviso || (entradas.length === 0
+            ? Traductor.t('Aún no hay cálculos. Cada cálculo correcto se guarda aquí.')
+            : Traductor.t('Borrar historial conserva los favoritos.'));
+        this.botonExportarHistorial.disabled = entradas.length === 0;
+    }
+
+    /**
+     * Dibuja el árbol de subredes como tabla: una fila por hoja y, a la derecha, una columna por nivel
+     * del árbol en la que cada bloque ocupa las filas de sus hojas
+     * @param {ArbolSubredes|null} arbol - Árbol a dibujar, o null si aún no se ha creado
+     * @param {string} [mensaje] - Mensaje a mostrar en la nota (errores o avisos)
+     */
+    mostrarArbol(arbol, mensaje) {
+        const hojas = arbol ? arbol.obtenerHojas() : [];
+        const prefijoRaiz = arbol ? arbol.raiz.prefijo : 0;
+        const niveles = hojas.reduce((maximo, hoja) =>
+            Math.max(maximo, hoja.prefijo - prefijoRaiz + 1), 1);
+        this.encabezadoBloquesArbol.colSpan = niveles;
+
+        this.cuerpoTablaArbol.replaceChildren(...hojas.map(hoja => {
+            const fila = document.createElement('tr');
+            fila.dataset.id = hoja.id;
+            [hoja.id, hoja.resultado.getRangoHosts(), Traductor.formatearNumero(hoja.resultado.totalHosts)].forEach(valor => {
+                const celda = document.createElement('td');
+                celda.textContent = valor;
+                fila.appendChild(celda);
+            });
+
+            const celdaEtiqueta = document.createElement('td');
+            const entradaEtiqueta = document.createElement('input');
+            entradaEtiqueta.type = 'text';
+            entradaEtiqueta.value = hoja.etiqueta;
+            entradaEtiqueta.placeholder = Traductor.t('Sin etiqueta');
+            entradaEtiqueta.setAttribute('aria-label', Traductor.t('Etiqueta de {subred}', { subred: hoja.id }));
+            celdaEtiqueta.appendChild(entradaEtiqueta);
+            fila.appendChild(celdaEtiqueta);
+
+            const acciones = document.createElement('td');
+            [[Traductor.t('Dividir'), 'dividir', hoja.prefijo === 32],
+             [Traductor.t('Unir'), 'unir', !hoja.unible]].forEach(([texto, accion, desactivado]) => {
+                const boton = document.createElement('button');
+                boton.type = 'button';
+                boton.className = 'secondary-btn';
+                boton.dataset.accion = accion;
+                boton.textContent = texto;
+                boton.disabled = desactivado;
+                acciones.appendChild(boton);
+            });
+            fila.appendChild(acciones);
+
+            // La última celda es la propia hoja, que se extiende hasta el nivel más profundo
+            hoja.bloques.forEach((bloque, indice) => {
+                const celda = document.createElement('td');
+                const esHoja = indice === hoja.bloques.length - 1;
+                celda.className = esHoja ? 'tree-block tree-leaf' : 'tree-block';
+                celda.rowSpan = bloque.hojas;
+                celda.colSpan = esHoja ? niveles - (bloque.prefijo - prefijoRaiz) : 1;
+                celda.textContent = `/${bloque.prefijo}`;
+                celda.title = bloque.id;
+                fila.appendChild(celda);
+            });
+            return fila;
+        }));
+
+        this.notaArbol.textContent = mensaje || (arbol
+            ? Traductor.t('{red} dividida en {total} subred(es). ' +
+                          'Divide una subred en dos mitades o únela de nuevo con su hermana.', {
+                red: arbol.raiz.id,
+                total: Traductor.formatearNumero(hojas.length)
+            })
+            : Traductor.t('Indica una red padre para dividirla en mitades.'));
+        this.botonExportarArbol.disabled = !arbol;
+    }
+
+    /**
+     * Copia la subred IPv4 mostrada como red padre del árbol
+     * @returns {boolean} - False si no hay una subred IPv4 en pantalla
+     */
+    usarResultadoEnArbol() {
+        if (this.seccionResultados.style.display !== 'block' || !this.resultadoActual) {
+            return false;
+        }
+
+        this.entradaRedArbol.value = this.resultadoActual.getRedCIDR();
+        return true;
+    }
+
+    /**
+     * Genera la exportación de las subredes (hojas) del árbol con su etiqueta como segmento
+     * @param {string} formato - 'csv', 'json', 'markdown' o 'texto'
+     * @param {ArbolSubredes} arbol - Árbol a exportar
+     * @returns {string} - Contenido exportado
+     */
+    generarExportacionArbol(formato, arbol) {
+        const filas = arbol.obtenerHojas().map(hoja => ({ resultado: hoja.resultado, nombre: hoja.etiqueta }));
+        return ExportadorResultados.generar(formato, filas, this.obtenerColumnasSubredes(filas[0]), {
+            titulo: Traductor.t('Árbol de subredes {red}', { red: arbol.raiz.id })
+        });
+    }
+
+    /**
+     * Dibuja el plan de direccionamiento: nombre, superred, tabla de redes y uso de la superred
+     * @param {object} plan - {nombre, superred (ResultadoIp o null), redes, uso} (ver PlanDireccionamiento)
+     * @param {string} [mensaje] - Mensaje a mostrar en la nota (errores o avisos)
+     */
+    mostrarPlan(plan, mensaje) {
+        this.entradaNombrePlan.value = plan.nombre;
+        this.entradaSuperredPlan.value = plan.superred ? plan.superred.getRedCIDR() : '';
+
+        // textContent evita interpretar como HTML los textos ingresados o importados
+        this.cuerpoTablaPlan.replaceChildren(...plan.redes.map(red => {
+            const fila = document.createElement('tr');
+            fila.dataset.id = red.id;
+            [
+                red.resultado.getRedCIDR(),
+                red.nombre,
+                red.sitio,
+                red.vlan === null ? '' : String(red.vlan),
+                red.proposito,
+                red.responsable,
+                red.resultado.gatewayIP,
+                Traductor.formatearNumero(red.resultado.totalHosts)
+            ].forEach(valor => {
+                const celda = document.createElement('td');
+                celda.textContent = valor;
+                fila.appendChild(celda);
+            });
+
+            const acciones = document.createElement('td');
+            [[Traductor.t('Editar'), 'editar'], [Traductor.t('Eliminar'), 'eliminar']].forEach(([texto, accion]) => {
+                const boton = document.createElement('button');
+                boton.type = 'button';
+                boton.className = 'secondary-btn';
+                boton.dataset.accion = accion;
+                boton.textContent = texto;
+                acciones.appendChild(boton);
+            });
+            fila.appendChild(acciones);
+            return fila;
+        }));
+
+        const { uso } = plan;
+        if (uso) {
+            const espacioLibre = uso.espacioLibre.length > 0
+                ? Traductor.t('Espacio libre: {bloques}.', {
+                    bloques: uso.espacioLibre.map(bloque => bloque.getRedCIDR()).join(', ')
+                })
+                : Traductor.t('No queda espacio libre.');
+            this.usoPlan.textContent = Traductor.t('Asignadas {asignadas} de {direcciones} direcciones de {superred} ({porcentaje}%).', {
+                asignadas: Traductor.formatearNumero(uso.asignadas),
+                direcciones: Traductor.formatearNumero(uso.direcciones),
+                superred: plan.superred.getRedCIDR(),
+                porcentaje: (uso.asignadas / uso.direcciones * 100).toFixed(2)
+            }) + ` ${espacioLibre}`;
+        } else {
+            this.usoPlan.textContent = Traductor.t(
+                'Indica una superred para comprobar que todas las redes estén dentro y ver el espacio libre.');
+        }
+
+        this.notaPlan.textContent = mensaje || (plan.redes.length === 0
+            ? Traductor.t('El plan está vacío. Añade redes o importa un plan exportado.')
+            : Traductor.t('Las redes no pueden solaparse. El plan se guarda en este navegador; expórtalo para compartirlo.'));
+        this.botonExportarPlan.disabled = plan.redes.length === 0 && !plan.superred;
+    }
+
+    /**
+     * Obtiene los datos de la red escrita en el formulario del plan
+     * @returns {object} - Textos {red, nombre, sitio, vlan, proposito, responsable, gateway}
+     */
+    obtenerDatosRedPlan() {
+        return Object.fromEntries(Object.entries(this.camposRedPlan).map(([clave, campo]) => [clave, campo.value]));
+    }
+
+    /**
+     * Rellena el formulario del plan con una red para editarla, o lo vacía para añadir otra
+     * @param {object|null} red - Red del plan a editar, o null
+     */
+    rellenarFormularioPlan(red) {
+        const valores = red
+            ? {
+                red: red.resultado.getRedCIDR(),
+                nombre: red.nombre,
+                sitio: red.sitio,
+                vlan: red.vlan === null ? '' : String(red.vlan),
+                proposito: red.proposito,
+                responsable: red.responsable,
+                gateway: red.resultado.gatewayIP
+            }
+            : {};
+        Object.entries(this.camposRedPlan).forEach(([clave, campo]) => {
+            campo.value = valores[clave] || '';
+        });
+        this.marcarCamposConError(this.camposRedPlan, []);
+
+        this.editandoRedPlan = Boolean(red);
+        this.botonAgregarRedPlan.textContent = Traductor.t(red ? 'Guardar cambios' : 'Añadir red');
+        this.botonCancelarEdicionPlan.style.display = red ? 'inline-block' : 'none';
+    }
+
+    /**
+     * Copia la subred IPv4 mostrada (red y gateway) al formulario del plan
+     * @returns {boolean} - False si no hay una subred IPv4 en pantalla
+     */
+    usarResultadoEnPlan() {
+        if (this.seccionResultados.style.display !== 'block' || !this.resultadoActual) {
+            return false;
+        }
+
+        this.camposRedPlan.red.value = this.resultadoActual.getRedCIDR();
+        this.camposRedPlan.gateway.value = this.resultadoActual.gatewayIP;
+        this.camposRedPlan.nombre.focus();
+        return true;
+    }
+
+    /**
+     * Dibuja el modo práctica: puntuación, enunciado, campos de respuesta (marcados si ya se corrigieron)
+     * y, tras corregir, el procedimiento. Las respuestas escritas se conservan mientras no cambie el ejercicio
+     * @param {object} practica - {puntuacion, ejercicio, correccion, aviso} (ver PracticaSubredes)
+     * @param {string} [mensaje] - Mensaje a mostrar en la nota
+     */
+    mostrarPractica(practica, mensaje) {
+        const { puntuacion, ejercicio, correccion, aviso } = practica;
+        const nombreNivel = numero => Traductor.t(PracticaSubredes.NIVELES.find(nivel => nivel.nivel === numero).nombre);
+
+        this.selectorNivelPractica.value = String(puntuacion.nivel);
+        const total = puntuacion.aciertos + puntuacion.fallos;
+        this.puntuacionPractica.textContent = total === 0
+            ? Traductor.t('Nivel {nivel}. Aún no has resuelto ningún ejercicio.', { nivel: nombreNivel(puntuacion.nivel) })
+            : Traductor.t('Nivel {nivel} · {aciertos} de {total} correctos ({porcentaje}%) · racha {racha} (mejor: {mejorRacha})', {
+                nivel: nombreNivel(puntuacion.nivel),
+                aciertos: Traductor.formatearNumero(puntuacion.aciertos),
+                total: Traductor.formatearNumero(total),
+                porcentaje: Math.round(puntuacion.aciertos / total * 100),
+                racha: puntuacion.racha,
+                mejorRacha: puntuacion.mejorRacha
+            });
+        if (aviso) {
+            // El aviso del almacenamiento va con la puntuación para no ocultar la corrección
+            this.puntuacionPractica.textContent += ` ${aviso}`;
+        }
+
+        const nuevo = ejercicio !== this.ejercicioPracticaMostrado;
+        const respuestas = nuevo ? {} : this.obtenerRespuestasPractica();
+        this.ejercicioPracticaMostrado = ejercicio;
+        this.botonCorregirPractica.disabled = !ejercicio || Boolean(correccion && correccion.solucionVista);
+        this.botonSolucionPractica.disabled = !ejercicio;
+
+        if (!ejercicio) {
+            this.enunciadoPractica.textContent = Traductor.t('Elige el tipo de ejercicio y pulsa Nuevo ejercicio.');
+            this.camposPractica.replaceChildren();
+            this.pasosPractica.replaceChildren();
+            this.notaPractica.textContent = mensaje || Traductor.t(
+                'Tres aciertos seguidos suben de nivel y dos fallos seguidos lo bajan. La puntuación se guarda en este navegador.');
+            return;
+        }
+
+        const descripcion = PracticaSubredes.describir(ejercicio);
+        const resultados = correccion ? Object.fromEntries(correccion.campos.map(campo => [campo.id, campo])) : {};
+        this.enunciadoPractica.textContent = descripcion.enunciado;
+        this.camposPractica.replaceChildren(...descripcion.campos.map((campo, indice) => {
+            const grupo = document.createElement('div');
+            grupo.className = 'form-group';
+
+            const etiqueta = document.createElement('label');
+            etiqueta.htmlFor = `practice-answer-${campo.id}`;
+            etiqueta.textContent = campo.etiqueta;
+
+            const entrada = document.createElement('input');
+            entrada.type = 'text';
+            entrada.id = etiqueta.htmlFor;
+            entrada.name = campo.id;
+            entrada.placeholder = campo.ejemplo;
+            entrada.autocomplete = 'off';
+            entrada.spellcheck = false;
+            entrada.value = respuestas[campo.id] || '';
+            grupo.append(etiqueta, entrada);
+
+            const resultado = resultados[campo.id];
+            if (resultado) {
+                entrada.classList.add(resultado.correcto ? 'practice-correct' : 'practice-wrong');
+                if (!resultado.correcto) {
+                    const solucion = document.createElement('small');
+                    solucion.className = 'practice-solution';
+                    solucion.textContent = Traductor.t('Solución: {valor}', {
+                        valor: PracticaSubredes.formatearSolucion(ejercicio.campos[indice], resultado.esperado)
+                    });
+                    grupo.appendChild(solucion);
+                }
+            }
+            return grupo;
+        }));
+        if (nuevo) {
+            this.camposPractica.querySelector('input').focus();
+        }
+
+        this.pasosPractica.replaceChildren(...(correccion ? PracticaSubredes.explicar(ejercicio) : []).map(paso => {
+            const elemento = document.createElement('li');
+            elemento.textContent = paso;
+            return elemento;
+        }));
+
+        let nota = Traductor.t('Escribe tus respuestas y pulsa Corregir. Las máscaras valen en decimal o como prefijo (/26).');
+        if (correccion) {
+            const correctas = correccion.campos.filter(campo => campo.correcto).length;
+            if (correccion.solucionVista) {
+                nota = Traductor.t('Esta es la solución. Si no habías corregido el ejercicio, cuenta como fallo.');
+            } else if (correccion.correcto) {
+                nota = Traductor.t('¡Correcto! Todas las respuestas son correctas.');
+            } else {
+                nota = Traductor.t('{correctas} de {total} respuestas correctas. Revisa el procedimiento.', {
+                    correctas: correctas,
+                    total: correccion.campos.length
+                });
+            }
+            if (correccion.cambioNivel !== 0) {
+                nota += ' ' + Traductor.t(correccion.cambioNivel > 0 ? 'Subes al nivel {nivel}.' : 'Bajas al nivel {nivel}.', {
+                    nivel: nombreNivel(puntuacion.nivel)
+                });
+            }
+        }
+        this.notaPractica.textContent = mensaje || nota;
+    }
+
+    /**
+     * Obtiene las respuestas escritas en el ejercicio de práctica
+     * @returns {object} - Respuestas por identificador de campo
+     */
+    obtenerRespuestasPractica() {
+        return Object.fromEntries(Array.from(this.camposPractica.querySelectorAll('input'),
+            entrada => [entrada.name, entrada.value]));
+    }
+
+    /**
+     * Indica si hay algún resultado en pantalla (el último cálculo terminó sin errores)
+     * @returns {boolean} - True si alguna sección de resultados está visible
+     */
+    hayResultadosVisibles() {
+        return this.seccionesResultados.some(seccion => seccion.style.display === 'block');
+    }
+
+    /**
+     * Detecta la familia de la dirección ingresada y adapta el formulario (IPv4 o IPv6)
+     */
+    actualizarFamiliaDireccion() {
+        const familia = Validador.detectarFamiliaIP(this.entradaIP.value.trim());
+        if (familia === this.familiaActual) {
+            return;
+        }
+
+        this.familiaActual = familia;
+        this.mostrarTextosFamilia();
+
+        // Deshabilitar los tipos de entrada que no aplican a IPv6
+        Array.from(this.selectorTipoEntrada.options).forEach(opcion => {
+            opcion.disabled = familia === 6 && this.tiposSoloIPv4.includes(opcion.value);
+        });
+        if (this.selectorTipoEntrada.selectedOptions[0].disabled) {
+            this.selectorTipoEntrada.value = 'mask';
+        }
+
+        this.alternarCamposEntrada();
+    }
+
+    /**
+     * Muestra los textos del formulario que dependen de la familia actual (pista, etiqueta y
+     * ejemplo del campo de máscara)
+     */
+    mostrarTextosFamilia() {
+        this.pistaFamilia.textContent = Traductor.t(this.familiaActual === 6 ? 'IPv6 detectada' : 'IPv4 detectada');
+
+        // En IPv6 el campo de máscara recibe la longitud de prefijo
+        if (this.familiaActual === 6) {
+            this.etiquetaMascara.textContent = Traductor.t('Longitud de prefijo:');
+            this.entradaMascara.placeholder = Traductor.t('Ej: 48');
+        } else {
+            this.etiquetaMascara.textContent = Traductor.t('Máscara de subred:');
+            this.entradaMascara.placeholder = Traductor.t('Ej: 255.255.255.0 o /24');
+        }
+    }
+
+    /**
+     * Muestra una sección de resultados y oculta las demás
+     * @param {HTMLElement|null} seccion - Sección a mostrar (null para ocultarlas todas)
+     */
+    mostrarSeccionResultados(seccion) {
+        this.seccionesResultados.forEach(elemento => {
+            elemento.style.display = elemento === seccion ? 'block' : 'none';
+        });
+
+        // Las herramientas sobre resultados solo aplican a subredes IPv4
+        const hayResultadosIPv4 = seccion === this.seccionResultados ||
+            (seccion === this.seccionResultadosMultiples && this.obtenerResultadosActuales().length > 0);
+        this.seccionReglas.style.display = hayResultadosIPv4 ? 'block' : 'none';
+        if (hayResultadosIPv4) {
+            this.actualizarReglas();
+        }
+
+        // La configuración de equipos se genera para una única subred
+        const hayResultadoUnico = seccion === this.seccionResultados;
+        this.seccionConfiguracion.style.display = hayResultadoUnico ? 'block' : 'none';
+        this.seccionDHCP.style.display = hayResultadoUnico ? 'block' : 'none';
+        this.seccionZonaInversa.style.display = hayResultadoUnico ? 'block' : 'none';
+        this.seccionHosts.style.display = hayResultadoUnico ? 'block' : 'none';
+        if (hayResultadoUnico) {
+            this.actualizarConfiguracion();
+            this.actualizarDHCP();
+            this.actualizarZonaInversa();
+            this.actualizarListadoHosts();
+        }
+
+        this.seccionExportacion.style.display = seccion ? 'block' : 'none';
+        const totalFilas = seccion === this.seccionResultadosMultiples && this.estadoTabla
+            ? this.estadoTabla.fuente.total
+            : 1;
+        this.notaExportacion.textContent = totalFilas > this.maximoFilasExportacion
+            ? Traductor.t('Hay {total} filas: se exportan las primeras {maximo}.', {
+                total: Traductor.formatearNumero(totalFilas),
+                maximo: Traductor.formatearNumero(this.maximoFilasExportacion)
+            })
+            : '';
+    }
+
+    /**
+     * Obtiene las filas y columnas de los resultados mostrados para exportarlos
+     * En tablas muy grandes se limita a las primeras maximoFilasExportacion filas
+     * @returns {object} - {filas, columnas, titulo, total}
+     */
+    obtenerDatosExportacion() {
+        if (this.seccionResultadosMultiples.style.display === 'block' && this.estadoTabla) {
+            const { fuente, columnas, titulo } = this.estadoTabla;
+            return {
+                filas: fuente.obtenerFilas(0, Math.min(fuente.total, this.maximoFilasExportacion)),
+                columnas: columnas,
+                titulo: titulo,
+                total: fuente.total
+            };
+        }
+
+        const resultado = this.seccionResultadosIPv6.style.display === 'block'
+            ? this.resultadoIPv6Actual
+            : this.resultadoActual;
+        const filas = resultado ? [{ resultado: resultado }] : [];
+        return {
+            filas: filas,
+            columnas: filas.length > 0 ? this.obtenerColumnasSubredes(filas[0]) : [],
+            titulo: Traductor.t('Resultados'),
+            total: filas.length
+        };
+    }
+
+    /**
+     * Genera el contenido exportado de los resultados mostrados
+     * @param {string} formato - 'csv', 'json', 'markdown' o 'texto'
+     * @returns {string} - Contenido exportado
+     */
+    generarExportacion(formato) {
+        const { filas, columnas, titulo } = this.obtenerDatosExportacion();
+        return ExportadorResultados.generar(formato, filas, columnas, { titulo: titulo });
+    }
+
+    /**
+     * Descarga un texto como archivo
+     * @param {string} nombreArchivo - Nombre sugerido del archivo
+     * @param {string} contenido - Contenido del archivo
+     * @param {string} tipoMime - Tipo MIME del contenido
+     */
+    descargarArchivo(nombreArchivo, contenido, tipoMime) {
+        this._descargarBlob(nombreArchivo, new Blob([contenido], { type: `${tipoMime};charset=utf-8` }));
     }
 
     /**
-     * Configura todos los event listeners de la interfaz
+     * Descarga un archivo escrito por partes sin unirlas en un único texto
+     * Si el navegador permite elegir dónde guardar, cada parte se escribe directamente en el archivo;
+     * si no, cada parte se guarda como un Blob y la descarga se hace al final
+     * @param {string} nombreArchivo - Nombre sugerido del archivo
+     * @param {Iterable<string>} partes - Partes del contenido, en orden
+     * @param {string} tipoMime - Tipo MIME del contenido
+     * @param {Function} [alAvanzar] - Se llama con el número de partes escritas
+     * @returns {Promise<void>} - Se resuelve al terminar (rechaza con AbortError si se cancela el guardado)
      */
-    configurarEventListeners() {
-        // Event listener para el cambio de tipo de entrada
-        this.selectorTipoEntrada.addEventListener('change', () => {
-            this.alternarCamposEntrada();
+    async descargarArchivoPorPartes(nombreArchivo, partes, tipoMime, alAvanzar = () => {}) {
+        let escritas = 0;
+        if (typeof window.showSaveFilePicker === 'function') {
+            const archivo = await window.showSaveFilePicker({ suggestedName: nombreArchivo });
+            const escritura = await archivo.createWritable();
+            for (const parte of partes) {
+                await escritura.write(parte);
+                alAvanzar(++escritas);
+            }
+            await escritura.close();
+            return;
+        }
+
+        const blobs = [];
+        for (const parte of partes) {
+            blobs.push(new Blob([parte]));
+            alAvanzar(++escritas);
+            // Cede el control entre partes para que la página siga respondiendo
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        this._descargarBlob(nombreArchivo, new Blob(blobs, { type: `${tipoMime};charset=utf-8` }));
+    }
+
+    /**
+     * Descarga un Blob como archivo mediante un enlace temporal
+     * @param {string} nombreArchivo - Nombre sugerido del archivo
+     * @param {Blob} blob - Contenido del archivo
+     * @private
+     */
+    _descargarBlob(nombreArchivo, blob) {
+        const url = URL.createObjectURL(blob);
+        const enlace = document.createElement('a');
+        enlace.href = url;
+        enlace.download = nombreArchivo;
+        document.body.appendChild(enlace);
+        enlace.click();
+        enlace.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Prepara el listado de direcciones de la subred mostrada y dibuja su primera página
+     */
+    actualizarListadoHosts() {
+        if (!this.resultadoActual) {
+            return;
+        }
+
+        try {
+            this.estadoHosts = { listado: new ListadoHosts(this.resultadoActual), pagina: 0, buscado: null };
+        } catch (error) {
+            // Subred mayor que un /8
+            this.estadoHosts = null;
+            this.cuerpoTablaHosts.replaceChildren();
+            this.paginacionHosts.style.display = 'none';
+            this.notaHosts.textContent = error.message;
+            this.botonDescargarHosts.disabled = true;
+            return;
+        }
+
+        this.renderizarPaginaHosts();
+        this.notaHosts.textContent = Traductor.t('{total} direcciones de {red}, con la red, el gateway y el broadcast marcados.', {
+            total: Traductor.formatearNumero(this.estadoHosts.listado.total),
+            red: this.resultadoActual.getRedCIDR()
         });
+        this.botonDescargarHosts.disabled = false;
+    }
 
-        // Event listeners para limpiar resultados al cambiar inputs
-        this.entradaIP.addEventListener('input', () => {
-            this.limpiarResultados();
+    /**
+     * Dibuja la página actual del listado de direcciones y actualiza su paginación
+     */
+    renderizarPaginaHosts() {
+        const { listado, pagina, buscado } = this.estadoHosts;
+        const totalPaginas = Math.max(1, Math.ceil(listado.total / this.filasPorPagina));
+
+        const fragmento = document.createDocumentFragment();
+        listado.obtenerFilas(pagina * this.filasPorPagina, this.filasPorPagina).forEach(fila => {
+            const filaTabla = document.createElement('tr');
+            filaTabla.className = `host-${fila.tipo}` + (fila.indice === buscado ? ' host-buscado' : '');
+            [String(fila.indice + 1), ...ListadoHosts.COLUMNAS.map(columna => columna.valor(fila))].forEach(valor => {
+                const celda = document.createElement('td');
+                celda.textContent = valor;
+                filaTabla.appendChild(celda);
+            });
+            fragmento.appendChild(filaTabla);
         });
+        this.cuerpoTablaHosts.replaceChildren(fragmento);
 
-        this.entradaHosts.addEventListener('input', () => {
-            this.limpiarResultados();
+        this.paginacionHosts.style.display = totalPaginas > 1 ? 'flex' : 'none';
+        this.entradaPaginaHosts.value = pagina + 1;
+        this.entradaPaginaHosts.max = totalPaginas;
+        this.elementoTotalPaginasHosts.textContent = Traductor.t('{paginas} ({total} direcciones)', {
+            paginas: Traductor.formatearNumero(totalPaginas),
+            total: Traductor.formatearNumero(listado.total)
         });
+        this.botonPaginaAnteriorHosts.disabled = pagina === 0;
+        this.botonPaginaSiguienteHosts.disabled = pagina >= totalPaginas - 1;
+    }
 
-        this.entradaMascara.addEventListener('input', () => {
-            this.limpiarResultados();
+    /**
+     * Cambia la página visible del listado de direcciones
+     * @param {number} pagina - Índice de la página (empezando en 0)
+     */
+    cambiarPaginaHosts(pagina) {
+        if (!this.estadoHosts) {
+            return;
+        }
+
+        const totalPaginas = Math.max(1, Math.ceil(this.estadoHosts.listado.total / this.filasPorPagina));
+        this.estadoHosts.pagina = Math.min(Math.max(parseInt(pagina) || 0, 0), totalPaginas - 1);
+        this.renderizarPaginaHosts();
+    }
+
+    /**
+     * Salta a la página de la dirección buscada y la resalta
+     */
+    buscarHost() {
+        if (!this.estadoHosts) {
+            return;
+        }
+
+        const ip = this.entradaBuscarHost.value.trim();
+        if (!Validador.esDireccionIPValida(ip)) {
+            this.notaHosts.textContent = Validador.obtenerMensajeError('ip', ip);
+            return;
+        }
+
+        try {
+            const indice = this.estadoHosts.listado.buscar(ip);
+            this.estadoHosts.buscado = indice;
+            this.cambiarPaginaHosts(Math.floor(indice / this.filasPorPagina));
+            this.notaHosts.textContent = Traductor.t('{ip} es la dirección {posicion} de {total}.', {
+                ip: ip,
+                posicion: Traductor.formatearNumero(indice + 1),
+                total: Traductor.formatearNumero(this.estadoHosts.listado.total)
+            });
+        } catch (error) {
+            this.notaHosts.textContent = error.message;
+        }
+    }
+
+    /**
+     * Descarga el listado completo en CSV, generado por bloques para no construir un único texto
+     * con millones de líneas
+     */
+    async descargarListadoHosts() {
+        if (!this.estadoHosts) {
+            return;
+        }
+
+        const { listado } = this.estadoHosts;
+        const filasPorBloque = 16384;
+        const partes = ExportadorResultados.generarCSVPorBloques(listado, ListadoHosts.COLUMNAS, filasPorBloque);
+        const nombreArchivo = `hosts-${listado.resultado.getRedCIDR().replace(/[./]/g, '-')}.csv`;
+
+        this.botonDescargarHosts.disabled = true;
+        try {
+            // La primera parte es el encabezado
+            await this.descargarArchivoPorPartes(nombreArchivo, partes, 'text/csv', escritas => {
+                const direcciones = Math.min((escritas - 1) * filasPorBloque, listado.total);
+                this.notaHosts.textContent = Traductor.t('Generando CSV: {generadas} de {total} direcciones…', {
+                    generadas: Traductor.formatearNumero(direcciones),
+                    total: Traductor.formatearNumero(listado.total)
+                });
+            });
+            this.notaHosts.textContent = Traductor.t('CSV con {total} direcciones generado.', {
+                total: Traductor.formatearNumero(listado.total)
+            });
+        } catch (error) {
+            this.notaHosts.textContent = error.name === 'AbortError'
+                ? Traductor.t('Descarga cancelada.')
+                : Traductor.t('No se pudo generar el CSV: {mensaje}', { mensaje: error.message });
+        } finally {
+            this.botonDescargarHosts.disabled = false;
+        }
+    }
+
+    /**
+     * Obtiene las subredes IPv4 mostradas actualmente (resultado único o filas de la tabla)
+     * En tablas muy grandes se limita a la página visible
+     * @returns {Array<ResultadoIp>} - Subredes mostradas
+     */
+    obtenerResultadosActuales() {
+        if (this.seccionResultados.style.display === 'block') {
+            return this.resultadoActual ? [this.resultadoActual] : [];
+        }
+
+        if (!this.estadoTabla || this.seccionResultadosMultiples.style.display !== 'block') {
+            return [];
+        }
+
+        const { fuente, pagina } = this.estadoTabla;
+        const filas = fuente.total <= this.maximoSubredesReglas
+            ? fuente.obtenerFilas(0, fuente.total)
+            : fuente.obtenerFilas(pagina * this.filasPorPagina, this.filasPorPagina);
+
+        return filas
+            .map(fila => fila.resultado)
+            .filter(resultado => resultado && resultado.familia === 4);
+    }
+
+    /**
+     * Regenera las reglas con el formato y las opciones seleccionadas
+     */
+    actualizarReglas() {
+        const resultados = this.obtenerResultadosActuales();
+        if (resultados.length === 0) {
+            return;
+        }
+
+        this.salidaReglas.value = GeneradorReglas.generar(this.selectorFormatoReglas.value, resultados, {
+            accion: this.selectorAccionReglas.value,
+            idACL: this.entradaIdACL.value,
+            areaOSPF: this.entradaAreaOSPF.value
         });
 
-        // Event listener para validación en tiempo real
-        this.entradaIP.addEventListener('blur', () => {
-            this.validarIPEnTiempoReal();
+        const esTablaParcial = this.estadoTabla &&
+            this.seccionResultadosMultiples.style.display === 'block' &&
+            this.estadoTabla.fuente.total > this.maximoSubredesReglas;
+        this.notaReglas.textContent = esTablaParcial
+            ? Traductor.t('Hay más de {maximo} subredes: las reglas incluyen solo las de la página visible.', {
+                maximo: Traductor.formatearNumero(this.maximoSubredesReglas)
+            })
+            : '';
+    }
+
+    /**
+     * Regenera la configuración de equipos para la subred mostrada
+     */
+    actualizarConfiguracion() {
+        if (!this.resultadoActual) {
+            return;
+        }
+
+        try {
+            this.salidaConfiguracion.value = GeneradorConfiguracion.generar(this.selectorPlataforma.value, this.resultadoActual, {
+                interfaz: this.entradaInterfazConfig.value,
+                vlan: this.entradaVLANConfig.value,
+                descripcion: this.entradaDescripcionConfig.value
+            });
+            this.notaConfiguracion.textContent = '';
+        } catch (error) {
+            this.salidaConfiguracion.value = '';
+            this.notaConfiguracion.textContent = error.message;
+        }
+    }
+
+    /**
+     * Regenera el ámbito DHCP de la subred mostrada con las exclusiones, reservas y opciones indicadas
+     */
+    actualizarDHCP() {
+        if (!this.resultadoActual) {
+            return;
+        }
+
+        const validacion = Validador.validarAmbitoDHCP(this.resultadoActual, {
+            exclusiones: this.entradaExclusionesDHCP.value,
+            reservas: this.entradaReservasDHCP.value,
+            dns: this.entradaDNSDHCP.value,
+            dominio: this.entradaDominioDHCP.value,
+            tiempoConcesion: this.entradaConcesionDHCP.value
         });
+        this.marcarCamposConError(this.camposDHCP, validacion.errores);
+        if (!validacion.esValido) {
+            this.salidaDHCP.value = '';
+            this.notaDHCP.textContent = validacion.mensaje;
+            return;
+        }
+
+        try {
+            const ambito = CalculadoraSubredes.calcularAmbitoDHCP(
+                this.resultadoActual,
+                validacion.exclusiones,
+                validacion.reservas
+            );
+            this.salidaDHCP.value = GeneradorDHCP.generar(this.selectorFormatoDHCP.value, ambito, validacion);
+            this.notaDHCP.textContent = Traductor.t('Pool dinámico: {direcciones} direcciones en {pools} rango(s); ' +
+                                                    '{reservas} reserva(s).', {
+                direcciones: Traductor.formatearNumero(ambito.direccionesDinamicas),
+                pools: ambito.pools.length,
+                reservas: ambito.reservas.length
+            });
+        } catch (error) {
+            this.salidaDHCP.value = '';
+            this.notaDHCP.textContent = error.message;
+        }
+    }
+
+    /**
+     * Regenera las zonas DNS inversas de la subred mostrada con el patrón y los datos del SOA indicados
+     */
+    actualizarZonaInversa() {
+        if (!this.resultadoActual) {
+            return;
+        }
 
-        this.entradaMascara.addEventListener('blur', () => {
-            this.validarMascaraEnTiempoReal();
+        const validacion = Validador.validarZonaInversa({
+            patron: this.entradaPatronPTR.value,
+            servidores: this.entradaServidoresPTR.value,
+            contacto: this.entradaContactoPTR.value,
+            ttl: this.entradaTTLPTR.value
         });
+        this.marcarCamposConError(this.camposZonaInversa, validacion.errores);
+        if (!validacion.esValido) {
+            this.mostrarErrorZonaInversa(validacion.mensaje);
+            return;
+        }
+
+        let zonas;
+        try {
+            zonas = GeneradorDNSInverso.generarZonas(this.resultadoActual, validacion);
+        } catch (error) {
+            // Marcadores del patrón no válidos o subred mayor que un /16
+            this.mostrarErrorZonaInversa(error.message);
+            return;
+        }
+
+        const archivos = zonas.filter(zona => !zona.delegacion);
+        const registros = archivos.reduce((total, zona) => total + zona.registros, 0);
+        const delegacion = zonas.find(zona => zona.delegacion);
+        this.salidaZonaInversa.value = zonas.map(zona => zona.contenido).join('\n\n');
+        const resumen = delegacion
+            ? Traductor.t('{zonas} zona(s) con {registros} registro(s) PTR; al final, los registros de delegación ' +
+                          'para la zona {zona}.', {
+                zonas: archivos.length,
+                registros: Traductor.formatearNumero(registros),
+                zona: delegacion.nombre
+            })
+            : Traductor.t('{zonas} zona(s) con {registros} registro(s) PTR.', {
+                zonas: archivos.length,
+                registros: Traductor.formatearNumero(registros)
+            });
+        this.notaZonaInversa.textContent = resumen +
+            (this.entradaServidoresPTR.value.trim() && this.entradaContactoPTR.value.trim()
+                ? ''
+                : ' ' + Traductor.t('Sustituye los servidores y el contacto de ejemplo (example.net) por los reales.'));
+        this.botonDescargarZonaInversa.disabled = false;
     }
 
     /**
-     * Alterna entre los campos de entrada según el tipo seleccionado
+     * Vacía la zona DNS inversa y muestra el motivo
+     * @param {string} mensaje - Mensaje de error
      */
-    alternarCamposEntrada() {
-        const tipoEntrada = this.selectorTipoEntrada.value;
-        
-        if (tipoEntrada === 'hosts') {
-            this.grupoHosts.style.display = 'block';
-            this.grupoMascara.style.display = 'none';
-            this.entradaHosts.required = true;
-            this.entradaMascara.required = false;
-            this.entradaMascara.value = ''; // Limpiar el campo no usado
-        } else {
-            this.grupoHosts.style.display = 'none';
-            this.grupoMascara.style.display = 'block';
-            this.entradaHosts.required = false;
-            this.entradaMascara.required = true;
-            this.entradaHosts.value = ''; // Limpiar el campo no usado
+    mostrarErrorZonaInversa(mensaje) {
+        this.salidaZonaInversa.value = '';
+        this.notaZonaInversa.textContent = mensaje;
+        this.botonDescargarZonaInversa.disabled = true;
+    }
+
+    /**
+     * Copia un texto al portapapeles e indica el resultado en el botón pulsado
+     * @param {string} texto - Texto a copiar
+     * @param {HTMLButtonElement} boton - Botón que inició la copia
+     */
+    copiarAlPortapapeles(texto, boton) {
+        const textoOriginal = boton.textContent;
+        const indicar = mensaje => {
+            boton.textContent = mensaje;
+            setTimeout(() => {
+                boton.textContent = textoOriginal;
+            }, 1500);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(texto)
+                .then(() => indicar(Traductor.t('¡Copiado!')))
+                .catch(() => indicar(Traductor.t('No se pudo copiar')));
+            return;
         }
-        
-        this.limpiarResultados();
+
+        // Alternativa para navegadores sin API de portapapeles (o páginas abiertas como archivo)
+        const areaTemporal = document.createElement('textarea');
+        areaTemporal.value = texto;
+        document.body.appendChild(areaTemporal);
+        areaTemporal.select();
+        const copiado = document.execCommand('copy');
+        document.body.removeChild(areaTemporal);
+        indicar(Traductor.t(copiado ? '¡Copiado!' : 'No se pudo copiar'));
     }
 
     /**
@@ -101,7 +1578,7 @@ class GestorInterfaz {
     mostrarError(mensaje) {
         this.mensajeError.textContent = mensaje;
         this.mensajeError.style.display = 'block';
-        this.seccionResultados.style.display = 'none';
+        this.mostrarSeccionResultados(null);
         
         // Scroll hacia el error para mejor UX
         this.mensajeError.scrollIntoView({ 
@@ -120,26 +1597,32 @@ class GestorInterfaz {
     /**
      * Muestra los resultados del cálculo en la interfaz
      * @param {ResultadoIp} resultado - Objeto ResultadoIp con los resultados
+     * @param {string} [ipConsultada] - IP ingresada, para el desglose binario (por defecto la IP de red)
      */
-    mostrarResultados(resultado) {
+    mostrarResultados(resultado, ipConsultada = resultado && resultado.networkIP) {
         // Verificar que el resultado sea válido
         if (!resultado || !resultado.esValido()) {
-            this.mostrarError('Error: Los resultados del cálculo no son válidos.');
+            this.mostrarError(Traductor.t('Error: Los resultados del cálculo no son válidos.'));
             return;
         }
 
         // Actualizar elementos con los resultados
+        this.resultadoActual = resultado;
         this.elementoIPRed.textContent = resultado.networkIP;
+        this.elementoRedCIDR.textContent = resultado.getRedCIDR();
         this.elementoMascaraSubred.textContent = resultado.subnetMask;
-        this.elementoIPBroadcast.textContent = resultado.broadcastIP;
+        this.elementoWildcard.textContent = resultado.getWildcard();
+        this.elementoIPBroadcast.textContent = resultado.describirBroadcast();
         this.elementoPrimerHost.textContent = resultado.firstHostIP;
         this.elementoUltimoHost.textContent = resultado.lastHostIP;
         this.elementoGateway.textContent = resultado.gatewayIP;
-        this.elementoTotalHosts.textContent = resultado.totalHosts.toLocaleString();
-        
+        this.elementoTotalHosts.textContent = Traductor.formatearNumero(resultado.totalHosts);
+        this.mostrarClasificacion(ipConsultada);
+        this.mostrarDesgloseBinario(ipConsultada, resultado.subnetMask);
+
         // Mostrar la sección de resultados
         this.ocultarError();
-        this.seccionResultados.style.display = 'block';
+        this.mostrarSeccionResultados(this.seccionResultados);
         
         // Scroll hacia los resultados para mejor UX
         this.seccionResultados.scrollIntoView({ 
@@ -148,12 +1631,427 @@ class GestorInterfaz {
         });
     }
 
+    /**
+     * Muestra el tipo de dirección (bloque de propósito especial) como una insignia
+     * @param {string} ip - Dirección IP consultada
+     */
+    mostrarClasificacion(ip) {
+        const clasificacion = ClasificadorDirecciones.clasificar(ip);
+        const siNo = valor => Traductor.t(valor ? 'Sí' : 'No');
+        // Los nombres del registro de bloques están en español y se traducen al mostrarlos
+        const nombre = Traductor.t(clasificacion.nombre);
+
+        this.insigniaClasificacion.className = `address-badge badge-${clasificacion.tipo}`;
+        this.insigniaClasificacion.textContent = clasificacion.bloque
+            ? `${nombre} · ${clasificacion.bloque} (${clasificacion.rfc})`
+            : nombre;
+        this.insigniaClasificacion.title = clasificacion.contenidaEn.length > 0
+            ? Traductor.t('También dentro de {bloques}', { bloques: clasificacion.contenidaEn.join(', ') })
+            : '';
+        this.indicadoresClasificacion.textContent = [
+            Traductor.t('Origen válido: {valor}', { valor: siNo(clasificacion.origen) }),
+            Traductor.t('Destino válido: {valor}', { valor: siNo(clasificacion.destino) }),
+            Traductor.t('Reenviable: {valor}', { valor: siNo(clasificacion.reenviable) }),
+            Traductor.t('Alcanzable globalmente: {valor}', { valor: siNo(clasificacion.global) })
+        ].join(' · ');
+    }
+
+    /**
+     * Muestra la IP, la máscara, la red y el broadcast en binario y hexadecimal,
+     * resaltando el límite entre la porción de red y la de host
+     * @param {string} ip - Dirección IP consultada
+     * @param {string} mascara - Máscara de subred
+     */
+    mostrarDesgloseBinario(ip, mascara) {
+        const desglose = CalculadoraSubredes.obtenerDesgloseBinario(ip, mascara);
+
+        const filas = desglose.filas.map(fila => {
+            const filaTabla = document.createElement('tr');
+            filaTabla.className = `binary-row-${fila.clave}`;
+
+            const etiqueta = document.createElement('th');
+            etiqueta.textContent = fila.etiqueta;
+
+            const decimal = document.createElement('td');
+            decimal.textContent = fila.direccion;
+
+            // Un span por octeto y por porción (red/host) para resaltar el límite del prefijo
+            const binario = document.createElement('td');
+            binario.className = 'binary-bits';
+            for (let octeto = 0; octeto < 4; octeto++) {
+                if (octeto > 0) {
+                    binario.appendChild(document.createTextNode('.'));
+                }
+                const inicio = octeto * 8;
+                const limite = Math.min(Math.max(desglose.bitsRed, inicio), inicio + 8);
+                [
+                    { bits: fila.binario.slice(inicio, limite), clase: 'bits-network' },
+                    { bits: fila.binario.slice(limite, inicio + 8), clase: 'bits-host' }
+                ].filter(parte => parte.bits).forEach(parte => {
+                    const span = document.createElement('span');
+                    span.className = parte.clase;
+                    span.textContent = parte.bits;
+                    binario.appendChild(span);
+                });
+            }
+
+            const hexadecimal = document.createElement('td');
+            hexadecimal.textContent = fila.hexadecimal;
+
+            filaTabla.append(etiqueta, decimal, binario, hexadecimal);
+            return filaTabla;
+        });
+
+        this.tablaBinaria.querySelector('tbody').replaceChildren(...filas);
+        this.tablaBinaria.querySelector('caption').textContent =
+            Traductor.t('/{prefijo}: {bitsRed} bits de red y {bitsHost} bits de host', {
+                prefijo: desglose.bitsRed,
+                bitsRed: desglose.bitsRed,
+                bitsHost: 32 - desglose.bitsRed
+            });
+    }
+
+    /**
+     * Muestra la división de una red en subredes iguales
+     * @param {object} division - Red principal, total de subredes y función que genera un tramo de ellas
+     */
+    mostrarDivision(division) {
+        const resumen = Traductor.t('Red {red} dividida en {total} subredes /{prefijo}.', {
+            red: division.redPrincipal.getRedCIDR(),
+            total: Traductor.formatearNumero(division.total),
+            prefijo: division.prefijo
+        });
+
+        this.mostrarTablaSubredes({
+            total: division.total,
+            obtenerFilas: (desde, cantidad) =>
+                division.obtenerSubredes(desde, cantidad).map(resultado => ({ resultado: resultado }))
+        }, {
+            titulo: Traductor.t('División en subredes'),
+            resumen: resumen
+        });
+    }
+
+    /**
+     * Muestra el resumen (superred) de una lista de redes
+     * @param {object} resumen - Resultado devuelto por CalculadoraSubredes.resumirRedes
+     */
+    mostrarResumenRutas(resumen) {
+        const porcentajeExtra = (resumen.direccionesExtra / resumen.direccionesResumen * 100).toFixed(2);
+        const textoResumen = Traductor.t('Ruta resumen única: {red} ({direcciones} direcciones, de las cuales ' +
+                                         '{extra} ({porcentaje}%) no estaban en las redes ingresadas). ' +
+                                         'Conjunto mínimo exacto: {prefijos} prefijo(s).', {
+            red: resumen.resumenUnico.getRedCIDR(),
+            direcciones: Traductor.formatearNumero(resumen.direccionesResumen),
+            extra: Traductor.formatearNumero(resumen.direccionesExtra),
+            porcentaje: porcentajeExtra,
+            prefijos: resumen.agregadas.length
+        });
+
+        this.mostrarTablaSubredes(
+            resumen.agregadas.map(resultado => ({ resultado: resultado })),
+            {
+                titulo: Traductor.t('Resumen de rutas'),
+                resumen: textoResumen
+            }
+        );
+    }
+
+    /**
+     * Muestra los bloques CIDR que cubren exactamente un rango de direcciones
+     * @param {Array<ResultadoIp>} bloques - Bloques devueltos por CalculadoraSubredes.rangoACIDR
+     * @param {string} inicio - Primera dirección del rango
+     * @param {string} fin - Última dirección del rango
+     */
+    mostrarRangoCIDR(bloques, inicio, fin) {
+        const direcciones = CalculadoraSubredes.ipANumero(fin) - CalculadoraSubredes.ipANumero(inicio) + 1;
+
+        this.mostrarTablaSubredes(
+            bloques.map(resultado => ({ resultado: resultado })),
+            {
+                titulo: Traductor.t('Rango a bloques CIDR'),
+                resumen: Traductor.t('{inicio} - {fin}: {direcciones} direcciones en {bloques} bloque(s) CIDR.', {
+                    inicio: inicio,
+                    fin: fin,
+                    direcciones: Traductor.formatearNumero(direcciones),
+                    bloques: bloques.length
+                })
+            }
+        );
+    }
+
+    /**
+     * Muestra los rangos de inicio y fin correspondientes a una lista de redes
+     * @param {Array<object>} rangos - Rangos devueltos por CalculadoraSubredes.cidrARangos
+     */
+    mostrarRangos(rangos) {
+        this.mostrarTablaSubredes(rangos, {
+            titulo: Traductor.t('Bloques CIDR a rangos'),
+            resumen: Traductor.t('{rangos} rango(s); las redes contiguas o solapadas se unen en un solo rango.', {
+                rangos: rangos.length
+            }),
+            columnas: [
+                { titulo: Traductor.t('Inicio'), valor: rango => rango.inicio },
+                { titulo: Traductor.t('Fin'), valor: rango => rango.fin },
+                { titulo: Traductor.t('Rango (iprange)'), valor: rango => `${rango.inicio}-${rango.fin}` },
+                { titulo: Traductor.t('Direcciones'), valor: rango => Traductor.formatearNumero(rango.direcciones) }
+            ]
+        });
+    }
+
+    /**
+     * Muestra a qué red pertenece cada IP (coincidencia de prefijo más largo)
+     * @param {Array<object>} pertenencias - Filas {ip, red, coincidencias} por cada IP comprobada
+     */
+    mostrarPertenencia(pertenencias) {
+        const sinRed = pertenencias.filter(pertenencia => !pertenencia.red).length;
+
+        this.mostrarTablaSubredes(pertenencias, {
+            titulo: Traductor.t('Pertenencia de IPs a redes'),
+            resumen: Traductor.t('{comprobadas} dirección(es) comprobada(s); {sinRed} no pertenece(n) a ninguna de las redes.', {
+                comprobadas: pertenencias.length,
+                sinRed: sinRed
+            }),
+            columnas: [
+                { titulo: Traductor.t('IP'), valor: fila => fila.ip },
+                {
+                    titulo: Traductor.t('Red (prefijo más largo)'),
+                    valor: fila => (fila.red ? fila.red.getRedCIDR() : Traductor.t('Ninguna'))
+                },
+                {
+                    titulo: Traductor.t('También contenida en'),
+                    valor: fila => fila.coincidencias.slice(1).map(red => red.getRedCIDR()).join(', ') || '-'
+                }
+            ]
+        });
+    }
+
+    /**
+     * Muestra los pares de redes duplicadas o anidadas
+     * @param {Array<object>} solapamientos - Pares devueltos por CalculadoraSubredes.detectarSolapamientos
+     * @param {number} totalRedes - Número de redes comprobadas
+     */
+    mostrarSolapamientos(solapamientos, totalRedes) {
+        const resumen = solapamientos.length === 0
+            ? Traductor.t('Sin solapamientos: las {redes} redes son disjuntas.', { redes: totalRedes })
+            : Traductor.t('Se encontraron {solapamientos} solapamiento(s) entre {redes} redes.', {
+                solapamientos: solapamientos.length,
+                redes: totalRedes
+            });
+
+        this.mostrarTablaSubredes(solapamientos, {
+            titulo: Traductor.t('Solapamientos entre redes'),
+            resumen: resumen,
+            columnas: [
+                { titulo: Traductor.t('Red'), valor: fila => fila.redA.getRedCIDR() },
+                { titulo: Traductor.t('Red en conflicto'), valor: fila => fila.redB.getRedCIDR() },
+                {
+                    titulo: Traductor.t('Relación'),
+                    valor: fila => (fila.relacion === 'duplicada'
+                        ? Traductor.t('Duplicada')
+                        : Traductor.t('{red} está dentro de {otraRed}', {
+                            red: fila.redB.getRedCIDR(),
+                            otraRed: fila.redA.getRedCIDR()
+                        }))
+                }
+            ]
+        });
+    }
+
     /**
      * Limpia los resultados y oculta la sección de resultados
      */
     limpiarResultados() {
-        this.seccionResultados.style.display = 'none';
+        this.mostrarSeccionResultados(null);
+        this.ocultarError();
+    }
+
+    /**
+     * Muestra los resultados del cálculo de un prefijo IPv6
+     * @param {ResultadoIpv6} resultado - Objeto ResultadoIpv6 con los resultados
+     */
+    mostrarResultadosIPv6(resultado) {
+        if (!resultado || !resultado.esValido()) {
+            this.mostrarError(Traductor.t('Error: Los resultados del cálculo no son válidos.'));
+            return;
+        }
+
+        this.elementoPrefijoIPv6.textContent = resultado.getRedCIDR();
+        this.elementoRedExpandidaIPv6.textContent = CalculadoraIPv6.expandirIPv6(resultado.networkIP);
+        this.elementoPrimeraIPv6.textContent = resultado.firstIP;
+        this.elementoUltimaIPv6.textContent = resultado.lastIP;
+        this.elementoUltimaExpandidaIPv6.textContent = CalculadoraIPv6.expandirIPv6(resultado.lastIP);
+        this.elementoTotalDireccionesIPv6.textContent = Traductor.formatearNumero(resultado.totalAddresses);
+        this.elementoSubredes64IPv6.textContent = resultado.prefixLength <= 64
+            ? Traductor.formatearNumero(resultado.getSubredes64())
+            : Traductor.t('No aplica (prefijo mayor que /64)');
+
+        this.resultadoIPv6Actual = resultado;
+        this.ocultarError();
+        this.mostrarSeccionResultados(this.seccionResultadosIPv6);
+
+        this.seccionResultadosIPv6.scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    /**
+     * Muestra una tabla con varias subredes calculadas, paginada para listas grandes
+     * @param {Array<object>|object} filas - Filas con {resultado, nombre?, hostsRequeridos?}
+     *        o una fuente paginada {total, obtenerFilas(desde, cantidad)} que las genera bajo demanda
+     * @param {object} opciones - Título, resumen, espacio libre (ResultadoIp[]) y, para filas que
+     *        no son subredes, columnas propias ({titulo, valor(fila)}) a mostrar
+     */
+    mostrarTablaSubredes(filas, opciones = {}) {
+        const fuente = Array.isArray(filas)
+            ? { total: filas.length, obtenerFilas: (desde, cantidad) => filas.slice(desde, desde + cantidad) }
+            : filas;
+
+        // Las columnas opcionales se deciden con la primera fila
+        const [primeraFila = {}] = fuente.obtenerFilas(0, 1);
+
+        const columnas = opciones.columnas || this.obtenerColumnasSubredes(primeraFila);
+
+        // Encabezado
+        const encabezado = this.tablaSubredes.querySelector('thead');
+        const filaEncabezado = document.createElement('tr');
+        columnas.forEach(columna => {
+            const celda = document.createElement('th');
+            celda.textContent = columna.titulo;
+            filaEncabezado.appendChild(celda);
+        });
+        encabezado.replaceChildren(filaEncabezado);
+
+        // Solo se genera y dibuja la página visible
+        this.estadoTabla = { fuente: fuente, columnas: columnas, pagina: 0, titulo: opciones.titulo || Traductor.t('Subredes') };
+        this.renderizarPaginaTabla();
+
+        this.tituloResultadosMultiples.textContent = this.estadoTabla.titulo;
+        this.resumenResultadosMultiples.textContent = opciones.resumen || '';
+
+        // Espacio libre restante (solo en modos que lo calculan)
+        const espacioLibre = opciones.espacioLibre || [];
+        this.listaEspacioLibre.replaceChildren(...espacioLibre.map(bloque => {
+            const elemento = document.createElement('li');
+            elemento.textContent = `${bloque.getRedCIDR()} (${bloque.networkIP} - ${bloque.broadcastIP})`;
+            return elemento;
+        }));
+        this.contenedorEspacioLibre.style.display = espacioLibre.length > 0 ? 'block' : 'none';
+
+        // Mostrar la sección de resultados múltiples
         this.ocultarError();
+        this.mostrarSeccionResultados(this.seccionResultadosMultiples);
+
+        this.seccionResultadosMultiples.scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+    }
+
+    /**
+     * Obtiene las columnas de la tabla para filas de subredes (IPv4 o IPv6)
+     * @param {object} primeraFila - Fila de ejemplo para decidir las columnas opcionales
+     * @returns {Array<object>} - Columnas {titulo, valor(fila)}
+     */
+    obtenerColumnasSubredes(primeraFila) {
+        const columnas = [];
+        if (primeraFila.nombre !== undefined) {
+            columnas.push({ titulo: Traductor.t('Segmento'), valor: fila => fila.nombre });
+        }
+        if (primeraFila.hostsRequeridos !== undefined) {
+            columnas.push({ titulo: Traductor.t('Hosts req.'), valor: fila => Traductor.formatearNumero(fila.hostsRequeridos) });
+        }
+        if (primeraFila.resultado && primeraFila.resultado.familia === 6) {
+            columnas.push(
+                { titulo: Traductor.t('Prefijo'), valor: fila => fila.resultado.getRedCIDR() },
+                { titulo: Traductor.t('Primera dirección'), valor: fila => fila.resultado.firstIP },
+                { titulo: Traductor.t('Última dirección'), valor: fila => fila.resultado.lastIP },
+                { titulo: Traductor.t('Direcciones'), valor: fila => Traductor.formatearNumero(fila.resultado.totalAddresses) }
+            );
+        } else {
+            columnas.push(
+                { titulo: Traductor.t('Red'), valor: fila => fila.resultado.getRedCIDR() },
+                { titulo: Traductor.t('Máscara'), valor: fila => fila.resultado.subnetMask },
+                { titulo: Traductor.t('Broadcast'), valor: fila => fila.resultado.describirBroadcast() },
+                { titulo: Traductor.t('Rango de hosts'), valor: fila => fila.resultado.getRangoHosts() },
+                { titulo: Traductor.t('Gateway'), valor: fila => fila.resultado.gatewayIP },
+                { titulo: Traductor.t('Hosts disp.'), valor: fila => Traductor.formatearNumero(fila.resultado.totalHosts) }
+            );
+        }
+
+        return columnas;
+    }
+
+    /**
+     * Dibuja la página actual de la tabla de subredes y actualiza los controles de paginación
+     */
+    renderizarPaginaTabla() {
+        const { fuente, columnas, pagina } = this.estadoTabla;
+        const totalPaginas = Math.max(1, Math.ceil(fuente.total / this.filasPorPagina));
+
+        // Cuerpo (textContent evita interpretar como HTML los nombres ingresados)
+        const cuerpo = this.tablaSubredes.querySelector('tbody');
+        const fragmento = document.createDocumentFragment();
+        fuente.obtenerFilas(pagina * this.filasPorPagina, this.filasPorPagina).forEach(fila => {
+            const filaTabla = document.createElement('tr');
+            columnas.forEach(columna => {
+                const celda = document.createElement('td');
+                celda.textContent = columna.valor(fila);
+                filaTabla.appendChild(celda);
+            });
+            fragmento.appendChild(filaTabla);
+        });
+        cuerpo.replaceChildren(fragmento);
+
+        this.paginacionTabla.style.display = totalPaginas > 1 ? 'flex' : 'none';
+        this.entradaPagina.value = pagina + 1;
+        this.entradaPagina.max = totalPaginas;
+        this.elementoTotalPaginas.textContent = Traductor.t('{paginas} ({total} subredes)', {
+            paginas: Traductor.formatearNumero(totalPaginas),
+            total: Traductor.formatearNumero(fuente.total)
+        });
+        this.botonPaginaAnterior.disabled = pagina === 0;
+        this.botonPaginaSiguiente.disabled = pagina >= totalPaginas - 1;
+    }
+
+    /**
+     * Cambia la página visible de la tabla de subredes
+     * @param {number} pagina - Índice de la página (empezando en 0)
+     */
+    cambiarPaginaTabla(pagina) {
+        if (!this.estadoTabla) {
+            return;
+        }
+
+        const totalPaginas = Math.max(1, Math.ceil(this.estadoTabla.fuente.total / this.filasPorPagina));
+        const paginaValida = Math.min(Math.max(parseInt(pagina) || 0, 0), totalPaginas - 1);
+
+        this.estadoTabla.pagina = paginaValida;
+        this.renderizarPaginaTabla();
+
+        // En tablas grandes las reglas se generan solo para la página visible
+        if (this.estadoTabla.fuente.total > this.maximoSubredesReglas) {
+            this.actualizarReglas();
+        }
+    }
+
+    /**
+     * Muestra el resultado de un plan VLSM
+     * @param {object} plan - Plan devuelto por CalculadoraSubredes.planificarVLSM
+     */
+    mostrarPlanVLSM(plan) {
+        const resumen = Traductor.t('Red padre {red}: {asignadas} direcciones asignadas, {libres} libres.', {
+            red: plan.redPadre.getRedCIDR(),
+            asignadas: Traductor.formatearNumero(plan.direccionesAsignadas),
+            libres: Traductor.formatearNumero(plan.direccionesLibres)
+        });
+
+        this.mostrarTablaSubredes(plan.subredes, {
+            titulo: Traductor.t('Plan VLSM'),
+            resumen: resumen,
+            espacioLibre: plan.espacioLibre
+        });
     }
 
     /**
@@ -164,48 +2062,106 @@ class GestorInterfaz {
         return {
             ip: this.entradaIP.value.trim(),
             tipoEntrada: this.selectorTipoEntrada.value,
-            numeroHosts: parseInt(this.entradaHosts.value.trim()) || 0,
-            mascara: this.entradaMascara.value.trim()
+            numeroHosts: this.entradaHosts.value.trim(),
+            usarPuntoAPunto: this.casillaPuntoAPunto.checked,
+            politicaGateway: this.obtenerPoliticaGateway(),
+            mascara: this.entradaMascara.value.trim(),
+            numeroSubredes: this.entradaSubredes.value.trim(),
+            familia: this.familiaActual,
+            nuevoPrefijo: this.entradaNuevoPrefijo.value.trim() || '64',
+            segmentos: this.entradaSegmentos.value,
+            inicioRango: this.entradaInicioRango.value.trim(),
+            finRango: this.entradaFinRango.value.trim(),
+            ips: this.entradaIPs.value,
+            redes: this.entradaRedes.value
         };
     }
 
     /**
-     * Valida la IP en tiempo real (cuando el usuario sale del campo)
+     * Valida el formulario mientras se escribe y muestra junto a cada campo su error
+     * Los campos vacíos no se marcan hasta que se pulsa Calcular
      */
-    validarIPEnTiempoReal() {
-        const ip = this.entradaIP.value.trim();
-        if (ip && !Validador.esDireccionIPValida(ip)) {
-            this.entradaIP.style.borderColor = '#e74c3c';
-            this.entradaIP.style.backgroundColor = '#fdf2f2';
-        } else {
-            this.entradaIP.style.borderColor = '#e1e5e9';
-            this.entradaIP.style.backgroundColor = '#fafbfc';
+    validarEnTiempoReal() {
+        const datos = this.obtenerDatosFormulario();
+        const validaciones = [];
+        if (['hosts', 'mask', 'split', 'vlsm'].includes(datos.tipoEntrada)) {
+            validaciones.push(datos.familia === 6
+                ? Validador.validarEntradaIPv6(datos.ip, datos.tipoEntrada, datos.mascara, datos.nuevoPrefijo)
+                : Validador.validarEntradaCompleta(datos.ip, datos.tipoEntrada, datos.mascara,
+                                                   datos.numeroHosts, datos.numeroSubredes, datos.segmentos));
+            if (datos.familia === 4) {
+                validaciones.push(Validador.validarPoliticaGateway(datos.politicaGateway));
+            }
+        }
+        if (datos.tipoEntrada === 'range-to-cidr') {
+            validaciones.push(Validador.validarRango(datos.inicioRango, datos.finRango));
+        }
+        if (datos.tipoEntrada === 'membership') {
+            validaciones.push(Validador.validarListaIPs(datos.ips));
         }
+        if (['summarize', 'cidr-to-range', 'membership', 'overlaps'].includes(datos.tipoEntrada)) {
+            validaciones.push(Validador.validarListaRedes(datos.redes));
+        }
+
+        this.mostrarErroresCampos(validaciones
+            .reduce((errores, validacion) => errores.concat(validacion.errores), [])
+            .filter(error => {
+                const campo = this.camposValidados[error.campo];
+                return campo && campo.entrada.value.trim() !== '';
+            }));
     }
 
     /**
-     * Valida la máscara en tiempo real (cuando el usuario sale del campo)
+     * Muestra junto a cada campo el primer error que le corresponde y limpia los demás campos
+     * @param {Array<object>} errores - Errores de Validador {codigo, campo, mensaje, detalles}
      */
-    validarMascaraEnTiempoReal() {
-        const mascara = this.entradaMascara.value.trim();
-        if (mascara && !Validador.esMascaraSubredValida(mascara)) {
-            this.entradaMascara.style.borderColor = '#e74c3c';
-            this.entradaMascara.style.backgroundColor = '#fdf2f2';
-        } else {
-            this.entradaMascara.style.borderColor = '#e1e5e9';
-            this.entradaMascara.style.backgroundColor = '#fafbfc';
-        }
+    mostrarErroresCampos(errores) {
+        Object.keys(this.camposValidados).forEach(nombre => {
+            const { entrada, mensaje } = this.camposValidados[nombre];
+            const error = errores.find(errorCampo => errorCampo.campo === nombre);
+            mensaje.textContent = error ? error.mensaje : '';
+            entrada.style.borderColor = error ? '#e74c3c' : '#e1e5e9';
+            entrada.style.backgroundColor = error ? '#fdf2f2' : '#fafbfc';
+            entrada.setAttribute('aria-invalid', error ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * Marca los controles de un panel (DHCP, zona inversa, plan) cuyos campos tienen error y desmarca los demás;
+     * el mensaje se muestra en la nota del panel
+     * @param {object} campos - Controles del panel por nombre de campo
+     * @param {Array<object>} errores - Errores de Validador {codigo, campo, mensaje, detalles}
+     */
+    marcarCamposConError(campos, errores) {
+        Object.entries(campos).forEach(([nombre, entrada]) => {
+            const conError = errores.some(error => error.campo === nombre);
+            entrada.style.borderColor = conError ? '#e74c3c' : '';
+            entrada.style.backgroundColor = conError ? '#fdf2f2' : '';
+            entrada.setAttribute('aria-invalid', conError ? 'true' : 'false');
+        });
     }
 
     /**
      * Resetea los estilos de validación de todos los campos
      */
     resetearEstilosValidacion() {
-        const campos = [this.entradaIP, this.entradaHosts, this.entradaMascara];
+        const campos = [
+            this.entradaIP,
+            this.entradaHosts,
+            this.entradaMascara,
+            this.entradaSubredes,
+            this.entradaNuevoPrefijo,
+            this.entradaSegmentos,
+            this.entradaInicioRango,
+            this.entradaFinRango,
+            this.entradaIPs,
+            this.entradaRedes
+        ];
         campos.forEach(campo => {
             campo.style.borderColor = '#e1e5e9';
             campo.style.backgroundColor = '#fafbfc';
         });
+        this.mostrarErroresCampos([]);
     }
 
     /**
@@ -213,7 +2169,7 @@ class GestorInterfaz {
      */
     mostrarCargando() {
         this.botonCalcular.disabled = true;
-        this.botonCalcular.textContent = 'Calculando...';
+        this.botonCalcular.textContent = Traductor.t('Calculando...');
         this.botonCalcular.style.opacity = '0.7';
     }
 
@@ -222,7 +2178,7 @@ class GestorInterfaz {
      */
     ocultarCargando() {
         this.botonCalcular.disabled = false;
-        this.botonCalcular.textContent = 'Calcular';
+        this.botonCalcular.textContent = Traductor.t('Calcular');
         this.botonCalcular.style.opacity = '1';
     }
 
@@ -235,7 +2191,7 @@ class GestorInterfaz {
         const infoCIDR = document.createElement('div');
         infoCIDR.className = 'info-adicional';
         infoCIDR.innerHTML = `
-            <small><strong>Notación CIDR:</strong> ${resultado.getRedCIDR()}</small>
+            <small><strong>${Traductor.t('Notación CIDR:')}</strong> ${resultado.getRedCIDR()}</small>
         `;
         
         // Insertar después del último elemento de resultados
@@ -287,13 +2243,34 @@ class GestorInterfaz {
         this.resetearEstilosValidacion();
     }
 
+    /**
+     * Muestra la interfaz en el idioma actual: los textos estáticos de la página, los que dependen
+     * del estado del formulario y el selector de idioma. Los resultados, el historial, el árbol y
+     * el plan se vuelven a dibujar desde la aplicación
+     */
+    traducirInterfaz() {
+        document.documentElement.lang = Traductor.idioma;
+        Traductor.traducirDocumento(document);
+        this.mostrarTextosFamilia();
+        this.validarEnTiempoReal();
+        this.botonAgregarRedPlan.textContent = Traductor.t(this.editandoRedPlan ? 'Guardar cambios' : 'Añadir red');
+
+        this.selectorIdioma.replaceChildren(...Traductor.obtenerIdiomas().map(idioma => {
+            const opcion = document.createElement('option');
+            opcion.value = idioma.codigo;
+            opcion.textContent = idioma.nombre;
+            return opcion;
+        }));
+        this.selectorIdioma.value = Traductor.idioma;
+    }
+
     /**
      * Maneja errores de la aplicación y los muestra de forma amigable
      * @param {Error} error - Error capturado
      */
     manejarError(error) {
         console.error('Error en la aplicación:', error);
-        this.mostrarError('Ha ocurrido un error inesperado. Por favor, verifica los datos e intenta nuevamente.');
+        this.mostrarError(Traductor.t('Ha ocurrido un error inesperado. Por favor, verifica los datos e intenta nuevamente.'));
         this.ocultarCargando();
     }
 
@@ -303,11 +2280,7 @@ class GestorInterfaz {
      * @returns {string} - Texto formateado con los resultados
      */
     exportarResultados(resultado) {
-        const fecha = new Date().toLocaleString();
-        return `Calculadora de Subredes IP - Resultados\n` +
-               `Fecha: ${fecha}\n` +
-               `================================\n\n` +
-               resultado.toString();
+        return ExportadorResultados.generar('texto', [{ resultado: resultado }], [], { titulo: Traductor.t('Resultados') });
     }
 }
 
@@ -3,20 +3,79 @@
  * Contiene todas las funciones de validación para direcciones IP y máscaras de subred
  */
 class Validador {
+    /**
+     * Número máximo de hosts que se pueden pedir (los de un /8)
+     * @returns {number} - Máximo de hosts
+     */
+    static get MAXIMO_HOSTS() {
+        return 16777214;
+    }
+
+    /**
+     * Códigos de los errores de validación (campo codigo de obtenerError y de la lista errores de las funciones
+     * validar*). Son estables entre versiones e idiomas: compara con ellos en lugar de con el mensaje.
+     * Los errores de las listas (redes, segmentos, IPs) llevan además la línea o la posición en sus detalles
+     * @returns {object} - Códigos por nombre; el comentario de cada uno indica sus detalles
+     */
+    static get CODIGOS_ERROR() {
+        return Object.freeze({
+            CAMPO_VACIO: 'CAMPO_VACIO',
+            DIRECCION_NO_VALIDA: 'DIRECCION_NO_VALIDA',
+            OCTETOS_NUMERO: 'OCTETOS_NUMERO',                   // {octetos}
+            OCTETO_NO_NUMERICO: 'OCTETO_NO_NUMERICO',           // {posicion, octeto}
+            OCTETO_FUERA_RANGO: 'OCTETO_FUERA_RANGO',           // {posicion, octeto, maximo}
+            IP_NO_ESPECIFICADA: 'IP_NO_ESPECIFICADA',           // 0.0.0.0
+            IP_BROADCAST_GLOBAL: 'IP_BROADCAST_GLOBAL',         // 255.255.255.255
+            IPV6_NO_VALIDA: 'IPV6_NO_VALIDA',
+            IPV6_ZONA: 'IPV6_ZONA',                             // {zona}
+            IPV6_CARACTER_NO_VALIDO: 'IPV6_CARACTER_NO_VALIDO', // {caracter}
+            IPV6_IPV4_EMBEBIDA: 'IPV6_IPV4_EMBEBIDA',           // {ipv4}
+            IPV6_DOBLE_DOS_PUNTOS: 'IPV6_DOBLE_DOS_PUNTOS',
+            IPV6_GRUPO_NO_VALIDO: 'IPV6_GRUPO_NO_VALIDO',       // {posicion, grupo}
+            IPV6_NUMERO_GRUPOS: 'IPV6_NUMERO_GRUPOS',           // {grupos, abreviada}
+            CIDR_VARIAS_BARRAS: 'CIDR_VARIAS_BARRAS',
+            CIDR_SIN_DIRECCION: 'CIDR_SIN_DIRECCION',
+            CIDR_SIN_PREFIJO: 'CIDR_SIN_PREFIJO',
+            PREFIJO_NO_NUMERICO: 'PREFIJO_NO_NUMERICO',         // {prefijo}
+            PREFIJO_FUERA_RANGO: 'PREFIJO_FUERA_RANGO',         // {prefijo, minimo, maximo}
+            MASCARA_NO_VALIDA: 'MASCARA_NO_VALIDA',
+            MASCARA_SIN_BITS_RED: 'MASCARA_SIN_BITS_RED',
+            MASCARA_NO_CONTIGUA: 'MASCARA_NO_CONTIGUA',         // {bit, octeto, binario, sugerencia}
+            PREFIJO_EN_MODO_HOSTS: 'PREFIJO_EN_MODO_HOSTS',     // {prefijo}
+            PREFIJO_NO_COINCIDE: 'PREFIJO_NO_COINCIDE',         // {prefijo, mascara}
+            TIPO_NO_DISPONIBLE: 'TIPO_NO_DISPONIBLE',           // {tipoEntrada}
+            HOSTS_NO_NUMERICO: 'HOSTS_NO_NUMERICO',
+            HOSTS_MINIMO: 'HOSTS_MINIMO',                       // {minimo}
+            HOSTS_MAXIMO: 'HOSTS_MAXIMO',                       // {maximo}
+            SUBREDES_NO_VALIDO: 'SUBREDES_NO_VALIDO',           // {minimo, maximo}
+            RED_NO_VALIDA: 'RED_NO_VALIDA',                     // {red, linea}
+            RANGO_INVERTIDO: 'RANGO_INVERTIDO',                 // {inicio, fin}
+            GATEWAY_NO_VALIDO: 'GATEWAY_NO_VALIDO',             // {politica}
+            GATEWAY_DESPLAZAMIENTO: 'GATEWAY_DESPLAZAMIENTO',   // {desplazamiento, minimo, maximo}
+            MAC_NO_VALIDA: 'MAC_NO_VALIDA',                     // {mac}
+            SEGMENTO_NO_VALIDO: 'SEGMENTO_NO_VALIDO',           // {segmento, linea}
+            VLAN_NO_VALIDA: 'VLAN_NO_VALIDA',                   // {vlan, minimo, maximo}
+            IP_FUERA_DE_SUBRED: 'IP_FUERA_DE_SUBRED',           // {ip, red, primero, ultimo, linea}
+            EXCLUSION_NO_VALIDA: 'EXCLUSION_NO_VALIDA',         // {exclusion, linea}
+            RESERVA_GATEWAY: 'RESERVA_GATEWAY',                 // {ip, linea}
+            NOMBRE_HOST_NO_VALIDO: 'NOMBRE_HOST_NO_VALIDO',     // {nombre, linea}
+            IP_YA_RESERVADA: 'IP_YA_RESERVADA',                 // {ip, linea}
+            MAC_YA_RESERVADA: 'MAC_YA_RESERVADA',               // {mac, linea}
+            DOMINIO_NO_VALIDO: 'DOMINIO_NO_VALIDO',             // {dominio}
+            SERVIDOR_NO_VALIDO: 'SERVIDOR_NO_VALIDO',           // {servidor}
+            CONTACTO_NO_VALIDO: 'CONTACTO_NO_VALIDO',           // {contacto}
+            SEGUNDOS_NO_VALIDO: 'SEGUNDOS_NO_VALIDO',           // {valor, minimo}
+            DATOS_NO_VALIDOS: 'DATOS_NO_VALIDOS'
+        });
+    }
+
     /**
      * Valida si una dirección IP es válida (IPv4)
      * @param {string} ip - Dirección IP a validar
      * @returns {boolean} - True si es válida, false en caso contrario
      */
     static esDireccionIPValida(ip) {
-        if (!ip || typeof ip !== 'string') {
-            return false;
-        }
-
-        // Expresión regular para validar IPv4
-        const ipRegex = /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-        
-        if (!ipRegex.test(ip)) {
+        if (!this.esDireccionIPv4BienFormada(ip)) {
             return false;
         }
 
@@ -36,17 +95,141 @@ class Validador {
         return true;
     }
 
+    /**
+     * Comprueba solo el formato de una dirección IPv4: cuatro octetos entre 0 y 255
+     * A diferencia de esDireccionIPValida, acepta 0.0.0.0 y 255.255.255.255 (p. ej. como extremos de un rango)
+     * @param {string} ip - Dirección IP a comprobar
+     * @returns {boolean} - True si tiene formato de dirección IPv4
+     */
+    static esDireccionIPv4BienFormada(ip) {
+        if (!ip || typeof ip !== 'string') {
+            return false;
+        }
+
+        // Expresión regular para validar IPv4
+        const ipRegex = /^(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.(25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+        return ipRegex.test(ip);
+    }
+
+    /**
+     * Detecta la familia de una dirección a partir de su notación
+     * @param {string} ip - Dirección IP (posiblemente incompleta mientras se escribe)
+     * @returns {number} - 6 si la dirección usa notación IPv6 (contiene ':'), 4 en caso contrario
+     */
+    static detectarFamiliaIP(ip) {
+        return typeof ip === 'string' && ip.includes(':') ? 6 : 4;
+    }
+
+    /**
+     * Valida si una dirección IPv6 es válida (notación comprimida, expandida o con IPv4 embebida)
+     * Los identificadores de zona (ej: fe80::1%eth0) no se admiten
+     * @param {string} ip - Dirección IPv6 a validar
+     * @returns {boolean} - True si es válida, false en caso contrario
+     */
+    static esDireccionIPv6Valida(ip) {
+        if (!ip || typeof ip !== 'string' || !/^[0-9a-fA-F:.]+$/.test(ip)) {
+            return false;
+        }
+
+        // Separar una IPv4 embebida al final (ej: ::ffff:192.168.1.1), que ocupa dos grupos
+        let direccion = ip;
+        let gruposIPv4 = 0;
+        const ipv4Embebida = ip.match(/^(.*:)([^:]*\.[^:]*)$/);
+        if (ipv4Embebida) {
+            const octetos = ipv4Embebida[2].split('.');
+            const ipv4Valida = octetos.length === 4 &&
+                               octetos.every(octeto => /^\d{1,3}$/.test(octeto) && Number(octeto) <= 255);
+            if (!ipv4Valida) {
+                return false;
+            }
+            direccion = ipv4Embebida[1].endsWith('::') ? ipv4Embebida[1] : ipv4Embebida[1].slice(0, -1);
+            gruposIPv4 = 2;
+        }
+
+        const partes = direccion.split('::');
+        if (partes.length > 2) {
+            return false; // "::" solo puede aparecer una vez
+        }
+
+        const grupos = partes
+            .map(parte => (parte === '' ? [] : parte.split(':')))
+            .reduce((todos, gruposParte) => todos.concat(gruposParte), []);
+
+        if (!grupos.every(grupo => /^[0-9a-fA-F]{1,4}$/.test(grupo))) {
+            return false;
+        }
+
+        const totalGrupos = grupos.length + gruposIPv4;
+        return partes.length === 2 ? totalGrupos < 8 : totalGrupos === 8;
+    }
+
+    /**
+     * Valida si una longitud de prefijo IPv6 es válida ("64" o "/64")
+     * @param {string} prefijo - Longitud de prefijo a validar
+     * @returns {boolean} - True si es válida, false en caso contrario
+     */
+    static esPrefijoIPv6Valido(prefijo) {
+        const coincidencia = String(prefijo || '').trim().match(/^\/?(\d{1,3})$/);
+        return Boolean(coincidencia) && Number(coincidencia[1]) <= 128;
+    }
+
+    /**
+     * Separa una entrada en notación CIDR (ej: 192.168.1.100/26) en dirección y prefijo
+     * @param {string} texto - Dirección, con o sin "/prefijo"
+     * @returns {object} - {direccion, prefijo}; prefijo es null si no se indicó "/"
+     */
+    static separarCIDR(texto) {
+        const valor = (texto || '').trim();
+        const indice = valor.indexOf('/');
+
+        if (indice === -1) {
+            return { direccion: valor, prefijo: null };
+        }
+
+        return {
+            direccion: valor.slice(0, indice).trim(),
+            prefijo: valor.slice(indice + 1).trim()
+        };
+    }
+
+    /**
+     * Convierte una máscara escrita como prefijo ("/26" o "26") a formato decimal con puntos
+     * @param {string} mascara - Máscara en formato decimal o como longitud de prefijo
+     * @returns {string|null} - Máscara en formato decimal, o null si el prefijo está fuera de rango (0-32)
+     */
+    static normalizarMascara(mascara) {
+        const valor = (mascara || '').trim();
+        const coincidencia = valor.match(/^\/?(\d{1,3})$/);
+
+        // Cualquier otro formato se devuelve tal cual para validarlo como máscara decimal
+        if (!coincidencia) {
+            return valor;
+        }
+
+        const prefijo = Number(coincidencia[1]);
+        if (prefijo > 32) {
+            return null;
+        }
+
+        const mascaraNum = prefijo === 0 ? 0 : (~0 << (32 - prefijo)) >>> 0;
+        return [24, 16, 8, 0].map(desplazamiento => (mascaraNum >>> desplazamiento) & 255).join('.');
+    }
+
     /**
      * Valida si una máscara de subred es válida
+     * Acepta formato decimal (255.255.255.192) o longitud de prefijo ("/26" o "26")
      * @param {string} mascara - Máscara de subred a validar
      * @returns {boolean} - True si es válida, false en caso contrario
      */
     static esMascaraSubredValida(mascara) {
-        if (!this.esDireccionIPValida(mascara)) {
+        const mascaraDecimal = this.normalizarMascara(mascara);
+
+        // 255.255.255.255 (/32, una sola dirección) es una máscara válida aunque no sea una IP de host
+        if (mascaraDecimal !== '255.255.255.255' && !this.esDireccionIPValida(mascaraDecimal)) {
             return false;
         }
         
-        const octetos = mascara.split('.').map(Number);
+        const octetos = mascaraDecimal.split('.').map(Number);
         const mascaraBinaria = octetos.map(octeto => 
             octeto.toString(2).padStart(8, '0')
         ).join('');
@@ -70,7 +253,7 @@ class Validador {
         }
 
         // Verificar que no exceda el máximo teórico (2^24 - 2)
-        if (numHosts > 16777214) {
+        if (numHosts > this.MAXIMO_HOSTS) {
             return false;
         }
 
@@ -78,39 +261,69 @@ class Validador {
     }
 
     /**
-     * Valida si una IP está en el rango de direcciones privadas
-     * @param {string} ip - Dirección IP a verificar
-     * @returns {boolean} - True si es privada, false si es pública
+     * Valida si el número de subredes a crear es válido
+     * @param {number|string} subredes - Número de subredes a validar
+     * @returns {boolean} - True si es válido, false en caso contrario
      */
-    static esIPPrivada(ip) {
-        if (!this.esDireccionIPValida(ip)) {
-            return false;
-        }
+    static esNumeroSubredesValido(subredes) {
+        const numSubredes = Number(subredes);
 
-        const octetos = ip.split('.').map(Number);
-        const [a, b, c, d] = octetos;
+        // Debe ser un entero entre 1 y 2^31 (máximo de subredes /32 dentro de una /1)
+        return Number.isInteger(numSubredes) && numSubredes >= 1 && numSubredes <= 2147483648;
+    }
 
-        // Clase A privada: 10.0.0.0/8
-        if (a === 10) {
-            return true;
-        }
+    /**
+     * Valida un ID de VLAN (802.1Q)
+     * @param {number|string} vlan - ID de VLAN
+     * @returns {boolean} - True si es un entero entre 1 y 4094
+     */
+    static esIDVLANValido(vlan) {
+        const texto = String(vlan).trim();
+        return /^\d+$/.test(texto) && Number(texto) >= 1 && Number(texto) <= 4094;
+    }
 
-        // Clase B privada: 172.16.0.0/12
-        if (a === 172 && b >= 16 && b <= 31) {
-            return true;
-        }
+    /**
+     * Valida una dirección MAC (separada por ':' o '-', o en notación de Cisco aaaa.bbbb.cccc)
+     * @param {string} mac - Dirección MAC
+     * @returns {boolean} - True si es válida
+     */
+    static esDireccionMACValida(mac) {
+        return typeof mac === 'string' &&
+            /^([0-9a-fA-F]{2}[:-]){5}[0-9a-fA-F]{2}$|^([0-9a-fA-F]{4}\.){2}[0-9a-fA-F]{4}$/.test(mac.trim());
+    }
 
-        // Clase C privada: 192.168.0.0/16
-        if (a === 192 && b === 168) {
-            return true;
-        }
+    /**
+     * Valida un nombre de dominio (etiquetas de letras sin acentos, números y "-", separadas por puntos)
+     * @param {string} nombre - Nombre de dominio, con o sin punto final
+     * @returns {boolean} - True si es válido
+     */
+    static esNombreDominioValido(nombre) {
+        return typeof nombre === 'string' &&
+            /^(?=.{1,253}\.?$)([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)*[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.?$/.test(nombre);
+    }
 
-        // Loopback: 127.0.0.0/8
-        if (a === 127) {
-            return true;
+    /**
+     * Normaliza una dirección MAC válida al formato aa:bb:cc:dd:ee:ff
+     * @param {string} mac - Dirección MAC válida
+     * @returns {string} - MAC normalizada
+     */
+    static normalizarMAC(mac) {
+        return mac.trim().toLowerCase().replace(/[^0-9a-f]/g, '').match(/.{2}/g).join(':');
+    }
+
+    /**
+     * Valida si una IP está en un rango de uso privado (RFC 1918).
+     * Loopback, CGNAT, enlace local y el resto de bloques especiales no se consideran privados:
+     * para ellos usar ClasificadorDirecciones.clasificar
+     * @param {string} ip - Dirección IP a verificar
+     * @returns {boolean} - True si es privada, false en caso contrario
+     */
+    static esIPPrivada(ip) {
+        if (!this.esDireccionIPValida(ip)) {
+            return false;
         }
 
-        return false;
+        return ClasificadorDirecciones.esPrivada(ip);
     }
 
     /**
@@ -171,88 +384,1077 @@ class Validador {
     }
 
     /**
-     * Obtiene mensajes de error específicos para validaciones fallidas
-     * @param {string} tipo - Tipo de validación ('ip', 'mascara', 'hosts')
-     * @param {string} valor - Valor que falló la validación
-     * @returns {string} - Mensaje de error descriptivo
+     * Obtiene el error que explica por qué un valor no pasó su validación
+     * Se llama con valores ya rechazados por la validación correspondiente (esDireccionIPValida,
+     * esMascaraSubredValida, esNumeroHostsValido…); si no encuentra una causa concreta devuelve el error genérico del tipo
+     * @param {string} tipo - Tipo de validación ('ip', 'ipv6', 'prefijo', 'mascara', 'subredes', 'hosts',
+     *                        'redes', 'ips', 'gateway', 'mac' o 'segmentos')
+     * @param {string|number} valor - Valor que falló la validación
+     * @param {string} campo - Campo del formulario al que se atribuye el error (por defecto, el tipo)
+     * @returns {object} - Error {codigo, campo, mensaje, detalles}; el código es uno de CODIGOS_ERROR
      */
-    static obtenerMensajeError(tipo, valor) {
+    static obtenerError(tipo, valor, campo = tipo) {
+        const codigos = this.CODIGOS_ERROR;
+        const texto = valor === null || valor === undefined ? '' : String(valor).trim();
+        const error = (codigo, mensaje, detalles) => this._crearError(campo, codigo, mensaje, detalles);
+
         switch (tipo) {
             case 'ip':
-                if (!valor || valor.trim() === '') {
-                    return 'Por favor, ingresa una dirección IP.';
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa una dirección IP.'));
                 }
-                if (valor === '0.0.0.0') {
-                    return 'La dirección 0.0.0.0 no es válida para cálculos de subred.';
+                if (texto.includes('/')) {
+                    return this._obtenerErrorCIDR(texto, 4, campo);
                 }
-                if (valor === '255.255.255.255') {
-                    return 'La dirección 255.255.255.255 es una dirección de broadcast global.';
+                return this._obtenerErrorIPv4(texto, campo);
+
+            case 'ipv6':
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa una dirección IPv6.'));
+                }
+                if (texto.includes('/')) {
+                    return this._obtenerErrorCIDR(texto, 6, campo);
+                }
+                return this._obtenerErrorIPv6(texto, campo);
+
+            case 'prefijo':
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa la longitud de prefijo (ej: 64).'));
+                }
+                if (/^\/?\d+$/.test(texto)) {
+                    return error(codigos.PREFIJO_FUERA_RANGO, Traductor.t('La longitud de prefijo IPv6 debe ser un número entre 0 y 128 (ej: 48 o /48).'),
+                        { prefijo: Number(texto.replace('/', '')), minimo: 0, maximo: 128 });
                 }
-                return 'Por favor, ingresa una dirección IP válida (ej: 192.168.1.100).';
-                
+                return error(codigos.PREFIJO_NO_NUMERICO, Traductor.t('La longitud de prefijo IPv6 debe ser un número entre 0 y 128 (ej: 48 o /48).'),
+                    { prefijo: texto });
+
             case 'mascara':
-                if (!valor || valor.trim() === '') {
-                    return 'Por favor, ingresa una máscara de subred.';
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa una máscara de subred.'));
                 }
-                return 'Por favor, ingresa una máscara de subred válida (ej: 255.255.255.0).';
-                
-            case 'hosts':
-                if (!valor || valor.trim() === '') {
-                    return 'Por favor, ingresa el número de hosts.';
+                return this._obtenerErrorMascara(texto, campo);
+
+            case 'subredes':
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa el número de subredes.'));
+                }
+                return error(codigos.SUBREDES_NO_VALIDO, Traductor.t('Por favor, ingresa un número entero de subredes (mínimo 1).'),
+                    { minimo: 1, maximo: 2147483648 });
+
+            case 'redes':
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa al menos una red (ej: 192.168.1.0/24).'));
+                }
+                return error(codigos.RED_NO_VALIDA, Traductor.t('Red no válida: "{red}". Usa "IP/prefijo" o "IP máscara" ' +
+                                                         '(ej: 192.168.1.0/24 o 192.168.1.0 255.255.255.0).', { red: valor }),
+                    { red: valor });
+
+            case 'ips': {
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa al menos una dirección IP.'));
+                }
+                const errorIP = this.obtenerError('ip', valor, campo);
+                return error(errorIP.codigo, Traductor.t('Dirección no válida: "{ip}". {mensaje}', {
+                    ip: valor,
+                    mensaje: errorIP.mensaje
+                }), { ...errorIP.detalles, ip: valor });
+            }
+
+            case 'gateway':
+                return error(codigos.GATEWAY_NO_VALIDO, Traductor.t('Política de gateway no válida: "{politica}". Usa primero, ultimo, red+N o broadcast-N ' +
+                                                             '(ej: red+1 para .1 o broadcast-1 para .254 en una /24).', { politica: valor }),
+                    { politica: valor });
+
+            case 'mac':
+                return error(codigos.MAC_NO_VALIDA, Traductor.t('Dirección MAC no válida: "{mac}". Usa el formato aa:bb:cc:dd:ee:ff.', { mac: valor }),
+                    { mac: valor });
+
+            case 'segmentos':
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa al menos un segmento (ej: Ventas, 50).'));
+                }
+                return error(codigos.SEGMENTO_NO_VALIDO, Traductor.t('Segmento no válido: "{segmento}". Usa el formato "nombre, hosts" (ej: Ventas, 50).', {
+                    segmento: valor
+                }), { segmento: valor });
+
+            case 'hosts': {
+                if (texto === '') {
+                    return error(codigos.CAMPO_VACIO, Traductor.t('Por favor, ingresa el número de hosts.'));
+                }
+                const numHosts = parseInt(texto);
+                if (isNaN(numHosts)) {
+                    return error(codigos.HOSTS_NO_NUMERICO, Traductor.t('Por favor, ingresa un número válido de hosts (mínimo 1).'));
                 }
-                const numHosts = parseInt(valor);
                 if (numHosts < 1) {
-                    return 'El número de hosts debe ser mayor a 0.';
+                    return error(codigos.HOSTS_MINIMO, Traductor.t('El número de hosts debe ser mayor a 0.'), { minimo: 1 });
                 }
-                if (numHosts > 16777214) {
-                    return 'El número de hosts es demasiado grande (máximo: 16,777,214).';
+                if (numHosts > this.MAXIMO_HOSTS) {
+                    return error(codigos.HOSTS_MAXIMO, Traductor.t('El número de hosts es demasiado grande (máximo: {maximo}).', {
+                        maximo: Traductor.formatearNumero(this.MAXIMO_HOSTS)
+                    }), { maximo: this.MAXIMO_HOSTS });
                 }
-                return 'Por favor, ingresa un número válido de hosts (mínimo 1).';
-                
+                return error(codigos.HOSTS_NO_NUMERICO, Traductor.t('Por favor, ingresa un número válido de hosts (mínimo 1).'));
+            }
+
             default:
-                return 'Error en la validación de datos.';
+                return error(codigos.DATOS_NO_VALIDOS, Traductor.t('Error en la validación de datos.'));
+        }
+    }
+
+    /**
+     * Obtiene un mensaje de error específico para una validación fallida
+     * @param {string} tipo - Tipo de validación (ver obtenerError)
+     * @param {string|number} valor - Valor que falló la validación
+     * @returns {string} - Mensaje de error descriptivo
+     */
+    static obtenerMensajeError(tipo, valor) {
+        return this.obtenerError(tipo, valor).mensaje;
+    }
+
+    /**
+     * Crea un error de validación
+     * @param {string} campo - Campo del formulario al que se atribuye
+     * @param {string} codigo - Código estable (un valor de CODIGOS_ERROR)
+     * @param {string} mensaje - Mensaje para el usuario en el idioma actual
+     * @param {object} detalles - Datos del error para quien lo trate por código (ej: {posicion, octeto})
+     * @returns {object} - Error {codigo, campo, mensaje, detalles}
+     * @throws {Error} - Si el código no está en CODIGOS_ERROR (p. ej. un nombre mal escrito, que daría undefined)
+     * @private
+     */
+    static _crearError(campo, codigo, mensaje, detalles = {}) {
+        if (!Object.values(this.CODIGOS_ERROR).includes(codigo)) {
+            throw new Error(Traductor.t('Código de error de validación desconocido: {codigo}', { codigo: codigo }));
+        }
+        return { codigo: codigo, campo: campo, mensaje: mensaje, detalles: detalles };
+    }
+
+    /**
+     * Busca el primer octeto que no es un número entre 0 y 255
+     * @param {Array<string>} octetos - Octetos tal como se escribieron
+     * @param {string} valor - Dirección o máscara completa
+     * @param {string} campo - Campo del formulario
+     * @returns {object|null} - Error OCTETO_NO_NUMERICO u OCTETO_FUERA_RANGO, o null si todos son válidos
+     * @private
+     */
+    static _obtenerErrorOctetos(octetos, valor, campo) {
+        const codigos = this.CODIGOS_ERROR;
+        for (let indice = 0; indice < octetos.length; indice++) {
+            const octeto = octetos[indice];
+            const posicion = indice + 1;
+            if (!/^\d{1,3}$/.test(octeto)) {
+                return this._crearError(campo, codigos.OCTETO_NO_NUMERICO, Traductor.t(
+                    'El octeto {posicion} ("{octeto}") de "{valor}" no es un número entre 0 y 255.', {
+                        posicion: posicion,
+                        octeto: octeto,
+                        valor: valor
+                    }), { posicion: posicion, octeto: octeto });
+            }
+            if (Number(octeto) > 255) {
+                return this._crearError(campo, codigos.OCTETO_FUERA_RANGO, Traductor.t(
+                    'El octeto {posicion} de "{valor}" vale {octeto} y debe estar entre 0 y 255.', {
+                        posicion: posicion,
+                        octeto: octeto,
+                        valor: valor
+                    }), { posicion: posicion, octeto: Number(octeto), maximo: 255 });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Obtiene el error de una dirección IPv4 sin prefijo: número de octetos, octeto no válido o dirección reservada
+     * @param {string} valor - Dirección IPv4 no válida
+     * @param {string} campo - Campo del formulario
+     * @returns {object} - Error de validación
+     * @private
+     */
+    static _obtenerErrorIPv4(valor, campo) {
+        const codigos = this.CODIGOS_ERROR;
+        const octetos = valor.split('.');
+
+        if (octetos.length !== 4) {
+            if (!/^[\d.]+$/.test(valor)) {
+                return this._crearError(campo, codigos.DIRECCION_NO_VALIDA,
+                    Traductor.t('Por favor, ingresa una dirección IP válida (ej: 192.168.1.100).'));
+            }
+            return this._crearError(campo, codigos.OCTETOS_NUMERO, Traductor.t(
+                'La dirección "{valor}" debe tener 4 octetos separados por puntos y tiene {octetos} (ej: 192.168.1.100).', {
+                    valor: valor,
+                    octetos: octetos.length
+                }), { octetos: octetos.length });
+        }
+
+        const errorOcteto = this._obtenerErrorOctetos(octetos, valor, campo);
+        if (errorOcteto) {
+            return errorOcteto;
+        }
+        if (octetos.every(octeto => Number(octeto) === 0)) {
+            return this._crearError(campo, codigos.IP_NO_ESPECIFICADA,
+                Traductor.t('La dirección 0.0.0.0 no es válida para cálculos de subred.'));
+        }
+        if (octetos.every(octeto => Number(octeto) === 255)) {
+            return this._crearError(campo, codigos.IP_BROADCAST_GLOBAL,
+                Traductor.t('La dirección 255.255.255.255 es una dirección de broadcast global.'));
+        }
+        return this._crearError(campo, codigos.DIRECCION_NO_VALIDA,
+            Traductor.t('Por favor, ingresa una dirección IP válida (ej: 192.168.1.100).'));
+    }
+
+    /**
+     * Obtiene el error de una dirección IPv6 sin prefijo, siguiendo los mismos pasos que esDireccionIPv6Valida
+     * @param {string} valor - Dirección IPv6 no válida
+     * @param {string} campo - Campo del formulario
+     * @returns {object} - Error de validación
+     * @private
+     */
+    static _obtenerErrorIPv6(valor, campo) {
+        const codigos = this.CODIGOS_ERROR;
+        const error = (codigo, mensaje, detalles) => this._crearError(campo, codigo, mensaje, detalles);
+
+        if (valor.includes('%')) {
+            const zona = valor.slice(valor.indexOf('%'));
+            return error(codigos.IPV6_ZONA, Traductor.t('Los identificadores de zona no se admiten: elimina "{zona}" de la dirección.', {
+                zona: zona
+            }), { zona: zona });
+        }
+
+        const caracter = valor.match(/[^0-9a-fA-F:.]/);
+        if (caracter) {
+            return error(codigos.IPV6_CARACTER_NO_VALIDO, Traductor.t(
+                'El carácter "{caracter}" no es válido en una dirección IPv6 (ej: 2001:db8::1).', {
+                    caracter: caracter[0]
+                }), { caracter: caracter[0] });
+        }
+
+        let direccion = valor;
+        let gruposIPv4 = 0;
+        const ipv4Embebida = valor.match(/^(.*:)([^:]*\.[^:]*)$/);
+        if (ipv4Embebida) {
+            const octetos = ipv4Embebida[2].split('.');
+            if (octetos.length !== 4 || this._obtenerErrorOctetos(octetos, ipv4Embebida[2], campo)) {
+                return error(codigos.IPV6_IPV4_EMBEBIDA, Traductor.t('La IPv4 embebida "{ipv4}" de "{valor}" no es válida (ej: ::ffff:192.168.1.1).', {
+                    ipv4: ipv4Embebida[2],
+                    valor: valor
+                }), { ipv4: ipv4Embebida[2] });
+            }
+            direccion = ipv4Embebida[1].endsWith('::') ? ipv4Embebida[1] : ipv4Embebida[1].slice(0, -1);
+            gruposIPv4 = 2;
+        }
+
+        const partes = direccion.split('::');
+        if (partes.length > 2) {
+            return error(codigos.IPV6_DOBLE_DOS_PUNTOS, Traductor.t('Una dirección IPv6 solo puede contener "::" una vez.'));
+        }
+
+        const grupos = partes
+            .map(parte => (parte === '' ? [] : parte.split(':')))
+            .reduce((todos, gruposParte) => todos.concat(gruposParte), []);
+        const indiceGrupo = grupos.findIndex(grupo => !/^[0-9a-fA-F]{1,4}$/.test(grupo));
+        if (indiceGrupo !== -1) {
+            return error(codigos.IPV6_GRUPO_NO_VALIDO, Traductor.t(
+                'El grupo {posicion} ("{grupo}") de "{valor}" no es válido: debe tener de 1 a 4 dígitos hexadecimales.', {
+                    posicion: indiceGrupo + 1,
+                    grupo: grupos[indiceGrupo],
+                    valor: valor
+                }), { posicion: indiceGrupo + 1, grupo: grupos[indiceGrupo] });
+        }
+
+        const totalGrupos = grupos.length + gruposIPv4;
+        const abreviada = partes.length === 2;
+        if (abreviada ? totalGrupos >= 8 : totalGrupos !== 8) {
+            const mensaje = abreviada
+                ? Traductor.t('La dirección "{valor}" tiene {grupos} grupos además de "::", que debe sustituir al menos a uno: ' +
+                              'como máximo pueden ser 7.', { valor: valor, grupos: totalGrupos })
+                : Traductor.t('La dirección "{valor}" tiene {grupos} grupos y una dirección IPv6 completa tiene 8 ' +
+                              '(usa "::" para abreviar los grupos a cero).', { valor: valor, grupos: totalGrupos });
+            return error(codigos.IPV6_NUMERO_GRUPOS, mensaje, { grupos: totalGrupos, abreviada: abreviada });
+        }
+
+        return error(codigos.IPV6_NO_VALIDA, Traductor.t('Por favor, ingresa una dirección IPv6 válida (ej: 2001:db8::1).'));
+    }
+
+    /**
+     * Obtiene el error de una máscara escrita como prefijo o en formato decimal: prefijo fuera de rango,
+     * octeto no válido o bits de red no contiguos (indicando el primer bit que rompe la secuencia)
+     * @param {string} valor - Máscara no válida
+     * @param {string} campo - Campo del formulario
+     * @returns {object} - Error de validación
+     * @private
+     */
+    static _obtenerErrorMascara(valor, campo) {
+        const codigos = this.CODIGOS_ERROR;
+        const error = (codigo, mensaje, detalles) => this._crearError(campo, codigo, mensaje, detalles);
+
+        if (/^\/?\d+$/.test(valor)) {
+            return error(codigos.PREFIJO_FUERA_RANGO, Traductor.t('El prefijo "{prefijo}" está fuera de rango: debe estar entre 1 y 32 (ej: /24).', {
+                prefijo: valor
+            }), { prefijo: Number(valor.replace('/', '')), minimo: 1, maximo: 32 });
+        }
+        if (valor.startsWith('/')) {
+            return error(codigos.PREFIJO_NO_NUMERICO, Traductor.t('El prefijo "{prefijo}" no es válido: después de "/" debe ir un número (ej: /24).', {
+                prefijo: valor
+            }), { prefijo: valor.slice(1) });
+        }
+
+        const octetos = valor.split('.');
+        if (!/^[\d.]+$/.test(valor)) {
+            return error(codigos.MASCARA_NO_VALIDA, Traductor.t('Por favor, ingresa una máscara de subred válida (ej: 255.255.255.0 o /24).'));
+        }
+        if (octetos.length !== 4) {
+            return error(codigos.OCTETOS_NUMERO, Traductor.t(
+                'La máscara "{valor}" debe tener 4 octetos separados por puntos (ej: 255.255.255.0) o ser un prefijo (ej: /24).', {
+                    valor: valor
+                }), { octetos: octetos.length });
+        }
+
+        const errorOcteto = this._obtenerErrorOctetos(octetos, valor, campo);
+        if (errorOcteto) {
+            return errorOcteto;
+        }
+
+        const binario = octetos.map(octeto => Number(octeto).toString(2).padStart(8, '0')).join('');
+        const bitsRed = binario.split('').filter(bit => bit === '1').length;
+        if (bitsRed === 0) {
+            return error(codigos.MASCARA_SIN_BITS_RED, Traductor.t('La máscara {mascara} no tiene bits de red (ej: 255.255.255.0 o /24).', {
+                mascara: valor
+            }));
+        }
+
+        const indiceBit = binario.indexOf('1', binario.indexOf('0'));
+        if (binario.indexOf('0') !== -1 && indiceBit !== -1) {
+            const sugerencia = `${this.normalizarMascara('/' + bitsRed)} (/${bitsRed})`;
+            return error(codigos.MASCARA_NO_CONTIGUA, Traductor.t(
+                'La máscara {mascara} no es contigua: el bit {bit} (octeto {octeto}) vale 1 después de un 0. ' +
+                'Los bits a 1 deben ir seguidos desde la izquierda (ej: {sugerencia}).', {
+                    mascara: valor,
+                    bit: indiceBit + 1,
+                    octeto: Math.floor(indiceBit / 8) + 1,
+                    sugerencia: sugerencia
+                }), { bit: indiceBit + 1, octeto: Math.floor(indiceBit / 8) + 1, binario: binario, sugerencia: sugerencia });
+        }
+
+        return error(codigos.MASCARA_NO_VALIDA, Traductor.t('Por favor, ingresa una máscara de subred válida (ej: 255.255.255.0 o /24).'));
+    }
+
+    /**
+     * Obtiene el error que indica qué parte de una entrada CIDR es incorrecta
+     * @param {string} valor - Entrada en notación CIDR (ej: 192.168.1.0/24)
+     * @param {number} familia - Familia de direcciones (4 o 6)
+     * @param {string} campo - Campo del formulario
+     * @returns {object} - Error de validación
+     * @private
+     */
+    static _obtenerErrorCIDR(valor, familia, campo) {
+        const codigos = this.CODIGOS_ERROR;
+        const { direccion, prefijo } = this.separarCIDR(valor);
+        const prefijoMinimo = familia === 6 ? 0 : 1;
+        const prefijoMaximo = familia === 6 ? 128 : 32;
+        const ejemplo = familia === 6 ? '2001:db8::/48' : '192.168.1.0/24';
+        const error = (codigo, mensaje, detalles) => this._crearError(campo, codigo, mensaje, detalles);
+
+        if (valor.split('/').length > 2) {
+            return error(codigos.CIDR_VARIAS_BARRAS, Traductor.t('La notación CIDR "{valor}" contiene más de una "/" (ej: {ejemplo}).', {
+                valor: valor,
+                ejemplo: ejemplo
+            }));
+        }
+        if (direccion === '') {
+            return error(codigos.CIDR_SIN_DIRECCION, Traductor.t('Falta la dirección antes de "/" en "{valor}" (ej: {ejemplo}).', {
+                valor: valor,
+                ejemplo: ejemplo
+            }));
+        }
+
+        // Una dirección no válida se explica igual que sin prefijo (ej: qué octeto está fuera de rango)
+        const direccionValida = familia === 6
+            ? this.esDireccionIPv6Valida(direccion)
+            : this.esDireccionIPValida(direccion);
+        if (!direccionValida) {
+            return familia === 6 ? this._obtenerErrorIPv6(direccion, campo) : this._obtenerErrorIPv4(direccion, campo);
+        }
+
+        if (prefijo === '') {
+            return error(codigos.CIDR_SIN_PREFIJO, Traductor.t('Falta la longitud de prefijo después de "/" en "{valor}" (ej: {ejemplo}).', {
+                valor: valor,
+                ejemplo: ejemplo
+            }));
         }
+        if (!/^\d+$/.test(prefijo)) {
+            return error(codigos.PREFIJO_NO_NUMERICO, Traductor.t('El prefijo "/{prefijo}" de "{valor}" no es un número (ej: {ejemplo}).', {
+                prefijo: prefijo,
+                valor: valor,
+                ejemplo: ejemplo
+            }), { prefijo: prefijo });
+        }
+
+        return error(codigos.PREFIJO_FUERA_RANGO, Traductor.t('El prefijo /{prefijo} de "{valor}" está fuera de rango: debe estar entre {minimo} y {maximo}.', {
+            prefijo: prefijo,
+            valor: valor,
+            minimo: prefijoMinimo,
+            maximo: prefijoMaximo
+        }), { prefijo: Number(prefijo), minimo: prefijoMinimo, maximo: prefijoMaximo });
     }
 
     /**
      * Realiza una validación completa de los datos de entrada
+     * La IP puede incluir el prefijo en notación CIDR (ej: 192.168.1.100/26), que reemplaza a la máscara.
+     * Se comprueban todos los campos del tipo de entrada, sin detenerse en el primer error
      * @param {string} ip - Dirección IP
-     * @param {string} tipoEntrada - 'hosts' o 'mascara'
-     * @param {string} mascara - Máscara de subred (si aplica)
-     * @param {number} numeroHosts - Número de hosts (si aplica)
-     * @returns {object} - Objeto con resultado de validación y mensaje de error si aplica
+     * @param {string} tipoEntrada - 'hosts', 'mask', 'vlsm' o 'split'
+     * @param {string} mascara - Máscara de subred o prefijo (si aplica)
+     * @param {string|number} numeroHosts - Número de hosts tal como se escribió (si aplica)
+     * @param {string|number} numeroSubredes - Número de subredes a crear tal como se escribió (si aplica)
+     * @param {string} [segmentos] - Segmentos del plan VLSM, uno por línea (solo con 'vlsm')
+     * @returns {object} - Resultado de validación: esValido, errores (lista de obtenerError con el campo
+     *                     'ip', 'mascara', 'numeroHosts', 'numeroSubredes' o 'segmentos'), mensaje del primer error y,
+     *                     si es válido, la IP y la máscara normalizadas (sin prefijo y en formato decimal), los números
+     *                     de hosts y de subredes como números y los segmentos VLSM convertidos
      */
-    static validarEntradaCompleta(ip, tipoEntrada, mascara, numeroHosts) {
-        // Validar IP
-        if (!this.esDireccionIPValida(ip)) {
-            return {
-                esValido: false,
-                mensaje: this.obtenerMensajeError('ip', ip)
-            };
+    static validarEntradaCompleta(ip, tipoEntrada, mascara, numeroHosts, numeroSubredes, segmentos) {
+        const codigos = this.CODIGOS_ERROR;
+        const errores = [];
+        const { direccion, prefijo } = this.separarCIDR(ip);
+
+        // Validar IP (y el prefijo si se escribió en notación CIDR)
+        const ipValida = this.esDireccionIPValida(direccion) &&
+                         (prefijo === null || this.esMascaraSubredValida('/' + prefijo));
+        if (!ipValida) {
+            errores.push(this.obtenerError('ip', ip, 'ip'));
         }
 
         // Validar según tipo de entrada
         if (tipoEntrada === 'hosts') {
+            if (ipValida && prefijo !== null) {
+                errores.push(this._crearError('ip', codigos.PREFIJO_EN_MODO_HOSTS, Traductor.t(
+                    'El prefijo /{prefijo} no se usa en el cálculo por cantidad de hosts: ' +
+                    'quítalo o elige otro tipo de entrada.', { prefijo: prefijo }), { prefijo: Number(prefijo) }));
+            }
             if (!this.esNumeroHostsValido(numeroHosts)) {
-                return {
-                    esValido: false,
-                    mensaje: this.obtenerMensajeError('hosts', numeroHosts)
-                };
+                errores.push(this.obtenerError('hosts', numeroHosts, 'numeroHosts'));
+            }
+        } else if (['mascara', 'mask', 'vlsm', 'split'].includes(tipoEntrada)) {
+            // Con el prefijo en la dirección, el campo de máscara solo se comprueba si también se rellenó
+            if (prefijo === null || mascara) {
+                if (!this.esMascaraSubredValida(mascara)) {
+                    errores.push(this.obtenerError('mascara', mascara, 'mascara'));
+                } else if (ipValida && prefijo !== null && this.normalizarMascara(mascara) !== this.normalizarMascara(prefijo)) {
+                    errores.push(this._crearError('mascara', codigos.PREFIJO_NO_COINCIDE, Traductor.t(
+                        'El prefijo /{prefijo} de la dirección no coincide con la máscara "{mascara}": ' +
+                        'indica solo uno de los dos.', { prefijo: prefijo, mascara: mascara }),
+                        { prefijo: Number(prefijo), mascara: mascara }));
+                }
+            }
+
+            if (tipoEntrada === 'split' && !this.esNumeroSubredesValido(numeroSubredes)) {
+                errores.push(this.obtenerError('subredes', numeroSubredes, 'numeroSubredes'));
+            }
+        }
+
+        // Los segmentos se comprueban aunque la red padre no sea válida, para mostrar todos los errores a la vez
+        const validacionSegmentos = tipoEntrada === 'vlsm' ? this.validarListaSegmentos(segmentos) : null;
+        if (validacionSegmentos) {
+            errores.push(...validacionSegmentos.errores);
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores };
+        }
+
+        const mascaraFinal = prefijo !== null ? prefijo : mascara;
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            ip: direccion,
+            mascara: mascaraFinal ? this.normalizarMascara(mascaraFinal) : mascaraFinal,
+            numeroHosts: tipoEntrada === 'hosts' ? parseInt(numeroHosts) : null,
+            numeroSubredes: tipoEntrada === 'split' ? Number(numeroSubredes) : null,
+            segmentos: validacionSegmentos ? validacionSegmentos.segmentos : null
+        };
+    }
+
+    /**
+     * Realiza una validación completa de los datos de entrada IPv6
+     * La IP puede incluir el prefijo en notación CIDR (ej: 2001:db8::/48).
+     * Se comprueban todos los campos, sin detenerse en el primer error
+     * @param {string} ip - Dirección IPv6
+     * @param {string} tipoEntrada - 'mask' (prefijo) o 'split'
+     * @param {string} prefijo - Longitud de prefijo
+     * @param {string} nuevoPrefijo - Longitud de prefijo de las subredes (si aplica)
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo 'ip', 'tipoEntrada', 'mascara'
+     *                     o 'nuevoPrefijo'), mensaje del primer error y, si es válido, la IP sin prefijo y las
+     *                     longitudes de prefijo como números
+     */
+    static validarEntradaIPv6(ip, tipoEntrada, prefijo, nuevoPrefijo) {
+        const codigos = this.CODIGOS_ERROR;
+        const errores = [];
+        const separada = this.separarCIDR(ip);
+
+        const ipValida = this.esDireccionIPv6Valida(separada.direccion) &&
+                         (separada.prefijo === null || this.esPrefijoIPv6Valido(separada.prefijo));
+        if (!ipValida) {
+            errores.push(this.obtenerError('ipv6', ip, 'ip'));
+        }
+
+        if (tipoEntrada !== 'mask' && tipoEntrada !== 'split') {
+            errores.push(this._crearError('tipoEntrada', codigos.TIPO_NO_DISPONIBLE, Traductor.t(
+                'Para direcciones IPv6 solo están disponibles los cálculos por prefijo y la división en subredes.'),
+                { tipoEntrada: tipoEntrada }));
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores };
+        }
+
+        // Con el prefijo en la dirección, el campo de longitud de prefijo solo se comprueba si también se rellenó
+        if (separada.prefijo === null || prefijo) {
+            if (!this.esPrefijoIPv6Valido(prefijo)) {
+                errores.push(this.obtenerError('prefijo', prefijo, 'mascara'));
+            } else if (ipValida && separada.prefijo !== null &&
+                       Number(prefijo.replace('/', '')) !== Number(separada.prefijo)) {
+                errores.push(this._crearError('mascara', codigos.PREFIJO_NO_COINCIDE, Traductor.t(
+                    'El prefijo /{prefijo} de la dirección no coincide con la longitud ' +
+                    'de prefijo "{longitud}": indica solo uno de los dos.', {
+                        prefijo: separada.prefijo,
+                        longitud: prefijo
+                    }), { prefijo: Number(separada.prefijo), mascara: prefijo }));
+            }
+        }
+
+        if (tipoEntrada === 'split' && !this.esPrefijoIPv6Valido(nuevoPrefijo)) {
+            errores.push(this.obtenerError('prefijo', nuevoPrefijo, 'nuevoPrefijo'));
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores };
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            ip: separada.direccion,
+            prefijo: Number(String(separada.prefijo !== null ? separada.prefijo : prefijo).replace('/', '')),
+            nuevoPrefijo: Number(String(nuevoPrefijo).replace('/', ''))
+        };
+    }
+
+    /**
+     * Valida una política de gateway escrita como texto: "ultimo" (o vacío), "primero",
+     * "red+N" (N direcciones después de la red) o "broadcast-N" (N direcciones antes del broadcast)
+     * Que el gateway resultante sea un host utilizable depende de la subred y lo comprueba CalculadoraSubredes
+     * @param {string} texto - Política de gateway
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo 'politicaGateway'), mensaje
+     *                     del primer error y, si es válida, la política ({posicion, desplazamiento})
+     */
+    static validarPoliticaGateway(texto) {
+        const codigos = this.CODIGOS_ERROR;
+        const valor = String(texto || '').trim().toLowerCase().replace(/\s+/g, '').replace('último', 'ultimo');
+        const invalida = error => ({ esValido: false, mensaje: error.mensaje, errores: [error] });
+
+        if (valor === '' || valor === 'ultimo' || valor === 'primero') {
+            return {
+                esValido: true,
+                mensaje: null,
+                errores: [],
+                politica: { posicion: valor || 'ultimo', desplazamiento: 0 }
+            };
+        }
+
+        const coincidencia = valor.match(/^(red)\+(\d*)$|^(broadcast)-(\d*)$/);
+        if (!coincidencia) {
+            return invalida(this.obtenerError('gateway', texto, 'politicaGateway'));
+        }
+
+        const desplazamiento = Number(coincidencia[2] || coincidencia[4] || 0);
+        if (desplazamiento < 1 || desplazamiento > 4294967294) {
+            return invalida(this._crearError('politicaGateway', codigos.GATEWAY_DESPLAZAMIENTO, Traductor.t(
+                'El desplazamiento del gateway debe ser un número entero mayor que 0 (ej: red+1 o broadcast-1).'),
+                { desplazamiento: desplazamiento, minimo: 1, maximo: 4294967294 }));
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            politica: { posicion: coincidencia[1] || coincidencia[3], desplazamiento: desplazamiento }
+        };
+    }
+
+    /**
+     * Valida un rango de direcciones IPv4 (inicio y fin), comprobando las dos direcciones antes de compararlas
+     * Los extremos pueden ser cualquier dirección bien formada, incluidas 0.0.0.0 y 255.255.255.255
+     * @param {string} ipInicio - Primera dirección del rango
+     * @param {string} ipFin - Última dirección del rango
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo 'inicioRango' o 'finRango')
+     *                     y mensaje del primer error
+     */
+    static validarRango(ipInicio, ipFin) {
+        const codigos = this.CODIGOS_ERROR;
+        const errores = [];
+
+        if (!this.esDireccionIPv4BienFormada(ipInicio)) {
+            const error = this.obtenerError('ip', ipInicio, 'inicioRango');
+            errores.push({ ...error, mensaje: Traductor.t('Dirección inicial: {mensaje}', { mensaje: error.mensaje }) });
+        }
+
+        if (!this.esDireccionIPv4BienFormada(ipFin)) {
+            const error = this.obtenerError('ip', ipFin, 'finRango');
+            errores.push({ ...error, mensaje: Traductor.t('Dirección final: {mensaje}', { mensaje: error.mensaje }) });
+        }
+
+        if (errores.length === 0 && this._ipANumero(ipInicio) > this._ipANumero(ipFin)) {
+            errores.push(this._crearError('finRango', codigos.RANGO_INVERTIDO, Traductor.t(
+                'La dirección inicial ({inicio}) no puede ser mayor que la final ({fin}).', {
+                    inicio: ipInicio,
+                    fin: ipFin
+                }), { inicio: ipInicio, fin: ipFin }));
+        }
+
+        return {
+            esValido: errores.length === 0,
+            mensaje: errores.length > 0 ? errores[0].mensaje : null,
+            errores: errores
+        };
+    }
+
+    /**
+     * Separa un texto en líneas no vacías conservando su número (empezando en 1) para los errores
+     * @param {string} texto - Texto con un elemento por línea
+     * @returns {Array<object>} - Líneas {numero, texto} sin espacios al principio ni al final
+     * @private
+     */
+    static _separarLineas(texto) {
+        return (texto || '')
+            .split('\n')
+            .map((linea, indice) => ({ numero: indice + 1, texto: linea.trim() }))
+            .filter(linea => linea.texto !== '');
+    }
+
+    /**
+     * Valida y convierte la lista de segmentos de un plan VLSM
+     * Cada línea tiene el formato "nombre, hosts", "nombre: hosts" o solo "hosts".
+     * Se comprueban todas las líneas, sin detenerse en la primera no válida
+     * @param {string} texto - Texto con un segmento por línea
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo 'segmentos' y, en detalles,
+     *                     la línea), mensaje del primer error y segmentos obtenidos
+     */
+    static validarListaSegmentos(texto) {
+        const lineas = this._separarLineas(texto);
+
+        if (lineas.length === 0) {
+            const error = this.obtenerError('segmentos', '');
+            return { esValido: false, mensaje: error.mensaje, errores: [error], segmentos: [] };
+        }
+
+        const errores = [];
+        const segmentos = [];
+        for (const linea of lineas) {
+            const coincidencia = linea.texto.match(/^(?:(.*?)\s*[,:;\s]\s*)?(\d+)$/);
+            if (!coincidencia) {
+                const error = this.obtenerError('segmentos', linea.texto);
+                errores.push({ ...error, detalles: { ...error.detalles, linea: linea.numero } });
+                continue;
             }
-        } else if (tipoEntrada === 'mascara') {
-            if (!this.esMascaraSubredValida(mascara)) {
-                return {
-                    esValido: false,
-                    mensaje: this.obtenerMensajeError('mascara', mascara)
-                };
+            if (!this.esNumeroHostsValido(coincidencia[2])) {
+                // Formato correcto pero número de hosts fuera de rango: se explica con el error de hosts
+                const error = this.obtenerError('hosts', coincidencia[2], 'segmentos');
+                errores.push({
+                    ...error,
+                    mensaje: Traductor.t('Segmento "{segmento}": {mensaje}', { segmento: linea.texto, mensaje: error.mensaje }),
+                    detalles: { ...error.detalles, segmento: linea.texto, linea: linea.numero }
+                });
+                continue;
             }
+
+            segmentos.push({
+                nombre: coincidencia[1] || '',
+                hosts: parseInt(coincidencia[2])
+            });
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores, segmentos: [] };
         }
 
         return {
             esValido: true,
-            mensaje: null
+            mensaje: null,
+            errores: [],
+            segmentos: segmentos
         };
     }
+
+    /**
+     * Valida y convierte una lista de direcciones IPv4 (separadas por líneas, espacios o comas)
+     * Se comprueban todas las direcciones, sin detenerse en la primera no válida
+     * @param {string} texto - Texto con las direcciones
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo 'ips' y, en detalles, la dirección
+     *                     y su posición en la lista), mensaje del primer error y direcciones obtenidas
+     */
+    static validarListaIPs(texto) {
+        const ips = (texto || '')
+            .split(/[\s,;]+/)
+            .filter(ip => ip !== '');
+
+        if (ips.length === 0) {
+            const error = this.obtenerError('ips', '');
+            return { esValido: false, mensaje: error.mensaje, errores: [error], ips: [] };
+        }
+
+        const errores = [];
+        ips.forEach((ip, indice) => {
+            if (!this.esDireccionIPValida(ip)) {
+                const error = this.obtenerError('ips', ip);
+                errores.push({ ...error, detalles: { ...error.detalles, posicion: indice + 1 } });
+            }
+        });
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores, ips: [] };
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            ips: ips
+        };
+    }
+
+    /**
+     * Valida y convierte una lista de redes IPv4
+     * Cada línea tiene el formato "IP/prefijo", "IP máscara" o "IP, máscara".
+     * Se comprueban todas las líneas, sin detenerse en la primera no válida
+     * @param {string} texto - Texto con una red por línea
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo 'redes' y, en detalles, la línea),
+     *                     mensaje del primer error y redes obtenidas ({ip, mascara})
+     */
+    static validarListaRedes(texto) {
+        const lineas = this._separarLineas(texto);
+
+        if (lineas.length === 0) {
+            const error = this.obtenerError('redes', '');
+            return { esValido: false, mensaje: error.mensaje, errores: [error], redes: [] };
+        }
+
+        const errores = [];
+        const redes = [];
+        for (const linea of lineas) {
+            const [ip, mascara = '', ...sobrantes] = linea.texto.split(/[\s,;]+/);
+            if (sobrantes.length > 0 || (!mascara && !ip.includes('/'))) {
+                const error = this.obtenerError('redes', linea.texto);
+                errores.push({ ...error, detalles: { ...error.detalles, linea: linea.numero } });
+                continue;
+            }
+
+            const validacion = this.validarEntradaCompleta(ip, 'mask', mascara);
+            if (!validacion.esValido) {
+                const [error] = validacion.errores;
+                errores.push(this._crearError('redes', error.codigo,
+                    Traductor.t('Línea "{linea}": {mensaje}', { linea: linea.texto, mensaje: error.mensaje }),
+                    { ...error.detalles, red: linea.texto, linea: linea.numero }));
+                continue;
+            }
+
+            redes.push({ ip: validacion.ip, mascara: validacion.mascara });
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores, redes: [] };
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            redes: redes
+        };
+    }
+
+    /**
+     * Valida los datos de una red del plan de direccionamiento
+     * Se comprueban todos los campos, sin detenerse en el primero no válido
+     * @param {object} datos - Textos del formulario o del archivo {red, nombre, sitio, vlan, proposito, responsable, gateway}
+     * @returns {object} - Resultado de validación: esValido, errores (con los campos 'red', 'nombre', 'vlan' y
+     *                     'gateway'), mensaje del primer error y la red convertida
+     * ({ip, mascara, nombre, sitio, vlan (número o null), proposito, responsable, gateway (IP o null)})
+     */
+    static validarRedPlan(datos) {
+        const codigos = this.CODIGOS_ERROR;
+        const errores = [];
+
+        const texto = String(datos.red || '').trim();
+        const [ip, mascara = '', ...sobrantes] = texto.split(/[\s,;]+/);
+        let validacion = null;
+        if (texto === '') {
+            errores.push(this._crearError('red', codigos.CAMPO_VACIO, Traductor.t('Indica la red (ej: 10.0.1.0/24).')));
+        } else if (sobrantes.length > 0 || (!mascara && !ip.includes('/'))) {
+            errores.push(this.obtenerError('redes', texto, 'red'));
+        } else {
+            validacion = this.validarEntradaCompleta(ip, 'mask', mascara);
+            if (!validacion.esValido) {
+                const [error] = validacion.errores;
+                errores.push(this._crearError('red', error.codigo,
+                    Traductor.t('Red "{red}": {mensaje}', { red: texto, mensaje: error.mensaje }),
+                    { ...error.detalles, red: texto }));
+            }
+        }
+
+        const nombre = String(datos.nombre || '').trim();
+        if (nombre === '') {
+            errores.push(this._crearError('nombre', codigos.CAMPO_VACIO,
+                Traductor.t('Indica un nombre para la red {red}.', { red: texto })));
+        }
+
+        const vlan = datos.vlan === undefined || datos.vlan === null ? '' : String(datos.vlan).trim();
+        if (vlan !== '' && !this.esIDVLANValido(vlan)) {
+            errores.push(this._crearError('vlan', codigos.VLAN_NO_VALIDA,
+                Traductor.t('Red "{nombre}": el ID de VLAN debe ser un número entre 1 y 4094.', { nombre: nombre || texto }),
+                { vlan: vlan, minimo: 1, maximo: 4094 }));
+        }
+
+        const gateway = String(datos.gateway || '').trim();
+        if (gateway !== '' && !this.esDireccionIPValida(gateway)) {
+            const error = this.obtenerError('ip', gateway, 'gateway');
+            errores.push({
+                ...error,
+                mensaje: Traductor.t('Red "{nombre}": gateway no válido. {mensaje}', {
+                    nombre: nombre || texto,
+                    mensaje: error.mensaje
+                })
+            });
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores };
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            red: {
+                ip: validacion.ip,
+                mascara: validacion.mascara,
+                nombre: nombre,
+                sitio: String(datos.sitio || '').trim(),
+                vlan: vlan === '' ? null : Number(vlan),
+                proposito: String(datos.proposito || '').trim(),
+                responsable: String(datos.responsable || '').trim(),
+                gateway: gateway || null
+            }
+        };
+    }
+
+    /**
+     * Valida los datos de un ámbito DHCP dentro de una subred calculada
+     * Exclusiones: una IP o un rango "inicio-fin" por línea. Reservas: "MAC IP [nombre]" por línea.
+     * Se comprueban todas las líneas y opciones, sin detenerse en la primera no válida
+     * @param {ResultadoIp} resultado - Subred que contiene el ámbito
+     * @param {object} datos - Textos del formulario {exclusiones, reservas, dns, dominio, tiempoConcesion}
+     * @returns {object} - Resultado de validación: esValido, errores (con el campo del formulario y, en exclusiones
+     *                     y reservas, la línea en detalles), mensaje del primer error y datos convertidos
+     * ({exclusiones: [{inicio, fin}], reservas: [{mac, ip, nombre}], dns, dominio, tiempoConcesion})
+     */
+    static validarAmbitoDHCP(resultado, datos) {
+        const codigos = this.CODIGOS_ERROR;
+        const errores = [];
+        const primerHost = this._ipANumero(resultado.firstHostIP);
+        const ultimoHost = this._ipANumero(resultado.lastHostIP);
+        const esHostDeLaSubred = ip => this._ipANumero(ip) >= primerHost && this._ipANumero(ip) <= ultimoHost;
+        const fueraDeSubred = (campo, ip) => this._crearError(campo, codigos.IP_FUERA_DE_SUBRED,
+            Traductor.t('{ip} no es un host de {red} ({primero} - {ultimo}).', {
+                ip: ip,
+                red: resultado.getRedCIDR(),
+                primero: resultado.firstHostIP,
+                ultimo: resultado.lastHostIP
+            }), { ip: ip, red: resultado.getRedCIDR(), primero: resultado.firstHostIP, ultimo: resultado.lastHostIP });
+        // Los errores de cada línea llevan su número en detalles
+        const errorLinea = (linea, error, mensaje) =>
+            this._crearError(error.campo, error.codigo, mensaje, { ...error.detalles, linea: linea.numero });
+
+        const exclusiones = [];
+        for (const linea of this._separarLineas(datos.exclusiones)) {
+            const errorExclusion = error => errores.push(errorLinea(linea, error,
+                Traductor.t('Exclusión "{linea}": {mensaje}', { linea: linea.texto, mensaje: error.mensaje })));
+            const [inicio, fin = inicio, ...sobrantes] = linea.texto.split(/\s*-\s*|\s+/);
+            if (sobrantes.length > 0) {
+                errorExclusion(this._crearError('exclusiones', codigos.EXCLUSION_NO_VALIDA,
+                    Traductor.t('usa una IP o un rango inicio-fin.'), { exclusion: linea.texto }));
+                continue;
+            }
+            const validacion = this.validarRango(inicio, fin);
+            if (!validacion.esValido) {
+                const [error] = validacion.errores;
+                errorExclusion({ ...error, campo: 'exclusiones' });
+                continue;
+            }
+            if (!esHostDeLaSubred(inicio) || !esHostDeLaSubred(fin)) {
+                errorExclusion(fueraDeSubred('exclusiones', esHostDeLaSubred(inicio) ? fin : inicio));
+                continue;
+            }
+            exclusiones.push({ inicio: inicio, fin: fin });
+        }
+
+        const reservas = [];
+        for (const linea of this._separarLineas(datos.reservas)) {
+            const errorReserva = error => errores.push(errorLinea(linea, error,
+                Traductor.t('Reserva "{linea}": {mensaje}', { linea: linea.texto, mensaje: error.mensaje })));
+            const [mac = '', ip = '', ...nombre] = linea.texto.split(/[\s,;]+/);
+            if (!this.esDireccionMACValida(mac)) {
+                errorReserva(this.obtenerError('mac', mac, 'reservas'));
+                continue;
+            }
+            if (!this.esDireccionIPValida(ip)) {
+                errorReserva(this.obtenerError('ip', ip, 'reservas'));
+                continue;
+            }
+            if (!esHostDeLaSubred(ip)) {
+                errorReserva(fueraDeSubred('reservas', ip));
+                continue;
+            }
+            if (ip === resultado.gatewayIP) {
+                errorReserva(this._crearError('reservas', codigos.RESERVA_GATEWAY,
+                    Traductor.t('{ip} es el gateway de la subred.', { ip: ip }), { ip: ip }));
+                continue;
+            }
+
+            const reserva = { mac: this.normalizarMAC(mac), ip: ip, nombre: nombre.join('-') };
+            if (!/^[a-zA-Z0-9_-]*$/.test(reserva.nombre)) {
+                errorReserva(this._crearError('reservas', codigos.NOMBRE_HOST_NO_VALIDO,
+                    Traductor.t('el nombre solo puede contener letras sin acentos, números, "-" y "_".'),
+                    { nombre: reserva.nombre }));
+                continue;
+            }
+            const repetida = reservas.find(otra => otra.mac === reserva.mac || otra.ip === reserva.ip);
+            if (repetida) {
+                errorReserva(repetida.ip === ip
+                    ? this._crearError('reservas', codigos.IP_YA_RESERVADA,
+                        Traductor.t('la IP {ip} ya está reservada.', { ip: ip }), { ip: ip })
+                    : this._crearError('reservas', codigos.MAC_YA_RESERVADA,
+                        Traductor.t('la MAC {mac} ya está reservada.', { mac: reserva.mac }), { mac: reserva.mac }));
+                continue;
+            }
+            reservas.push(reserva);
+        }
+
+        const dns = (datos.dns || '').split(/[\s,;]+/).filter(ip => ip !== '');
+        dns.forEach((ip, indice) => {
+            if (!this.esDireccionIPValida(ip)) {
+                const error = this.obtenerError('ip', ip, 'dns');
+                errores.push({
+                    ...error,
+                    mensaje: Traductor.t('Servidores DNS: {mensaje}', { mensaje: error.mensaje }),
+                    detalles: { ...error.detalles, posicion: indice + 1 }
+                });
+            }
+        });
+
+        const dominio = (datos.dominio || '').trim();
+        if (dominio && (!this.esNombreDominioValido(dominio) || dominio.endsWith('.'))) {
+            errores.push(this._crearError('dominio', codigos.DOMINIO_NO_VALIDO,
+                Traductor.t('Dominio no válido: "{dominio}".', { dominio: dominio }), { dominio: dominio }));
+        }
+
+        const textoConcesion = String(datos.tiempoConcesion || '').trim();
+        const tiempoConcesion = textoConcesion === '' ? 86400 : Number(textoConcesion);
+        if (!/^\d*$/.test(textoConcesion) || tiempoConcesion < 60) {
+            errores.push(this._crearError('tiempoConcesion', codigos.SEGUNDOS_NO_VALIDO,
+                Traductor.t('El tiempo de concesión debe ser un número entero de segundos (mínimo 60).'),
+                { valor: textoConcesion, minimo: 60 }));
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores };
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            exclusiones: exclusiones,
+            reservas: reservas,
+            dns: dns,
+            dominio: dominio,
+            tiempoConcesion: tiempoConcesion
+        };
+    }
+
+    /**
+     * Valida las opciones de la zona DNS inversa
+     * Sin servidores de nombres ni contacto se usan los marcadores ns1.example.net y hostmaster.example.net.
+     * Los marcadores del patrón los comprueba GeneradorDNSInverso.comprobarPatron al generar las zonas
+     * @param {object} datos - Textos del formulario {patron, servidores, contacto, ttl}
+     * @returns {object} - Resultado de validación: esValido, errores (con los campos 'patron', 'servidores',
+     *                     'contacto' y 'ttl'), mensaje del primer error y las opciones convertidas
+     * ({patron, servidores: Array<string>, contacto (buzón del SOA), ttl}), con los nombres sin punto final
+     */
+    static validarZonaInversa(datos) {
+        const codigos = this.CODIGOS_ERROR;
+        const errores = [];
+
+        const patron = String(datos.patron || '').trim().replace(/\.$/, '');
+        if (patron === '') {
+            errores.push(this._crearError('patron', codigos.CAMPO_VACIO,
+                Traductor.t('Indica el patrón de los nombres (ej: {ejemplo}).', { ejemplo: 'host-{ip-dashed}.example.net' })));
+        }
+
+        const servidores = (datos.servidores || '').split(/[\s,;]+/)
+            .filter(servidor => servidor !== '')
+            .map(servidor => servidor.replace(/\.$/, ''));
+        const servidorInvalido = servidores.find(servidor => !this.esNombreDominioValido(servidor));
+        if (servidorInvalido) {
+            errores.push(this._crearError('servidores', codigos.SERVIDOR_NO_VALIDO,
+                Traductor.t('Servidor de nombres no válido: "{servidor}".', { servidor: servidorInvalido }),
+                { servidor: servidorInvalido }));
+        }
+
+        // El buzón del SOA se escribe con un punto en lugar de "@" (los puntos del usuario se escapan)
+        let contacto = String(datos.contacto || '').trim().replace(/\.$/, '');
+        if (contacto.includes('@')) {
+            const [usuario, dominio, ...sobrantes] = contacto.split('@');
+            if (sobrantes.length > 0 || !/^[a-zA-Z0-9._-]+$/.test(usuario) || !this.esNombreDominioValido(dominio)) {
+                errores.push(this._crearError('contacto', codigos.CONTACTO_NO_VALIDO,
+                    Traductor.t('Correo de contacto no válido: "{contacto}".', { contacto: contacto }), { contacto: contacto }));
+            } else {
+                contacto = `${usuario.replace(/\./g, '\\.')}.${dominio}`;
+            }
+        } else if (contacto && !this.esNombreDominioValido(contacto)) {
+            errores.push(this._crearError('contacto', codigos.CONTACTO_NO_VALIDO,
+                Traductor.t('Correo de contacto no válido: "{contacto}". Usa el formato hostmaster@example.net.', {
+                    contacto: contacto
+                }), { contacto: contacto }));
+        }
+
+        const textoTTL = String(datos.ttl || '').trim();
+        const ttl = textoTTL === '' ? 86400 : Number(textoTTL);
+        if (!/^\d*$/.test(textoTTL) || ttl < 60) {
+            errores.push(this._crearError('ttl', codigos.SEGUNDOS_NO_VALIDO,
+                Traductor.t('El TTL debe ser un número entero de segundos (mínimo 60).'), { valor: textoTTL, minimo: 60 }));
+        }
+
+        if (errores.length > 0) {
+            return { esValido: false, mensaje: errores[0].mensaje, errores: errores };
+        }
+
+        return {
+            esValido: true,
+            mensaje: null,
+            errores: [],
+            patron: patron,
+            servidores: servidores.length > 0 ? servidores : ['ns1.example.net'],
+            contacto: contacto || 'hostmaster.example.net',
+            ttl: ttl
+        };
+    }
+
+    /**
+     * Convierte una IPv4 válida a número sin signo
+     * @param {string} ip - Dirección IPv4
+     * @returns {number} - Valor numérico
+     * @private
+     */
+    static _ipANumero(ip) {
+        return ip.split('.').reduce((numero, octeto) => numero * 256 + Number(octeto), 0);
+    }
 }
 
 // Exportar la clase para uso en otros módulos